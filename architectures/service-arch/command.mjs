@@ -1,4 +1,3 @@
-import http2 from "node:http2";
 import {Service} from "./service.mjs";
 
 /**
@@ -12,6 +11,7 @@ export class Command extends Service{
 	 * @param {function[]} config.preHandlers
 	 * @param {function[]} config.postHandlers
 	 * @param {Console?} config.logger
+	 * @param {"logger" | "throw"?} config.errorProtocol
 	 *
 	 */
 	constructor(config){
@@ -22,17 +22,11 @@ export class Command extends Service{
 			identifier: Service.DefaultSymbol,
 			header: Service.IgnoreHeaderSymbol,
 			logger: config.logger,
+			errorProtocol: config.errorProtocol,
 			preHandlers: config.preHandlers || [],
 			postHandlers: config.postHandlers || []
 		});
 		this[Service.DefaultSymbol] = config.handler;
 	}
 
-	[Service.ErrorSymbol](transport, error){
-		this.logger.error(error);
-		transport.respond({
-			[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_INTERNAL_SERVER_ERROR
-		}, {endStream: true});
-	}
-
 }
@@ -1,15 +1,44 @@
 import * as path from "node:path";
 import fs from "node:fs";
 import http2 from "node:http2";
-import {promisify} from "../../../utils/promisify-pure.mjs";
 
 import mimeTypes from "mime-types";
-const promisifiedFSRead = promisify(fs.read);
+import {negotiateEncoding} from "../../../utils/content-encoding.mjs";
+
+/**
+ * The extensions of the precompressed siblings of a file, by content encoding, the preferred one first.
+ * @type {Object<string, string>}
+ */
+const PRECOMPRESSED_EXTENSIONS = {
+	br: ".br",
+	gzip: ".gz"
+};
+
+/**
+ * Reads the push manifest of the file handler. It maps the URL path of an HTML file to the paths of its dependencies,
+ * either as a list or as the keys of an object (the push_manifest.json format):
+ * {"/index.html": ["/style.css", "/app.js"]} or {"/index.html": {"/style.css": {"type": "style"}}}.
+ * @param {string | Object} manifest The manifest, or the path of its JSON file relative to the root.
+ * @param {string} basePath
+ * @returns {Map<string, string[]>}
+ */
+const readPushManifest = (manifest, basePath) => {
+	const entries = typeof manifest === "string" ?
+			JSON.parse(fs.readFileSync(path.resolve(basePath, manifest), "utf8")) : manifest;
+	return new Map(Object.entries(entries).map(([htmlPath, dependencies]) => [
+		htmlPath,
+		Array.isArray(dependencies) ? dependencies : Object.keys(dependencies)
+	]));
+};
 
 /**
  *
  * @param {string} configs.root Root Path.
  * @param {Console} configs.logger
+ * @param {string | Object} [configs.pushManifest] Push the dependencies of the HTML files listed in this manifest
+ * along with them. See readPushManifest for the format.
+ * @param {boolean} [configs.precompressed=false] Serve the .br or .gz sibling of a file instead of the file itself,
+ * when there is one and the client accepts its encoding.
  * @returns {(function(H2Stream): Promise<void>)}
  */
 export const fileHandler = (configs) => {
@@ -24,11 +53,64 @@ export const fileHandler = (configs) => {
 			throw new Error("Configured Base path is not a folder or is inaccessible");
 		}
 	}
+	const pushManifest = configs.pushManifest ? readPushManifest(configs.pushManifest, basePath) : null;
+
+	/**
+	 * Pushes the dependencies the manifest lists for an HTML file and serves them. Pushed paths that are not found
+	 * are answered with a 404, as no other handler gets to see the pushed streams.
+	 * @param {H2Stream} h2Stream
+	 * @param {string} finalPath
+	 */
+	const pushDependencies = async (h2Stream, finalPath) => {
+		const urlPath = "/" + path.relative(basePath, finalPath).split(path.sep).join("/");
+		const requestedPath = h2Stream.incomingHeaders[http2.constants.HTTP2_HEADER_PATH]?.split("?")[0];
+		const dependencies = pushManifest.get(requestedPath) || pushManifest.get(urlPath) || [];
+		for (const dependency of dependencies) {
+			const pushedStream = await h2Stream.push(dependency);
+			if (!pushedStream) {
+				continue;
+			}
+			handleFile(pushedStream).then(() => {
+				if (!pushedStream.sentHeaders) {
+					pushedStream.respond({
+						[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_NOT_FOUND
+					}, {endStream: true});
+				}
+			}).catch((err) => configs.logger.error(`Could not serve pushed ${dependency}`, err));
+		}
+	};
 
 	/**
+	 * Picks the precompressed sibling of a file that the client accepts.
 	 * @param {H2Stream} h2Stream
+	 * @param {string} finalPath
+	 * @returns {{filePath: string, headers: Object<string, string>}}
 	 */
-	return async (h2Stream) => {
+	const pickPrecompressed = (h2Stream, finalPath) => {
+		const available = Object.keys(PRECOMPRESSED_EXTENSIONS).filter((encoding) =>
+				fs.statSync(finalPath + PRECOMPRESSED_EXTENSIONS[encoding], {throwIfNoEntry: false})?.isFile()
+		);
+		if (!available.length) {
+			return {filePath: finalPath, headers: {}};
+		}
+		const encoding = negotiateEncoding(
+				h2Stream.incomingHeaders[http2.constants.HTTP2_HEADER_ACCEPT_ENCODING],
+				available
+		);
+		const headers = {[http2.constants.HTTP2_HEADER_VARY]: "accept-encoding"};
+		if (!encoding) {
+			return {filePath: finalPath, headers};
+		}
+		return {
+			filePath: finalPath + PRECOMPRESSED_EXTENSIONS[encoding],
+			headers: {...headers, [http2.constants.HTTP2_HEADER_CONTENT_ENCODING]: encoding}
+		};
+	};
+
+	/**
+	 * @param {H2Stream} h2Stream
+	 */
+	const handleFile = async (h2Stream) => {
 		if (h2Stream.sentHeaders) {
 			if (h2Stream.errorProtocol === "throw")
 				throw new Error("Headers already sent.");
@@ -42,7 +124,6 @@ export const fileHandler = (configs) => {
 		));
 		configs.logger.info("Requested Path: ", reqPath);
 		const fileDetails = {
-			fileHandle: null,
 			fileMime: null,
 			finalPath: "",
 		};
@@ -61,25 +142,22 @@ export const fileHandler = (configs) => {
 				// it's a non indexable folder.
 				return;
 			}
-			fileDetails.fileHandle = fs.openSync(indexPath, "r");
 			fileDetails.fileMime = mimeTypes.lookup(indexPath);
 			fileDetails.finalPath = indexPath;
 		} else {
-			fileDetails.fileHandle = fs.openSync(reqPath, "r");
 			fileDetails.fileMime = mimeTypes.lookup(reqPath);
 			fileDetails.finalPath = reqPath;
 		}
-		h2Stream.respond({
-			[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_OK,
-			[http2.constants.HTTP2_HEADER_CONTENT_TYPE]: fileDetails.fileMime
-		});
-
-		let [bytesRead, buffer] = [0, null];
-		while ( ([bytesRead, buffer] = await promisifiedFSRead(fileDetails.fileHandle) ) && bytesRead ) {
-			h2Stream.sendData(buffer);
+		if (pushManifest && fileDetails.fileMime === "text/html") {
+			await pushDependencies(h2Stream, fileDetails.finalPath);
 		}
-		fs.close(fileDetails.fileHandle);
+		const {filePath, headers} = configs.precompressed ?
+				pickPrecompressed(h2Stream, fileDetails.finalPath) : {filePath: fileDetails.finalPath, headers: {}};
+		await h2Stream.sendFile(filePath, {
+			[http2.constants.HTTP2_HEADER_CONTENT_TYPE]: fileDetails.fileMime || "application/octet-stream",
+			...headers
+		});
 		configs.logger.info("File sent: ", fileDetails.finalPath);
-		h2Stream.end();
 	};
+	return handleFile;
 };
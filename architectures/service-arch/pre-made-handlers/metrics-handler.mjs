@@ -0,0 +1,47 @@
+import http2 from "node:http2";
+import {MetricsRegistry} from "../../../metrics/metrics-registry.mjs";
+
+/**
+ * A handler that serves the metrics in the Prometheus text format on the configured path.
+ * Requests for other paths are ignored so that the next handler can take them.
+ * @param {Object} configs
+ * @param {MetricsRegistry} [configs.registry] The registry to expose. Defaults to the one of the server the stream
+ * was received on.
+ * @param {string} [configs.path="/metrics"] The path the metrics are served on.
+ * @param {Console} [configs.logger]
+ * @returns {(function(H2Stream): void)}
+ */
+export const metricsHandler = (configs = {}) => {
+	const metricsPath = configs.path || "/metrics";
+	configs.logger = configs.logger || console;
+
+	/**
+	 * @param {H2Stream} h2Stream
+	 */
+	return (h2Stream) => {
+		if (h2Stream.incomingHeaders[http2.constants.HTTP2_HEADER_PATH]?.split("?")[0] !== metricsPath) {
+			return;
+		}
+		if (h2Stream.sentHeaders) {
+			if (h2Stream.errorProtocol === "throw") throw new Error("Headers already sent.");
+			configs.logger.error("Headers already sent.");
+			return;
+		}
+		const registry = configs.registry || h2Stream.server?.metrics?.registry;
+		if (!registry) {
+			configs.logger.warn("No metrics registry configured and the server collects no metrics.");
+			h2Stream.respond({
+				[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_NOT_FOUND
+			}, {endStream: true});
+			return;
+		}
+		const body = Buffer.from(registry.toPrometheus());
+		h2Stream.respond({
+			[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_OK,
+			[http2.constants.HTTP2_HEADER_CONTENT_TYPE]: MetricsRegistry.CONTENT_TYPE,
+			[http2.constants.HTTP2_HEADER_CONTENT_LENGTH]: body.length
+		});
+		h2Stream.sendData(body);
+		h2Stream.end();
+	};
+};
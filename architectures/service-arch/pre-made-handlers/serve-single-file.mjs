@@ -2,8 +2,6 @@ import * as path from "node:path";
 import fs from "node:fs";
 import http2 from "node:http2";
 import mimeTypes from "mime-types";
-import {promisify} from "../../../utils/promisify-pure.mjs";
-const promisifiedFSRead = promisify(fs.read);
 
 /**
  *
@@ -28,20 +26,8 @@ export const serveSingleFile = (configs) => {
 			configs.logger.error("Headers already sent.");
 			return;
 		}
-		const fileDetails = {
-			fileHandle: fs.openSync(fileName, "r"),
-			fileMime: mimeTypes.lookup(fileName) || "text/html"
-		}
-		h2Stream.respond({
-			[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_OK,
-			[http2.constants.HTTP2_HEADER_CONTENT_TYPE]: fileDetails.fileMime
+		await h2Stream.sendFile(fileName, {
+			[http2.constants.HTTP2_HEADER_CONTENT_TYPE]: mimeTypes.lookup(fileName) || "text/html"
 		});
-
-		let [bytesRead, buffer] = [0, null];
-		while ( ([bytesRead, buffer] = await promisifiedFSRead(fileDetails.fileHandle) ) && bytesRead ) {
-			h2Stream.sendData(buffer);
-		}
-		fs.close(fileDetails.fileHandle);
-		h2Stream.end();
 	};
 };
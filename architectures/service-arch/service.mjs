@@ -1,5 +1,7 @@
 import http2 from 'node:http2';
 import {WsH2Stream} from "../../streams/ws-h2stream.mjs";
+import {H2Stream} from "../../streams/h2stream.mjs";
+import {HttpError} from "../../errors/http-error.mjs";
 
 /**
  * The service class is a class that can handle incoming HTTP/2 streams.
@@ -40,6 +42,12 @@ export class Service{
 	 */
 	static #IgnoreHeaderSymbol = Symbol();
 
+	/**
+	 * The transports whose handling is being timed, so that nested services do not time them again.
+	 * @type {WeakSet<H2Stream>}
+	 */
+	static #timedTransports = new WeakSet();
+
 	/**
 	 * The symbol that is used to identify the default handler
 	 * @returns {symbol}
@@ -118,9 +126,18 @@ export class Service{
 	 */
 	#postHandlers = [];
 
+	/**
+	 * The error protocol the transports follow while this service handles them. Null to leave it as it is.
+	 * @type {"logger" | "throw" | null}
+	 */
+	#errorProtocol = null;
+
 	/**
 	 * Creates a new service.
 	 * @param config
+	 * @param {"logger" | "throw"} [config.errorProtocol] The error protocol of the transports the service handles,
+	 * see H2Stream.errorProtocol. Defaults to the one of the server.
+	 * @throws {TypeError} When the error protocol is invalid.
 	 */
 	constructor(config){
 		this.#identifier = config.identifier || Service.#NotfoundSymbol;
@@ -128,6 +145,18 @@ export class Service{
 		this.#preHandlers = config.preHandlers || [];
 		this.#postHandlers = config.postHandlers || [];
 		this.#logger = config.logger || console;
+		if(config.errorProtocol !== undefined && !H2Stream.ERROR_PROTOCOLS.includes(config.errorProtocol)){
+			throw new TypeError(`errorProtocol must be one of ${H2Stream.ERROR_PROTOCOLS.join(", ")}.`);
+		}
+		this.#errorProtocol = config.errorProtocol || null;
+	}
+
+	/**
+	 * The error protocol the transports follow while this service handles them, or null to leave it as it is.
+	 * @returns {"logger" | "throw" | null}
+	 */
+	get errorProtocol(){
+		return this.#errorProtocol;
 	}
 
 	/**
@@ -173,9 +202,30 @@ export class Service{
 	/**
 	 * Starts handling the incoming transport or passes it to a subService.
 	 * The transport is passed through the preHandlers, the actual handler and the postHandlers
+	 * When the server collects metrics, the time the outermost service takes is recorded by method and status.
 	 * @param transport
 	 */
 	async handle(transport){
+		const metrics = transport.server?.metrics;
+		if(!metrics || Service.#timedTransports.has(transport)){
+			return this.#handle(transport);
+		}
+		Service.#timedTransports.add(transport);
+		const endTimer = metrics.handlerDuration.startTimer({
+			method: transport.incomingHeaders[http2.constants.HTTP2_HEADER_METHOD]
+		});
+		try{
+			await this.#handle(transport);
+		}finally{
+			endTimer({status: transport.sentHeaders?.[http2.constants.HTTP2_HEADER_STATUS] || "none"});
+		}
+	}
+
+	/**
+	 * Handles the transport, see handle.
+	 * @param transport
+	 */
+	async #handle(transport){
 		this.#logger.debug("Handling transport ...");
 		// first check what kind of transport it is
 		if(transport instanceof WsH2Stream){
@@ -186,12 +236,12 @@ export class Service{
 			this.#logger.error("Websocket transport should have been handled before being passed to a service handler.");
 			return;
 		}
-		if(!this[Service.#ErrorSymbol]){
-			this.#logger.error("No error handler set.");
+		if(this.#errorProtocol){
+			transport.errorProtocol = this.#errorProtocol;
 		}
 		let identifiedHandler;
 		let requestedHandler = transport.incomingHeaders[this.#header];
-		if(requestedHandler.startsWith("#")){
+		if(requestedHandler?.startsWith("#")){
 			// if the header is a hash, then it is going to default be not found.
 			requestedHandler = this[Service.#NotfoundSymbol];
 		}
@@ -230,10 +280,32 @@ export class Service{
 				await handler.call(this, transport);
 			}
 		}catch(e){
-			if(this[Service.#ErrorSymbol])
+			if(!this[Service.#ErrorSymbol]){
+				this.#handleError(transport, e);
+				return;
+			}
+			try{
 				await this[Service.#ErrorSymbol](transport, e);
-			else
-				this.#logger.error("Error occurred while handling the transport", e);
+			}catch(handlerError){
+				this.#logger.error("Error handler failed", handlerError);
+				this.#handleError(transport, e);
+			}
+		}
+	}
+
+	/**
+	 * The default error path, used unless the service sets an error handler. Answers HttpErrors with their status
+	 * and anything else with a 500, as problem details. When the response is already under way the stream is reset.
+	 * @param transport
+	 * @param {any} error
+	 */
+	#handleError(transport, error){
+		const httpError = HttpError.from(error);
+		if(httpError.status >= http2.constants.HTTP_STATUS_INTERNAL_SERVER_ERROR){
+			this.#logger.error("Error occurred while handling the transport", error);
+		}else{
+			this.#logger.debug(`Transport answered with ${httpError.status}: ${httpError.message}`);
 		}
+		transport.sendError(httpError);
 	}
 }
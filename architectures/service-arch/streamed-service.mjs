@@ -70,7 +70,7 @@ export class StreamedService extends EventEmitter {
 	/**
 	 * The constructor of the StreamedService class.
 	 * @param {Object} configs - The configuration object for the service.
-	 * @param {H2Stream | WsH2Stream} transport - The transport object that the service will use to communicate with the other side.
+	 * @param {H2Stream | WsH2Stream | SseStream} transport - The transport object that the service will use to communicate with the other side.
 	 */
 	constructor(configs, transport) {
 		super();
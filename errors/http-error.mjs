@@ -0,0 +1,226 @@
+import http from "node:http";
+import http2 from "node:http2";
+
+/**
+ * The content type of RFC 9457 problem details.
+ * @type {string}
+ */
+export const PROBLEM_CONTENT_TYPE = "application/problem+json";
+
+/**
+ * An error that maps to an HTTP status. Handlers throw them, and the error path of the services answers them with
+ * RFC 9457 problem details (application/problem+json).
+ * @extends Error
+ */
+export class HttpError extends Error {
+	/**
+	 * The HTTP status of the error.
+	 * @type {number}
+	 */
+	status = http2.constants.HTTP_STATUS_INTERNAL_SERVER_ERROR;
+	/**
+	 * A URI reference identifying the problem type. "about:blank" when the status says it all.
+	 * @type {string}
+	 */
+	type = "about:blank";
+	/**
+	 * A short summary of the problem type, the reason phrase of the status by default.
+	 * @type {string}
+	 */
+	title = "";
+	/**
+	 * An explanation of this occurrence of the problem, meant for the client.
+	 * @type {string | undefined}
+	 */
+	detail = undefined;
+	/**
+	 * Response headers that go along with the error, like retry-after or www-authenticate.
+	 * @type {Object<string, string | number>}
+	 */
+	headers = {};
+	/**
+	 * Extra members of the problem details.
+	 * @type {Object<string, any>}
+	 */
+	extensions = {};
+
+	/**
+	 * @param {number} status
+	 * @param {string} [detail] Sent to the client, keep anything internal out of it.
+	 * @param {Object} [options]
+	 * @param {string} [options.type]
+	 * @param {string} [options.title]
+	 * @param {Object<string, string | number>} [options.headers]
+	 * @param {Object<string, any>} [options.extensions]
+	 * @param {any} [options.cause]
+	 */
+	constructor(status, detail, options = {}) {
+		super(detail || `HTTP ${status}`, {cause: options.cause});
+		this.name = new.target.name;
+		this.status = status;
+		this.detail = detail;
+		this.type = options.type || "about:blank";
+		this.title = options.title || http.STATUS_CODES[status] || "Error";
+		this.headers = options.headers || {};
+		this.extensions = options.extensions || {};
+	}
+
+	/**
+	 * Turns anything that was thrown into an HttpError. Other errors become a 500 that tells nothing about them, and
+	 * are kept as the cause.
+	 * @param {any} error
+	 * @returns {HttpError}
+	 */
+	static from(error) {
+		if (error instanceof HttpError) {
+			return error;
+		}
+		return new InternalServerError(undefined, {cause: error});
+	}
+
+	/**
+	 * The problem details of the error.
+	 * @param {string} [instance] A URI reference identifying this occurrence, the request path for instance.
+	 * @returns {Object<string, any>}
+	 */
+	toProblem(instance) {
+		return {
+			...this.extensions,
+			type: this.type,
+			title: this.title,
+			status: this.status,
+			...(this.detail === undefined ? {} : {detail: this.detail}),
+			...(instance === undefined ? {} : {instance})
+		};
+	}
+}
+
+/**
+ * 400, the request is malformed.
+ * @extends HttpError
+ */
+export class BadRequestError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_BAD_REQUEST, detail, options);
+	}
+}
+
+/**
+ * 401, the request lacks valid credentials. Pass the www-authenticate header in the options.
+ * @extends HttpError
+ */
+export class UnauthorizedError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_UNAUTHORIZED, detail, options);
+	}
+}
+
+/**
+ * 403, the credentials do not allow the request.
+ * @extends HttpError
+ */
+export class ForbiddenError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_FORBIDDEN, detail, options);
+	}
+}
+
+/**
+ * 404, nothing was found for the request.
+ * @extends HttpError
+ */
+export class NotFoundError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_NOT_FOUND, detail, options);
+	}
+}
+
+/**
+ * 405, the method is not supported by the resource. Pass the allow header in the options.
+ * @extends HttpError
+ */
+export class MethodNotAllowedError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_METHOD_NOT_ALLOWED, detail, options);
+	}
+}
+
+/**
+ * 409, the request conflicts with the state of the resource.
+ * @extends HttpError
+ */
+export class ConflictError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_CONFLICT, detail, options);
+	}
+}
+
+/**
+ * 413, the request body is larger than allowed.
+ * @extends HttpError
+ */
+export class PayloadTooLargeError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_PAYLOAD_TOO_LARGE, detail, options);
+	}
+}
+
+/**
+ * 415, the request body is in a format the resource does not take.
+ * @extends HttpError
+ */
+export class UnsupportedMediaTypeError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_UNSUPPORTED_MEDIA_TYPE, detail, options);
+	}
+}
+
+/**
+ * 422, the request body is well-formed but its content is not valid.
+ * @extends HttpError
+ */
+export class UnprocessableContentError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_UNPROCESSABLE_ENTITY, detail, options);
+	}
+}
+
+/**
+ * 429, the client sent too many requests. Pass the retry-after header in the options.
+ * @extends HttpError
+ */
+export class TooManyRequestsError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_TOO_MANY_REQUESTS, detail, options);
+	}
+}
+
+/**
+ * 500, the server failed to handle the request.
+ * @extends HttpError
+ */
+export class InternalServerError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_INTERNAL_SERVER_ERROR, detail, options);
+	}
+}
+
+/**
+ * 501, the server does not support the request.
+ * @extends HttpError
+ */
+export class NotImplementedError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_NOT_IMPLEMENTED, detail, options);
+	}
+}
+
+/**
+ * 503, the server can not handle the request right now. Pass the retry-after header in the options.
+ * @extends HttpError
+ */
+export class ServiceUnavailableError extends HttpError {
+	constructor(detail, options) {
+		super(http2.constants.HTTP_STATUS_SERVICE_UNAVAILABLE, detail, options);
+	}
+}
@@ -0,0 +1,31 @@
+/**
+ * An error of a WebTransport session or of one of its streams, like the WebTransportError of the W3C API.
+ * Streams are errored with it when the peer resets them or stops reading them, and when their session closes.
+ * @extends Error
+ */
+export class WebTransportError extends Error {
+	/**
+	 * What failed: "stream" when only the stream did, "session" when the whole session did.
+	 * @type {"stream" | "session"}
+	 */
+	source = "stream";
+	/**
+	 * The application error code the peer reset or stopped the stream with, null for session errors.
+	 * @type {number | null}
+	 */
+	streamErrorCode = null;
+
+	/**
+	 * @param {string} message
+	 * @param {Object} [options]
+	 * @param {"stream" | "session"} [options.source="stream"]
+	 * @param {number | null} [options.streamErrorCode=null]
+	 * @param {any} [options.cause]
+	 */
+	constructor(message, options = {}) {
+		super(message, {cause: options.cause});
+		this.name = new.target.name;
+		this.source = options.source || "stream";
+		this.streamErrorCode = options.streamErrorCode ?? null;
+	}
+}
@@ -0,0 +1,25 @@
+/**
+ * An error in what the peer of a websocket sent, which fails the connection (RFC 6455 section 7.1.7). The websocket
+ * closes with the close code of the error and emits it as its error event.
+ * @extends Error
+ */
+export class WsProtocolError extends Error {
+	/**
+	 * The close code the connection is failed with: 1002 for protocol violations, 1007 for invalid payload data,
+	 * 1009 for messages that are too big. See WsH2Stream.CLOSE_CODES.
+	 * @type {number}
+	 */
+	closeCode = 1002;
+
+	/**
+	 * @param {number} closeCode
+	 * @param {string} message Sent to the peer as the close reason, keep it short.
+	 * @param {Object} [options]
+	 * @param {any} [options.cause]
+	 */
+	constructor(closeCode, message, options = {}) {
+		super(message, {cause: options.cause});
+		this.name = new.target.name;
+		this.closeCode = closeCode;
+	}
+}
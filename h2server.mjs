@@ -1,6 +1,25 @@
-import {EventEmitter} from "node:events";
+import {EventEmitter, once} from "node:events";
 import http2 from "node:http2";
+import net from "node:net";
 import {H2Session} from "./h2session.mjs";
+import {H2Stream} from "./streams/h2stream.mjs";
+import {H1Stream} from "./streams/h1-stream.mjs";
+import {WsH2Stream} from "./streams/ws-h2stream.mjs";
+import {WsH1Stream} from "./streams/ws-h1-stream.mjs";
+import {WebTransportSession} from "./streams/webtransport-session.mjs";
+import {CertificateStore} from "./tls/certificate-store.mjs";
+import {createTrustedNetworks, isTrusted, readProxyHeader} from "./utils/proxy-protocol.mjs";
+import {MetricsRegistry} from "./metrics/metrics-registry.mjs";
+import {H2wsMetrics} from "./metrics/h2ws-metrics.mjs";
+import {SessionResumption} from "./resumption/session-resumption.mjs";
+import {resolveCompressionOptions} from "./utils/content-encoding.mjs";
+
+/**
+ * The property under which the client address announced by the PROXY protocol is kept on the socket.
+ * A symbol is used because HTTP/2 sessions only expose their socket through a proxy that forwards property reads.
+ * @type {symbol}
+ */
+const kProxiedAddress = Symbol("proxiedAddress");
 
 
 /**
@@ -14,6 +33,12 @@ import {H2Session} from "./h2session.mjs";
  * @emit H2Server#error
  * @emit H2Server#sessionError
  * @emit H2Server#stream
+ * @emit H2Server#webTransportSession
+ * @emit H2Server#draining
+ * @emit H2Server#drained
+ * @emit H2Server#certificatesReloaded
+ * @emit H2Server#certificatesReloadError
+ * @emit H2Server#proxyProtocolError
  * @extends EventEmitter
  */
 export class H2Server extends EventEmitter {
@@ -22,11 +47,82 @@ export class H2Server extends EventEmitter {
 	 * @type {number}
 	 */
 	static H2_16k = 16 * 1024;
+
+	/**
+	 * The defaults of the tunable HTTP/2 settings and the range each of them must be in.
+	 * @type {Object<string, {defaultValue: number, min: number, max: number}>}
+	 */
+	static #HTTP2_SETTINGS = {
+		maxConcurrentStreams: {defaultValue: 100, min: 1, max: 2 ** 32 - 1},
+		initialWindowSize: {defaultValue: 65535, min: 0, max: 2 ** 31 - 1},
+		maxHeaderListSize: {defaultValue: 64 * 1024, min: 0, max: 2 ** 32 - 1},
+		maxSessionMemory: {defaultValue: 10, min: 1, max: Number.MAX_SAFE_INTEGER}
+	};
+
+	/**
+	 * The TLS versions the server can be restricted to.
+	 * @type {string[]}
+	 */
+	static #TLS_VERSIONS = ["TLSv1.2", "TLSv1.3"];
+
+	/**
+	 * The limits that are enforced on every session and their defaults. Infinity means no limit.
+	 * @type {Object<string, number>}
+	 */
+	static #SESSION_LIMITS = {
+		maxWebSocketStreams: Infinity,
+		maxStreams: Infinity
+	};
+
+	/**
+	 * Resolves the tunable HTTP/2 settings from the options, falling back to the defaults.
+	 * @param {Object<string, number>} [http2Options]
+	 * @returns {Object<string, number>}
+	 * @throws {TypeError | RangeError} When a setting is not an integer or is out of its range.
+	 */
+	static #resolveHttp2Settings(http2Options = {}) {
+		const resolved = {};
+		for (const [name, {defaultValue, min, max}] of Object.entries(H2Server.#HTTP2_SETTINGS)) {
+			const value = http2Options[name] ?? defaultValue;
+			if (!Number.isInteger(value)) {
+				throw new TypeError(`http2.${name} must be an integer.`);
+			}
+			if (value < min || value > max) {
+				throw new RangeError(`http2.${name} must be between ${min} and ${max}.`);
+			}
+			resolved[name] = value;
+		}
+		return resolved;
+	}
+
+	/**
+	 * Resolves the per-session limits from the options, falling back to the defaults.
+	 * @param {Object<string, number>} [sessionLimits]
+	 * @returns {Object<string, number>}
+	 * @throws {RangeError} When a limit is not a positive integer or Infinity.
+	 */
+	static #resolveSessionLimits(sessionLimits = {}) {
+		const resolved = {};
+		for (const [name, defaultValue] of Object.entries(H2Server.#SESSION_LIMITS)) {
+			const value = sessionLimits[name] ?? defaultValue;
+			if (value !== Infinity && !(Number.isInteger(value) && value > 0)) {
+				throw new RangeError(`sessionLimits.${name} must be a positive integer or Infinity.`);
+			}
+			resolved[name] = value;
+		}
+		return resolved;
+	}
 	/**
 	 * The server instance.
-	 * @type {Http2SecureServer}
+	 * @type {Http2SecureServer | Http2Server}
 	 */
 	#serverInstance = null;
+	/**
+	 * The server that listens for connections. It is the server instance itself, unless the connections need to go
+	 * through the PROXY protocol first.
+	 * @type {Http2SecureServer | Http2Server | Server}
+	 */
+	#listenerInstance = null;
 	/**
 	 * The port the server is listening on.
 	 * @type {number}
@@ -45,53 +141,276 @@ export class H2Server extends EventEmitter {
 
 	#isListening = false;
 
+	/**
+	 * The promise of the running drain, if the server is draining.
+	 * @type {Promise<void> | null}
+	 */
+	#drainPromise = null;
+
+	/**
+	 * The promise that resolves once the server instance stopped listening.
+	 * @type {Promise<void> | null}
+	 */
+	#stoppedListeningPromise = null;
+
 	/**
 	 * A map containing the known sessions. It has the session as key and the H2Session as value.
 	 * @type {Map<ServerHttp2Session, H2Session>}
 	 */
 	#knownSessions = new Map();
 
+	/**
+	 * Whether HTTP/1.1 clients are accepted next to HTTP/2 ones.
+	 * @type {boolean}
+	 */
+	#allowHTTP1 = false;
+
+	/**
+	 * The open HTTP/1.1 sockets, each with the responses that are still in flight on it.
+	 * @type {Map<Socket, Set<ServerResponse>>}
+	 */
+	#http1Sockets = new Map();
+
+	/**
+	 * The websockets that were upgraded from HTTP/1.1 connections, by their socket.
+	 * @type {Map<Socket, WsH1Stream>}
+	 */
+	#http1WebSockets = new Map();
+
+	/**
+	 * The limits that are enforced on every session.
+	 * @type {{maxWebSocketStreams: number, maxStreams: number}}
+	 */
+	#sessionLimits = {...H2Server.#SESSION_LIMITS};
+
+	/**
+	 * The keepalive options of the sessions, see H2Session.
+	 * @type {Object<string, number>}
+	 */
+	#keepalive = {};
+
+	/**
+	 * The certificates of the server: the default one and those picked through SNI.
+	 * @type {CertificateStore}
+	 */
+	#certificateStore = null;
+
+	/**
+	 * The TLS options every secure context of the server is created with.
+	 * @type {Object<string, any>}
+	 */
+	#secureContextOptions = {};
+
+	/**
+	 * The networks of the proxies whose PROXY protocol headers are trusted. Null when the PROXY protocol is not used.
+	 * @type {BlockList | null}
+	 */
+	#trustedProxies = null;
+
+	/**
+	 * Milliseconds a trusted proxy gets to send the whole PROXY protocol header.
+	 * @type {number}
+	 */
+	#proxyHeaderTimeout = 5000;
+
+	/**
+	 * The metrics of the server. Null when the server collects no metrics.
+	 * @type {H2wsMetrics | null}
+	 */
+	#metrics = null;
+
+	/**
+	 * The open connections, whose bytes count towards the byte metrics.
+	 * @type {Set<Socket>}
+	 */
+	#connectionSockets = new Set();
+
+	/**
+	 * The bytes of the connections that are already closed.
+	 * @type {{received: number, sent: number}}
+	 */
+	#closedConnectionBytes = {received: 0, sent: 0};
+
+	/**
+	 * The resumption of the sessions. Null when sessions can not be resumed.
+	 * @type {SessionResumption | null}
+	 */
+	#resumption = null;
+
+	/**
+	 * The compression of the responses. Null when responses are not compressed unless a stream asks for it.
+	 * @type {{threshold: number, encodings: string[], brotliQuality: number, level: number} | null}
+	 */
+	#compression = null;
+
+	/**
+	 * The error protocol of the streams, see H2Stream.errorProtocol.
+	 * @type {"logger" | "throw"}
+	 */
+	#errorProtocol = "logger";
+
+	/**
+	 * The websocket options of the server, see WsH2Stream.resolveOptions.
+	 * @type {{maxFrameSize: number, maxMessageSize: number, maxFragments: number, closeTimeout: number, heartbeatInterval: number, maxMissedPongs: number, streamHighWaterMark: number, perMessageDeflate: Object | null, protocols: string[] | null, allowedOrigins: string[] | null, authorize: WsAuthorizer | null, routes: Object<string, Object>}}
+	 */
+	#webSocket = null;
+
+	/**
+	 * The WebTransport options of the server, see WebTransportSession.resolveOptions.
+	 * @type {{maxSessions: number, initialMaxData: number, initialMaxStreamDataUni: number, initialMaxStreamDataBidi: number, initialMaxStreamsUni: number, initialMaxStreamsBidi: number, maxDatagramSize: number}}
+	 */
+	#webTransport = null;
+
 	/**
 	 * Constructs an HTTP2 server and adds all event listeners.
 	 * @param {Console?} options.logger
 	 * @param {number?} options.port
 	 * @param {string?} options.listeningAddress
 	 * @param {function?} optinos.SNICallback
-	 * @param {Object<string, any>} options.ssl SSL Options
-	 * @param {string} options.ssl.key SSL Key
-	 * @param {string} options.ssl.cert SSL Certificate
+	 * @param {boolean?} options.allowHTTP1 Accept HTTP/1.1 clients, including RFC 6455 websocket upgrades.
+	 * @param {Object<string, any>?} options.ssl SSL Options, not needed for cleartext servers
+	 * @param {string?} options.ssl.key SSL Key
+	 * @param {string?} options.ssl.cert SSL Certificate
+	 * @param {string?} options.ssl.keyFile Path of the SSL Key, reloaded by reloadCertificates. Used instead of ssl.key.
+	 * @param {string?} options.ssl.certFile Path of the SSL Certificate, reloaded by reloadCertificates. Used instead of ssl.cert.
+	 * @param {string?} options.ssl.ciphers The TLS cipher list, in OpenSSL format. Defaults to the Node.js cipher list.
+	 * @param {"TLSv1.2" | "TLSv1.3"?} options.ssl.minVersion The minimum TLS version. Defaults to TLSv1.2.
+	 * @param {Object<string, number>?} options.http2 HTTP/2 settings
+	 * @param {number?} options.http2.maxConcurrentStreams Defaults to 100.
+	 * @param {number?} options.http2.initialWindowSize Defaults to 65535.
+	 * @param {number?} options.http2.maxHeaderListSize Defaults to 64KiB.
+	 * @param {number?} options.http2.maxSessionMemory In megabytes. Defaults to 10.
+	 * @param {Object<string, number>?} options.sessionLimits Limits enforced on every session.
+	 * @param {number?} options.sessionLimits.maxWebSocketStreams The maximum number of websockets open at once on a session.
+	 * @param {number?} options.sessionLimits.maxStreams The maximum number of streams over the lifetime of a session.
+	 * @param {Object<string, CertificateSource>?} options.certificates Certificates by hostname, wildcards included, picked through SNI.
+	 * @param {boolean | {interval: number, debounce: number}?} options.watchCertificates Reload the certificates when their files change.
+	 * @param {boolean?} options.cleartext Serve prior-knowledge HTTP/2 over cleartext (h2c) instead of TLS. No ssl options are needed.
+	 * @param {Object?} options.proxyProtocol Read PROXY protocol v1/v2 headers from the connections of trusted proxies.
+	 * @param {string[]} options.proxyProtocol.trustedProxies CIDR ranges or addresses of the proxies. Other peers connect directly.
+	 * @param {number?} options.proxyProtocol.headerTimeout Milliseconds to wait for the header. Defaults to 5000.
+	 * @param {boolean | MetricsRegistry?} options.metrics Collect metrics, in the given registry or in a new one.
+	 * @param {Object<string, number>?} options.keepalive The ping interval, idle timeout and dead peer detection of the
+	 * sessions. See H2Session for the options.
+	 * @param {boolean | Object?} options.resumption Let clients resume the data of their previous session with its
+	 * reconnect token. See SessionResumption for the options.
+	 * @param {boolean | Object?} options.compression Compress the responses with the encoding the clients accept.
+	 * See resolveCompressionOptions for the options.
+	 * @param {"logger" | "throw"?} options.errorProtocol What the streams do when they are misused. Defaults to "logger".
+	 * @param {Object?} options.webSocket The options of the websockets. See WsH2Stream.resolveOptions.
+	 * @param {Object?} options.webTransport The options of the WebTransport sessions, advertised in the SETTINGS of
+	 * the connections. See WebTransportSession.resolveOptions.
+	 * @throws {TypeError | RangeError} When an HTTP/2 setting, a TLS option, a session limit, a keepalive option, a
+	 * resumption option, a compression option, the error protocol, a websocket option, a WebTransport option or a proxy
+	 * range is invalid.
 	 */
 	constructor(options) {
 		super();
 		this.#logger = options.logger || console;
 		this.#port = options.port || 8443;
 		this.#listeningAddress = options.listeningAddress || "0.0.0.0";
+		this.#allowHTTP1 = options.allowHTTP1 || false;
+		this.#sessionLimits = H2Server.#resolveSessionLimits(options.sessionLimits);
+		this.#keepalive = H2Session.resolveKeepalive(options.keepalive);
+		this.#compression = resolveCompressionOptions(options.compression);
+		if (options.errorProtocol !== undefined && !H2Stream.ERROR_PROTOCOLS.includes(options.errorProtocol)) {
+			throw new TypeError(`errorProtocol must be one of ${H2Stream.ERROR_PROTOCOLS.join(", ")}.`);
+		}
+		this.#errorProtocol = options.errorProtocol || "logger";
+		this.#webSocket = WsH2Stream.resolveOptions(options.webSocket);
+		this.#webTransport = WebTransportSession.resolveOptions(options.webTransport);
+		if (options.metrics) {
+			this.#metrics = new H2wsMetrics(
+					options.metrics instanceof MetricsRegistry ? options.metrics : new MetricsRegistry(),
+					{bytes: () => this.#connectionBytes()}
+			);
+		}
+		if (options.resumption) {
+			this.#resumption = new SessionResumption({
+				logger: this.#logger,
+				...(options.resumption === true ? {} : options.resumption)
+			});
+		}
 
-		this.#serverInstance = http2.createSecureServer({
-			key: options.ssl.key,
-			cert: options.ssl.cert,
+		const {maxSessionMemory, ...http2Settings} = H2Server.#resolveHttp2Settings(options.http2);
+		const serverOptions = {
+			maxSessionMemory,
+			// Node only reads it from the server options, the WebTransport sessions need the limits of the clients.
+			remoteCustomSettings: Object.values(WebTransportSession.SETTINGS),
+			settings: {
+				...http2Settings,
+				enableConnectProtocol: true,
+				customSettings: WebTransportSession.customSettings(this.#webTransport)
+			}
+		};
+
+		if (options.cleartext) {
+			if (this.#allowHTTP1) {
+				throw new TypeError("allowHTTP1 needs TLS to negotiate the protocol and can not be combined with cleartext.");
+			}
+			this.#serverInstance = http2.createServer(serverOptions);
+		} else {
+			this.#serverInstance = this.#createSecureServer(options, serverOptions);
+		}
+
+		this.#listenerInstance = this.#serverInstance;
+		if (options.proxyProtocol) {
+			this.#trustedProxies = createTrustedNetworks(options.proxyProtocol.trustedProxies || []);
+			this.#proxyHeaderTimeout = options.proxyProtocol.headerTimeout || 5000;
+			this.#listenerInstance = net.createServer(this.#proxiedConnectionListener);
+		}
+		this.#attachListeners();
+	}
+
+	/**
+	 * Creates the TLS server along with the certificate store it picks its certificates from.
+	 * @param {Object<string, any>} options The options of the constructor.
+	 * @param {Object<string, any>} serverOptions The HTTP/2 options of the server.
+	 * @returns {Http2SecureServer}
+	 */
+	#createSecureServer(options, serverOptions) {
+		const minVersion = options.ssl.minVersion || "TLSv1.2";
+		if (!H2Server.#TLS_VERSIONS.includes(minVersion)) {
+			throw new RangeError(`ssl.minVersion must be one of ${H2Server.#TLS_VERSIONS.join(", ")}.`);
+		}
+		if (options.ssl.ciphers !== undefined && typeof options.ssl.ciphers !== "string") {
+			throw new TypeError("ssl.ciphers must be a string.");
+		}
+
+		this.#secureContextOptions = {
+			minVersion,
+			ciphers: options.ssl.ciphers,
 			secureOptions: (
 					http2.constants.SSL_OP_NO_TLSv1 |
 					http2.constants.SSL_OP_NO_SSLv3 |
 					http2.constants.SSL_OP_NO_SSLv2 |
 					http2.constants.SSL_OP_NO_TLSv1_1
-			),
-			SNICallback: options.SNICallback || undefined,
-			// allowHTTP1: options.allowHTTP1 || false,
-			settings: {
-				enableConnectProtocol: true,
-				customSettings: {
-					0x2b60: 100,
-					0x2b61: H2Server.H2_16k,
-					0x2b62: H2Server.H2_16k,
-					0x2b63: H2Server.H2_16k,
-					0x2b64: 100,
-					0x2b65: 100
-				},
-				remoteCustomSettings: [0x2b60, 0x2b61, 0x2b62, 0x2b63, 0x2b64, 0x2b65]
-			}
+			)
+		};
+		this.#certificateStore = new CertificateStore({
+			defaultCertificate: {
+				key: options.ssl.key,
+				cert: options.ssl.cert,
+				keyFile: options.ssl.keyFile,
+				certFile: options.ssl.certFile
+			},
+			certificates: options.certificates,
+			secureContextOptions: this.#secureContextOptions,
+			logger: this.#logger
+		});
+		this.#certificateStore.on("reload", this.#certificatesReloadListener);
+		this.#certificateStore.on("reloadError", this.#certificatesReloadErrorListener);
+		if (options.watchCertificates) {
+			this.#certificateStore.watch(options.watchCertificates === true ? {} : options.watchCertificates);
+		}
+
+		return http2.createSecureServer({
+			...this.#secureContextOptions,
+			...this.#certificateStore.defaultCertificate,
+			SNICallback: options.SNICallback || this.#certificateStore.SNICallback,
+			allowHTTP1: this.#allowHTTP1,
+			...serverOptions
 		});
-		this.#attachListeners();
 	}
 
 
@@ -105,7 +424,7 @@ export class H2Server extends EventEmitter {
 	 */
 	#startedListeningListener = () => {
 		this.#isListening = true;
-		const address = this.#serverInstance.address();
+		const address = this.#listenerInstance.address();
 		this.#listeningAddress = address.address;
 		this.#port = address.port;
 		this.#logger.info(`HTTP/2 Listening on ${this.#listeningAddress}:${this.#port}`);
@@ -119,7 +438,7 @@ export class H2Server extends EventEmitter {
 	 * @emits H2Server#secureConnection
 	 */
 	#secureConnectionListener = (socket) => {
-		this.#logger.info(`secure connection initiated with ip: ${socket?.remoteAddress}`);
+		this.#logger.info(`secure connection initiated with ip: ${this.remoteAddressOf(socket).address}`);
 		this.emit("secureConnection", socket);
 	};
 
@@ -131,7 +450,7 @@ export class H2Server extends EventEmitter {
 	 * @emits H2Server#tlsClientError
 	 */
 	#tlsClientErrorListener = (err, socket) => {
-		this.#logger.error(`tlsClientError ip: ${socket?.remoteAddress}`, err);
+		this.#logger.error(`tlsClientError ip: ${this.remoteAddressOf(socket).address}`, err);
 		this.emit("tlsClientError", err, socket);
 	};
 
@@ -141,31 +460,196 @@ export class H2Server extends EventEmitter {
 	 * @emits H2Server#connection
 	 */
 	#connectionListener = (socket) => {
-		this.#logger.debug(`connection initiated ip: ${socket?.remoteAddress}`);
+		this.#logger.debug(`connection initiated ip: ${this.remoteAddressOf(socket).address}`);
+		if (this.#metrics) {
+			this.#connectionSockets.add(socket);
+			socket.once("close", () => {
+				this.#connectionSockets.delete(socket);
+				this.#closedConnectionBytes.received += socket.bytesRead;
+				this.#closedConnectionBytes.sent += socket.bytesWritten;
+			});
+		}
 		this.emit("connection", socket);
 	};
 
+	/**
+	 * The bytes received and sent on all connections so far, open and closed.
+	 * @returns {{received: number, sent: number}}
+	 */
+	#connectionBytes() {
+		const bytes = {...this.#closedConnectionBytes};
+		for (const socket of this.#connectionSockets) {
+			bytes.received += socket.bytesRead;
+			bytes.sent += socket.bytesWritten;
+		}
+		return bytes;
+	}
+
+	/**
+	 * Listener for the connections accepted while the PROXY protocol is enabled. Trusted proxies must start with a
+	 * PROXY protocol header, whose client address is kept on the socket. The socket is then handed to the server instance.
+	 * @param {Socket} socket
+	 * @emits H2Server#proxyProtocolError
+	 */
+	#proxiedConnectionListener = (socket) => {
+		if (!isTrusted(this.#trustedProxies, socket.remoteAddress)) {
+			this.#serverInstance.emit("connection", socket);
+			return;
+		}
+		readProxyHeader(socket, {timeout: this.#proxyHeaderTimeout}).then((header) => {
+			if (!header.local) {
+				socket[kProxiedAddress] = {address: header.sourceAddress, port: header.sourcePort};
+			}
+			this.#serverInstance.emit("connection", socket);
+		}).catch((err) => {
+			this.#logger.warn(`Invalid PROXY protocol header from ip: ${socket.remoteAddress}`, err);
+			this.emit("proxyProtocolError", err, socket);
+			socket.destroy();
+		});
+	};
+
 	/**
 	 * Listener for when a session is initiated.
 	 * @param session
 	 * @emits H2Server#session
 	 * @emits H2Server#stream
+	 * @emits H2Server#webTransportSession
+	 * @emits H2Server#resumed
 	 */
 	#sessionListener = (session) => {
 		const h2Session = new H2Session(session, {
 			logger: this.#logger,
-			server: this
+			server: this,
+			limits: this.#sessionLimits,
+			keepalive: this.#keepalive
 		});
 		h2Session.on("close", () => {
 			this.#logger.debug(`session closed for: ${h2Session.remoteIpAndPort}`);
 			this.#knownSessions.delete(session);
+			this.#metrics?.sessions.dec();
 		});
+		this.#metrics?.sessions.inc();
 		this.#knownSessions.set(session, h2Session);
+		this.#resumption?.track(h2Session);
 		this.emit("session", h2Session);
 
+		h2Session.on("resumed", (resumed) => {
+			this.emit("resumed", h2Session, resumed);
+		});
+
 		h2Session.on("stream", (h2Stream) => {
 			this.emit("stream", h2Stream);
 		});
+		h2Session.on("webTransportSession", (webTransportSession) => {
+			this.emit("webTransportSession", webTransportSession);
+		});
+		if(this.#drainPromise){
+			// The session raced the server shutdown; it gets told to go away right away.
+			h2Session.drain();
+		}
+	};
+
+	/**
+	 * Keeps track of an HTTP/1.1 socket until it closes.
+	 * @param {Socket} socket
+	 * @returns {Set<ServerResponse>} The responses in flight on the socket.
+	 */
+	#trackHttp1Socket(socket) {
+		if (!this.#http1Sockets.has(socket)) {
+			this.#http1Sockets.set(socket, new Set());
+			socket.once("close", () => {
+				this.#http1Sockets.delete(socket);
+			});
+		}
+		return this.#http1Sockets.get(socket);
+	}
+
+	/**
+	 * Listener for the requests of HTTP/1.1 clients. Wraps them in an H1Stream and emits the stream event.
+	 * The compatibility layer emits this event for HTTP/2 streams as well, those are left to the sessions.
+	 * @param {IncomingMessage} request
+	 * @param {ServerResponse} response
+	 * @emits H2Server#stream
+	 */
+	#http1RequestListener = (request, response) => {
+		if (request.httpVersionMajor >= 2) {
+			return;
+		}
+		this.#logger.debug(`HTTP/1.1 request from ip: ${this.remoteAddressOf(request.socket).address}`);
+		const inFlightResponses = this.#trackHttp1Socket(request.socket);
+		inFlightResponses.add(response);
+		response.shouldKeepAlive = response.shouldKeepAlive && !this.#drainPromise;
+		this.#metrics?.trackStream("http", response);
+		response.once("close", () => {
+			inFlightResponses.delete(response);
+			if (this.#drainPromise && !inFlightResponses.size) {
+				request.socket.end();
+			}
+		});
+		this.emit("stream", new H1Stream(request, response, {
+			server: this,
+			logger: this.#logger
+		}));
+	};
+
+	/**
+	 * Listener for the upgrade requests of HTTP/1.1 clients. Performs the websocket handshake and emits the stream event.
+	 * @param {IncomingMessage} request
+	 * @param {Socket} socket
+	 * @param {Buffer} head
+	 * @emits H2Server#stream
+	 */
+	#http1UpgradeListener = (request, socket, head) => {
+		this.#logger.debug(`HTTP/1.1 upgrade request from ip: ${this.remoteAddressOf(socket).address}`);
+		this.#trackHttp1Socket(socket);
+		if (this.#drainPromise) {
+			socket.end(`HTTP/1.1 503 Service Unavailable\r\nconnection: close\r\n\r\n`);
+			return;
+		}
+		const wsH1Stream = WsH1Stream.categorise(request, socket, head, {
+			server: this,
+			logger: this.#logger
+		});
+		if (!wsH1Stream) {
+			return;
+		}
+		wsH1Stream.accepted.then((accepted) => {
+			if (!accepted || socket.destroyed) {
+				return;
+			}
+			this.#http1WebSockets.set(socket, wsH1Stream);
+			this.#metrics?.trackStream("websocket", socket);
+			socket.once("close", () => {
+				this.#http1WebSockets.delete(socket);
+			});
+			this.emit("stream", wsH1Stream);
+		}, (err) => {
+			this.#logger.error("Websocket handshake failed.", err);
+			socket.destroy();
+		});
+	};
+
+	/**
+	 * Listener for the certificate store reloads. Swaps in the new default certificate, the hostname specific ones
+	 * are picked up by the SNI callback. Established sessions keep the certificate they were opened with.
+	 * @param {string[]} hostnames The reloaded hostnames.
+	 * @emits H2Server#certificatesReloaded
+	 */
+	#certificatesReloadListener = (hostnames) => {
+		this.#serverInstance.setSecureContext({
+			...this.#secureContextOptions,
+			...this.#certificateStore.defaultCertificate
+		});
+		this.emit("certificatesReloaded", hostnames);
+	};
+
+	/**
+	 * Listener for failed certificate reloads. The previous certificates stay in use.
+	 * @param {Error} err
+	 * @emits H2Server#certificatesReloadError
+	 */
+	#certificatesReloadErrorListener = (err) => {
+		this.emit("certificatesReloadError", err);
 	};
 
 	/**
@@ -173,6 +657,8 @@ export class H2Server extends EventEmitter {
 	 * @emits H2Server#close
 	 */
 	#closeListener = () => {
+		this.#isListening = false;
+		this.#certificateStore?.unwatch();
 		this.#logger.info("server closed");
 		this.emit("close");
 	};
@@ -205,13 +691,20 @@ export class H2Server extends EventEmitter {
 	 */
 	#attachListeners() {
 		this.#serverInstance.on("secureConnection", this.#secureConnectionListener);
-		this.#serverInstance.on("listening", this.#startedListeningListener);
+		this.#listenerInstance.on("listening", this.#startedListeningListener);
 		this.#serverInstance.on("tlsClientError", this.#tlsClientErrorListener);
 		this.#serverInstance.on("connection", this.#connectionListener);
 		this.#serverInstance.on("session", this.#sessionListener);
-		this.#serverInstance.on("close", this.#closeListener);
+		this.#listenerInstance.on("close", this.#closeListener);
 		this.#serverInstance.on("error", this.#errorListener);
+		if (this.#listenerInstance !== this.#serverInstance) {
+			this.#listenerInstance.on("error", this.#errorListener);
+		}
 		this.#serverInstance.on("sessionError", this.#sessionErrorListener);
+		if (this.#allowHTTP1) {
+			this.#serverInstance.on("request", this.#http1RequestListener);
+			this.#serverInstance.on("upgrade", this.#http1UpgradeListener);
+		}
 	}
 
 	/**************************************************************************
@@ -230,7 +723,253 @@ export class H2Server extends EventEmitter {
 	 * Starts the server listening on the specified port and address.
 	 */
 	listen() {
-		this.#serverInstance.listen(this.#port || 8443, this.#listeningAddress || "0.0.0.0");
+		this.#listenerInstance.listen(this.#port || 8443, this.#listeningAddress || "0.0.0.0");
+	}
+
+	/**
+	 * The certificates of the server. Hostname specific certificates can be added and removed at runtime.
+	 * @returns {CertificateStore | null} Null for cleartext servers.
+	 */
+	get certificates() {
+		return this.#certificateStore;
+	}
+
+	/**
+	 * The address of the client on the other end of a socket. It is the one announced by a trusted proxy through the
+	 * PROXY protocol if there is one, otherwise the address of the peer.
+	 * @param {Socket} socket A socket of the server, or the socket of one of its sessions.
+	 * @returns {{address: string | undefined, port: number | undefined}}
+	 */
+	remoteAddressOf(socket) {
+		// TLS sockets wrap the accepted socket, which is where the address was kept.
+		return socket?.[kProxiedAddress] || socket?._parent?.[kProxiedAddress] || {
+			address: socket?.remoteAddress,
+			port: socket?.remotePort
+		};
+	}
+
+	/**
+	 * Reads the certificate files again and starts using them for new connections. Established sessions are kept.
+	 * If any certificate fails to load, the previous certificates stay in use and the returned promise rejects.
+	 * @returns {Promise<string[]>} The reloaded hostnames.
+	 * @emits H2Server#certificatesReloaded
+	 * @emits H2Server#certificatesReloadError
+	 */
+	reloadCertificates() {
+		if (!this.#certificateStore) {
+			return Promise.reject(new Error("A cleartext server has no certificates to reload."));
+		}
+		return this.#certificateStore.reload();
+	}
+
+	/**
+	 * The metrics of the server, or null when it was created without the metrics option.
+	 * @returns {H2wsMetrics | null}
+	 */
+	get metrics() {
+		return this.#metrics;
+	}
+
+	/**
+	 * The resumption of the sessions, or null when it was created without the resumption option.
+	 * @returns {SessionResumption | null}
+	 */
+	get resumption() {
+		return this.#resumption;
+	}
+
+	/**
+	 * The compression options of the responses, or null when they are not compressed by default.
+	 * @returns {{threshold: number, encodings: string[], brotliQuality: number, level: number} | null}
+	 */
+	get compression() {
+		return this.#compression;
+	}
+
+	/**
+	 * The error protocol the streams of the server start with.
+	 * @returns {"logger" | "throw"}
+	 */
+	get errorProtocol() {
+		return this.#errorProtocol;
+	}
+
+	/**
+	 * The options the websockets of the server start with.
+	 * @returns {{maxFrameSize: number, maxMessageSize: number, maxFragments: number, closeTimeout: number, heartbeatInterval: number, maxMissedPongs: number, streamHighWaterMark: number, perMessageDeflate: Object | null, protocols: string[] | null, allowedOrigins: string[] | null, authorize: WsAuthorizer | null, routes: Object<string, Object>}}
+	 */
+	get webSocket() {
+		return this.#webSocket;
+	}
+
+	/**
+	 * The options of the WebTransport sessions of the server.
+	 * @returns {{maxSessions: number, initialMaxData: number, initialMaxStreamDataUni: number, initialMaxStreamDataBidi: number, initialMaxStreamsUni: number, initialMaxStreamsBidi: number, maxDatagramSize: number}}
+	 */
+	get webTransport() {
+		return this.#webTransport;
+	}
+
+	/**
+	 * The currently known sessions.
+	 * @returns {H2Session[]}
+	 */
+	get sessions() {
+		return [...this.#knownSessions.values()];
+	}
+
+	/**
+	 * Finds the known sessions that satisfy a predicate.
+	 * @param {function(H2Session): boolean} predicate
+	 * @returns {H2Session[]}
+	 */
+	findSessions(predicate) {
+		return this.sessions.filter(predicate);
+	}
+
+	/**
+	 * Finds the known sessions by a key of their data. A session matches when the value under the key equals the
+	 * given value or, for arrays and sets (a list of lobbies for instance), when it contains the given value.
+	 * @param {string} key The key in H2Session.data.
+	 * @param {any} value
+	 * @returns {H2Session[]}
+	 */
+	findSessionsByData(key, value) {
+		return this.findSessions((h2Session) => {
+			const sessionValue = h2Session.data[key];
+			if (Array.isArray(sessionValue)) {
+				return sessionValue.includes(value);
+			}
+			if (sessionValue instanceof Set) {
+				return sessionValue.has(value);
+			}
+			return sessionValue === value;
+		});
+	}
+
+	/**
+	 * Sends a message to the open websocket streams of the sessions that satisfy the predicate.
+	 * @param {"sendText" | "sendBinary"} method
+	 * @param {string | Buffer} message
+	 * @param {function(H2Session): boolean} [predicate] All sessions when omitted.
+	 * @returns {{sessions: number, delivered: number, failed: number}}
+	 */
+	#broadcast(method, message, predicate = () => true) {
+		const counts = {sessions: 0, delivered: 0, failed: 0};
+		for (const h2Session of this.findSessions(predicate)) {
+			const {delivered, failed} = h2Session[method](message);
+			counts.sessions++;
+			counts.delivered += delivered;
+			counts.failed += failed;
+		}
+		this.#logger.debug(`Broadcast delivered to ${counts.delivered} websockets of ${counts.sessions} sessions`);
+		return counts;
+	}
+
+	/**
+	 * Sends a text message to the open websocket streams of the sessions that satisfy the predicate.
+	 * @param {string} text
+	 * @param {function(H2Session): boolean} [predicate] All sessions when omitted.
+	 * @returns {{sessions: number, delivered: number, failed: number}} The number of matched sessions, and of streams the
+	 * message was sent to and failed on.
+	 */
+	broadcastText(text, predicate) {
+		return this.#broadcast("sendText", text, predicate);
+	}
+
+	/**
+	 * Sends a binary message to the open websocket streams of the sessions that satisfy the predicate.
+	 * @param {Buffer} data
+	 * @param {function(H2Session): boolean} [predicate] All sessions when omitted.
+	 * @returns {{sessions: number, delivered: number, failed: number}} The number of matched sessions, and of streams the
+	 * message was sent to and failed on.
+	 */
+	broadcastBinary(data, predicate) {
+		return this.#broadcast("sendBinary", data, predicate);
+	}
+
+	/**
+	 * Is the server currently draining its sessions?
+	 * @returns {boolean}
+	 */
+	get isDraining() {
+		return this.#drainPromise !== null;
+	}
+
+	/**
+	 * Stops accepting new sessions and gracefully closes the known ones. Every session receives a GOAWAY frame, every
+	 * open websocket stream a close frame, and the in-flight streams are allowed to finish. Whatever is still open once
+	 * the deadline passes is destroyed.
+	 * Calling it again while a drain is running returns the same promise.
+	 * @param {Object} [options]
+	 * @param {number} [options.deadline=30000] Milliseconds to wait before the remaining sessions are destroyed.
+	 * @returns {Promise<void>}
+	 * @emits H2Server#draining
+	 * @emits H2Server#drained
+	 */
+	drain({deadline = 30000} = {}) {
+		if (this.#drainPromise) {
+			return this.#drainPromise;
+		}
+		this.#stoppedListeningPromise = new Promise((resolve) => {
+			// The callback fires once all sessions are gone, or right away with an error if the server was not listening.
+			this.#listenerInstance.close(() => resolve());
+		});
+		const h2Sessions = [...this.#knownSessions.values()];
+		this.#logger.info(`Draining ${h2Sessions.length} sessions with a deadline of ${deadline}ms`);
+		this.emit("draining", {sessions: h2Sessions.length, http1Connections: this.#http1Sockets.size, deadline});
+		this.#http1WebSockets.forEach((wsH1Stream) => wsH1Stream.close(WsH2Stream.CLOSE_CODES.GOING_AWAY));
+		for (const [socket, inFlightResponses] of this.#http1Sockets) {
+			inFlightResponses.forEach((response) => response.shouldKeepAlive = false);
+			// Idle keep-alive connections are ended, upgraded ones go through the websocket close handshake instead.
+			if (!inFlightResponses.size && !this.#http1WebSockets.has(socket)) {
+				socket.end();
+			}
+		}
+
+		this.#drainPromise = new Promise((resolve) => {
+			let finished = false;
+			const finish = (destroyedConnections) => {
+				if (finished) {
+					return;
+				}
+				finished = true;
+				clearTimeout(deadlineTimeout);
+				this.#logger.info("Server drained");
+				this.emit("drained", {destroyedConnections});
+				resolve();
+			};
+			const deadlineTimeout = setTimeout(() => {
+				const remainingSessions = [...this.#knownSessions.values()];
+				const remainingSockets = [...this.#http1Sockets.keys()];
+				this.#logger.warn(`Drain deadline reached, destroying ${remainingSessions.length} sessions and ${remainingSockets.length} HTTP/1.1 connections`);
+				remainingSessions.forEach((h2Session) => h2Session.destroy());
+				remainingSockets.forEach((socket) => socket.destroy());
+				finish(remainingSessions.length + remainingSockets.length);
+			}, deadline);
+			const drainKnownConnections = async () => {
+				// Sessions that raced the shutdown are drained by the session listener, so they are waited for as well.
+				while (this.#knownSessions.size || this.#http1Sockets.size) {
+					await Promise.all([
+						...[...this.#knownSessions.values()].map((h2Session) => h2Session.drain()),
+						...[...this.#http1Sockets.keys()].map((socket) => once(socket, "close").catch(() => {}))
+					]);
+				}
+			};
+			drainKnownConnections().then(() => finish(0));
+		});
+		return this.#drainPromise;
+	}
+
+	/**
+	 * Drains the server and resolves once the underlying server instance is closed.
+	 * @param {Object} [options]
+	 * @param {number} [options.deadline=30000] Milliseconds to wait before the remaining sessions are destroyed.
+	 * @returns {Promise<void>}
+	 */
+	async close({deadline = 30000} = {}) {
+		await this.drain({deadline});
+		await this.#stoppedListeningPromise;
 	}
 
 }
@@ -1,9 +1,37 @@
 import { EventEmitter } from 'node:events';
+import crypto from 'node:crypto';
 import http2 from 'node:http2';
 import {H2Stream} from "./streams/h2stream.mjs";
 import {WsH2Stream} from "./streams/ws-h2stream.mjs";
+import {WebTransportSession} from "./streams/webtransport-session.mjs";
+import {RollingStats} from "./utils/rolling-stats.mjs";
 
+/**
+ * A wrapper around an HTTP/2 server session. It categorises the incoming streams and keeps the session alive with
+ * pings, which also measure its latency.
+ * @emits H2Session#stream
+ * @emits H2Session#webTransportSession - When a WebTransport session is opened. Receives the WebTransportSession.
+ * @emits H2Session#ping - When a ping is answered. Receives the latency in milliseconds.
+ * @emits H2Session#timeout - When the session is closed for being idle or for not answering pings. Receives
+ * {reason: "idle" | "deadPeer", missedPings}.
+ * @emits H2Session#resumed - When the data of a previous session was resumed. Receives {previousSessionId, data}.
+ * @emits H2Session#close
+ * @emits H2Session#error
+ * @extends EventEmitter
+ */
 export class H2Session extends EventEmitter {
+	/**
+	 * The defaults of the keepalive options.
+	 * @type {{pingInterval: number, maxPingInterval: number | undefined, maxMissedPings: number, idleTimeout: number, statsWindow: number}}
+	 */
+	static #KEEPALIVE_DEFAULTS = {
+		pingInterval: 1000,
+		maxPingInterval: undefined,
+		maxMissedPings: 3,
+		idleTimeout: 0,
+		statsWindow: 60
+	};
+
 	/**
 	 * The HTTP2 session.
 	 * @type {ServerHttp2Session}
@@ -20,26 +48,114 @@ export class H2Session extends EventEmitter {
 	 */
 	#logger = console;
 	/**
-	 * The interval for the ping.
-	 * @type {NodeJS.Interval | number | null}
+	 * The timeout of the next ping.
+	 * @type {NodeJS.Timeout | null}
 	 */
-	#pingInterval = null;
+	#pingTimeout = null;
 	/**
 	 * The latency of the session.
 	 * @type {number}
 	 */
 	#latency = 0;
+	/**
+	 * The keepalive options of the session.
+	 * @type {{pingInterval: number, maxPingInterval: number, maxMissedPings: number, idleTimeout: number, statsWindow: number}}
+	 */
+	#keepalive = {...H2Session.#KEEPALIVE_DEFAULTS};
+	/**
+	 * The current time between pings. It grows towards maxPingInterval while the latency is stable.
+	 * @type {number}
+	 */
+	#currentPingInterval = 1000;
+	/**
+	 * Whether a ping was sent and not answered yet.
+	 * @type {boolean}
+	 */
+	#pingOutstanding = false;
+	/**
+	 * The number of consecutive ping intervals that passed without an answer.
+	 * @type {number}
+	 */
+	#missedPings = 0;
+	/**
+	 * The statistics of the measured latencies.
+	 * @type {RollingStats}
+	 */
+	#latencyStats = null;
+	/**
+	 * When a stream was last opened or closed, in milliseconds since the epoch.
+	 * @type {number}
+	 */
+	#lastActivity = Date.now();
 
 	/**
 	 * The streams of the session.
-	 * @type {Map<ServerHttp2Session, H2Session>}
+	 * @type {Map<ServerHttp2Stream, H2Stream | WsH2Stream>}
 	 */
 	#streams = new Map();
+	/**
+	 * The open WebTransport sessions of the session.
+	 * @type {Set<WebTransportSession>}
+	 */
+	#webTransportSessions = new Set();
+	/**
+	 * The websocket streams whose handshake has not settled yet, they count towards the websocket limit meanwhile.
+	 * @type {Set<WsH2Stream>}
+	 */
+	#pendingWebSockets = new Set();
 	/**
 	 * The data of the session.
 	 * @type {Object<string, any>}
 	 */
 	#data = {};
+	/**
+	 * The id of the session, which its reconnect token is issued for.
+	 * @type {string}
+	 */
+	#id = crypto.randomUUID();
+	/**
+	 * The reconnect token of the session, issued on first use.
+	 * @type {string | null}
+	 */
+	#reconnectToken = null;
+	/**
+	 * Whether a stream presented a reconnect token already. Only the first one is used.
+	 * @type {boolean}
+	 */
+	#resumeAttempted = false;
+	/**
+	 * The paths pushed on the session, which are not pushed again.
+	 * @type {Set<string>}
+	 */
+	#pushedPaths = new Set();
+	/**
+	 * The promise of the resumption in progress. Streams wait for it so that they see the resumed data.
+	 * @type {Promise<void> | null}
+	 */
+	#resumePromise = null;
+	/**
+	 * The promise that resolves once a drain of the session has completed.
+	 * @type {Promise<void> | null}
+	 */
+	#drainPromise = null;
+	/**
+	 * The limits enforced on the session.
+	 * @type {{maxWebSocketStreams: number, maxStreams: number}}
+	 */
+	#limits = {
+		maxWebSocketStreams: Infinity,
+		maxStreams: Infinity
+	};
+	/**
+	 * The number of streams the client opened over the lifetime of the session.
+	 * @type {number}
+	 */
+	#totalStreams = 0;
+	/**
+	 * Whether the session has emitted its close event.
+	 * @type {boolean}
+	 */
+	#closed = false;
 
 	/**
 	 *
@@ -47,24 +163,135 @@ export class H2Session extends EventEmitter {
 	 * @param {Object<string, any>} [options.existingSessionData]
 	 * @param {Console?} options.logger
 	 * @param {H2Server?} options.server
+	 * @param {Object<string, number>?} options.limits
+	 * @param {number?} options.limits.maxWebSocketStreams The maximum number of websockets open at once.
+	 * @param {number?} options.limits.maxStreams The maximum number of streams over the lifetime of the session.
+	 * @param {Object<string, number>?} options.keepalive
+	 * @param {number?} options.keepalive.pingInterval Milliseconds between pings. Defaults to 1000.
+	 * @param {number?} options.keepalive.maxPingInterval Lets the interval grow up to this many milliseconds while the
+	 * latency is stable. Defaults to pingInterval, which keeps the interval fixed.
+	 * @param {number?} options.keepalive.maxMissedPings Intervals without a ping answer before the peer is considered
+	 * dead and the session is closed. Defaults to 3.
+	 * @param {number?} options.keepalive.idleTimeout Milliseconds without any open stream or WebTransport session before
+	 * the session is closed, checked on every ping. Defaults to 0, which never closes idle sessions.
+	 * @param {number?} options.keepalive.statsWindow The number of latencies the statistics are computed over. Defaults to 60.
+	 * @throws {RangeError} When a keepalive option is out of range.
 	 */
 	constructor(session, options = {}) {
 		super();
 		this.#session = session;
 		this.#logger = options?.logger || console;
 		this.#server = options.server;
+		this.#limits = {...this.#limits, ...options.limits};
+		this.#keepalive = H2Session.resolveKeepalive(options.keepalive);
+		this.#currentPingInterval = this.#keepalive.pingInterval;
+		this.#latencyStats = new RollingStats({windowSize: this.#keepalive.statsWindow});
 
 		this.#data = options?.existingSessionData || {};
 		this.#attachListeners();
 	}
 
 	/**
-	 * Listener for the stream event. Categorises the stream and emits the stream event.
+	 * Resolves the keepalive options, falling back to the defaults.
+	 * @param {Object<string, number>} [keepalive]
+	 * @returns {{pingInterval: number, maxPingInterval: number, maxMissedPings: number, idleTimeout: number, statsWindow: number}}
+	 * @throws {RangeError} When an option is out of range.
+	 */
+	static resolveKeepalive(keepalive = {}){
+		const resolved = {...H2Session.#KEEPALIVE_DEFAULTS, ...keepalive};
+		resolved.maxPingInterval ??= resolved.pingInterval;
+		if(!(resolved.pingInterval > 0)){
+			throw new RangeError("keepalive.pingInterval must be a positive number of milliseconds.");
+		}
+		if(!(resolved.maxPingInterval >= resolved.pingInterval)){
+			throw new RangeError("keepalive.maxPingInterval must not be lower than keepalive.pingInterval.");
+		}
+		if(!Number.isInteger(resolved.maxMissedPings) || resolved.maxMissedPings < 1){
+			throw new RangeError("keepalive.maxMissedPings must be a positive integer.");
+		}
+		if(!(resolved.idleTimeout >= 0)){
+			throw new RangeError("keepalive.idleTimeout must be 0 or a positive number of milliseconds.");
+		}
+		return resolved;
+	}
+
+	/**
+	 * Listener for the stream event. Enforces the limits of the session and resumes a previous session if the stream
+	 * presents a reconnect token.
 	 * @param {ServerHttp2Stream} stream
 	 * @param {Object<string, any>} headers
 	 */
 	#streamListener = (stream, headers) => {
 		this.#logger.debug("Stream Initiated with headers", headers);
+		this.#lastActivity = Date.now();
+		this.#totalStreams++;
+		if(this.#totalStreams > this.#limits.maxStreams){
+			// The client may safely retry a refused stream, and the GOAWAY sends it to a new connection for that.
+			this.#logger.warn(`Session stream limit of ${this.#limits.maxStreams} reached.`);
+			// Node reports the stream closing with an error code as an error of the stream itself.
+			stream.on('error', (err) => this.#logger.debug(err));
+			stream.close(http2.constants.NGHTTP2_REFUSED_STREAM);
+			this.#session.close();
+			return;
+		}
+		if(
+				headers[http2.constants.HTTP2_HEADER_METHOD] === "CONNECT"
+				&& headers[http2.constants.HTTP2_HEADER_PROTOCOL] === "websocket"
+				&& this.webSocketStreams.length + this.#pendingWebSockets.size >= this.#limits.maxWebSocketStreams
+		){
+			this.#logger.warn(`Session websocket limit of ${this.#limits.maxWebSocketStreams} reached.`);
+			stream.respond({
+				[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_TOO_MANY_REQUESTS
+			}, {endStream: true});
+			return;
+		}
+		if(
+				headers[http2.constants.HTTP2_HEADER_METHOD] === "CONNECT"
+				&& headers[http2.constants.HTTP2_HEADER_PROTOCOL] === "webtransport"
+				&& this.#webTransportSessions.size >= (this.#server?.webTransport?.maxSessions ?? Infinity)
+		){
+			// The limit the server advertises in its SETTINGS.
+			this.#logger.warn(`Session WebTransport limit of ${this.#server.webTransport.maxSessions} reached.`);
+			stream.respond({
+				[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_TOO_MANY_REQUESTS
+			}, {endStream: true});
+			return;
+		}
+		const resumption = this.#server?.resumption;
+		if(resumption && !this.#resumeAttempted && headers[resumption.header]){
+			this.#resumeAttempted = true;
+			this.#resumePromise = this.#resume(headers[resumption.header]);
+		}
+		if(this.#resumePromise){
+			// Nothing listens to the stream yet, a reset while the token is looked up must not be an unhandled error.
+			const pendingErrorListener = (err) => this.#logger.debug("Stream error while resuming the session.", err);
+			stream.on('error', pendingErrorListener);
+			this.#resumePromise.then(() => {
+				if(stream.destroyed){
+					return;
+				}
+				if(this.#closed || this.#session.closed || this.#session.destroyed){
+					// The client may retry the request on a new connection.
+					stream.close(http2.constants.NGHTTP2_REFUSED_STREAM);
+					return;
+				}
+				stream.off('error', pendingErrorListener);
+				this.#acceptStream(stream, headers);
+			});
+			return;
+		}
+		this.#acceptStream(stream, headers);
+	}
+
+	/**
+	 * Categorises the stream and emits the stream event. Websockets are emitted once their handshake accepted them,
+	 * WebTransport sessions with their own event.
+	 * @param {ServerHttp2Stream} stream
+	 * @param {Object<string, any>} headers
+	 * @emits H2Session#stream
+	 * @emits H2Session#webTransportSession
+	 */
+	#acceptStream(stream, headers){
 		const h2Stream = H2Stream.categorise(stream, headers, {
 			server: this.#server,
 			session: this,
@@ -78,9 +305,46 @@ export class H2Session extends EventEmitter {
 			stream.close(http2.constants.NGHTTP2_REFUSED_STREAM);
 			return;
 		}
+		if(h2Stream instanceof WebTransportSession){
+			this.#webTransportSessions.add(h2Stream);
+			this.#server?.metrics?.trackStream('webtransport', stream);
+			stream.on('close', () => {
+				this.#webTransportSessions.delete(h2Stream);
+				this.#lastActivity = Date.now();
+			});
+			this.emit('webTransportSession', h2Stream);
+			return;
+		}
+		if(h2Stream instanceof WsH2Stream){
+			this.#pendingWebSockets.add(h2Stream);
+			h2Stream.accepted.then((accepted) => {
+				this.#pendingWebSockets.delete(h2Stream);
+				if(accepted && !stream.destroyed){
+					this.#trackStream(stream, h2Stream);
+				}
+			}, (err) => {
+				// For instance responding to a stream the client reset meanwhile.
+				this.#pendingWebSockets.delete(h2Stream);
+				this.#logger.error("Websocket handshake failed.", err);
+				stream.destroy();
+			});
+			return;
+		}
+		this.#trackStream(stream, h2Stream);
+	}
+
+	/**
+	 * Keeps the stream among the streams of the session while it is open and emits the stream event.
+	 * @param {ServerHttp2Stream} stream
+	 * @param {H2Stream | WsH2Stream} h2Stream
+	 * @emits H2Session#stream
+	 */
+	#trackStream(stream, h2Stream){
 		this.#streams.set(stream, h2Stream);
+		this.#server?.metrics?.trackStream(h2Stream instanceof WsH2Stream ? 'websocket' : 'http', stream);
 		stream.on('close', () => {
 			this.#streams.delete(stream);
+			this.#lastActivity = Date.now();
 		});
 		stream.on('error', (err) => {
 			this.#logger.error(err);
@@ -89,10 +353,34 @@ export class H2Session extends EventEmitter {
 		this.emit('stream', h2Stream);
 	}
 
+	/**
+	 * Resumes the data of the session a reconnect token was issued for.
+	 * @param {string} token
+	 * @returns {Promise<void>}
+	 * @emits H2Session#resumed
+	 */
+	async #resume(token){
+		try{
+			const resumed = await this.#server.resumption.resume(token);
+			if(!resumed){
+				this.#logger.debug(`Invalid or expired reconnect token from ${this.remoteIpAndPort}`);
+				return;
+			}
+			Object.assign(this.#data, resumed.data);
+			this.#logger.debug(`Session ${resumed.sessionId} resumed as ${this.#id}`);
+			this.emit('resumed', {previousSessionId: resumed.sessionId, data: this.#data});
+		}catch(err){
+			this.#logger.error(`Could not resume a session for ${this.remoteIpAndPort}`, err);
+		}finally{
+			this.#resumePromise = null;
+		}
+	}
+
 	/**
 	 * Listener for the close event. Only emits the close event further.
 	 */
 	#closeListener = () => {
+		this.#closed = true;
 		this.emit('close');
 	}
 
@@ -104,39 +392,201 @@ export class H2Session extends EventEmitter {
 	}
 
 	/**
-	 * Listener for the ping event. Emits the ping event further, and stops the interval if the session is destroyed or closed.
-	 * It is used to measure the latency of the session.
+	 * Listener for the ping event. Emits the ping event further, and stops the pings if the session is destroyed or closed.
+	 * It is used to measure the latency of the session. While the latency is stable the interval between pings grows
+	 * towards maxPingInterval, any jitter brings it back to pingInterval.
 	 * @param err
 	 * @param latency
 	 */
 	#pingListener = (err, latency) => {
+		this.#pingOutstanding = false;
 		if(err){
-			this.#logger.error(err);
+			// Pings still in flight are cancelled when the session is destroyed.
+			if(err.code !== 'ERR_HTTP2_PING_CANCEL'){
+				this.#logger.error(err);
+			}
 			return;
 		}
+		this.#missedPings = 0;
 		this.#latency = latency;
+		this.#latencyStats.add(latency);
+		this.#server?.metrics?.sessionLatency.observe(latency / 1000);
+		const {avg, jitter} = this.#latencyStats.snapshot;
+		this.#currentPingInterval = jitter <= avg / 4 ?
+				Math.min(this.#currentPingInterval * 1.5, this.#keepalive.maxPingInterval) :
+				this.#keepalive.pingInterval;
 		this.emit('ping', latency);
 		if(this.#session.destroyed || this.#session.closed){
-			clearInterval(this.#pingInterval);
-			this.#pingInterval = null;
+			clearTimeout(this.#pingTimeout);
+			this.#pingTimeout = null;
+		}
+	}
+
+	/**
+	 * Runs on every ping interval. Closes the session if it is idle or if the peer missed too many pings, otherwise
+	 * sends the next ping unless the previous one is still unanswered.
+	 * @emits H2Session#timeout
+	 */
+	#pingTick = () => {
+		this.#pingTimeout = null;
+		if(this.#session.destroyed || this.#session.closed){
+			return;
+		}
+		if(
+				this.#keepalive.idleTimeout
+				&& !this.#streams.size
+				&& !this.#webTransportSessions.size
+				&& Date.now() - this.#lastActivity >= this.#keepalive.idleTimeout
+		){
+			this.#timeout('idle');
+			return;
+		}
+		if(this.#pingOutstanding){
+			this.#missedPings++;
+			this.#currentPingInterval = this.#keepalive.pingInterval;
+			this.#logger.debug(`Ping missed by ${this.remoteIpAndPort} (${this.#missedPings}/${this.#keepalive.maxMissedPings})`);
+			if(this.#missedPings >= this.#keepalive.maxMissedPings){
+				this.#timeout('deadPeer');
+				return;
+			}
+		}else{
+			this.#pingOutstanding = this.#session.ping(this.#pingListener);
+		}
+		this.#pingTimeout = setTimeout(this.#pingTick, this.#currentPingInterval);
+	}
+
+	/**
+	 * Closes the session with a GOAWAY frame because it timed out. Idle sessions are closed gracefully, sessions of
+	 * dead peers are destroyed as nothing will be answered anymore.
+	 * @param {"idle" | "deadPeer"} reason
+	 * @emits H2Session#timeout
+	 */
+	#timeout(reason){
+		this.#logger.info(`Session of ${this.remoteIpAndPort} timed out: ${reason}`);
+		this.emit('timeout', {reason, missedPings: this.#missedPings});
+		if(reason === 'idle'){
+			this.#session.close();
+			return;
 		}
+		this.destroy(http2.constants.NGHTTP2_NO_ERROR);
 	}
 
 	/**
-	 * Attaches the listeners to the session, and starts the ping interval.
+	 * Attaches the listeners to the session, and starts the pings.
 	 */
 	#attachListeners(){
 		this.#session.on('stream', this.#streamListener);
 		this.#session.on('close', this.#closeListener);
 		this.#session.on('error', this.#errorListener);
-		this.#pingInterval = setInterval(() => {
-			if(this.#session.destroyed || this.#session.closed){
-				clearInterval(this.#pingInterval);
-				this.#pingInterval = null;
-				return;
+		this.#pingTimeout = setTimeout(this.#pingTick, this.#currentPingInterval);
+	}
+
+	/**
+	 * Gracefully closes the session. A GOAWAY frame is sent so the client opens no new streams, every open websocket
+	 * stream receives a close frame, every WebTransport session a drain capsule, and the in-flight streams are allowed
+	 * to finish.
+	 * @returns {Promise<void>} Resolves once the session is closed.
+	 */
+	drain(){
+		if(this.#drainPromise){
+			return this.#drainPromise;
+		}
+		if(this.#closed){
+			this.#drainPromise = Promise.resolve();
+			return this.#drainPromise;
+		}
+		this.#drainPromise = new Promise((resolve) => {
+			this.once('close', resolve);
+		});
+		for(const h2Stream of this.#streams.values()){
+			if(h2Stream instanceof WsH2Stream){
+				h2Stream.close(WsH2Stream.CLOSE_CODES.GOING_AWAY);
 			}
-			this.#session.ping(this.#pingListener);
-		}, 1000);
+		}
+		this.#webTransportSessions.forEach((webTransportSession) => webTransportSession.drain());
+		if(!this.#session.closed && !this.#session.destroyed){
+			this.#session.close();
+		}
+		return this.#drainPromise;
+	}
+
+	/**
+	 * Immediately destroys the session and all of its streams.
+	 * @param {number} [code] The HTTP/2 error code sent in the final GOAWAY frame.
+	 */
+	destroy(code = http2.constants.NGHTTP2_NO_ERROR){
+		clearTimeout(this.#pingTimeout);
+		this.#pingTimeout = null;
+		if(!this.#session.destroyed){
+			this.#session.destroy(undefined, code);
+		}
+	}
+
+	/**
+	 * The currently open streams of the session.
+	 * @type {Array<H2Stream | WsH2Stream>}
+	 */
+	get streams(){
+		return [...this.#streams.values()];
+	}
+
+	/**
+	 * The currently open websocket streams of the session.
+	 * @type {Array<WsH2Stream>}
+	 */
+	get webSocketStreams(){
+		return this.streams.filter((h2Stream) => h2Stream instanceof WsH2Stream && !h2Stream.closed);
+	}
+
+	/**
+	 * The open WebTransport sessions of the session.
+	 * @type {Array<WebTransportSession>}
+	 */
+	get webTransportSessions(){
+		return [...this.#webTransportSessions];
+	}
+
+	/**
+	 * Sends a message to every open websocket stream of the session.
+	 * @param {"sendText" | "sendBinary"} method
+	 * @param {string | Buffer} message
+	 * @returns {{delivered: number, failed: number}}
+	 */
+	#sendToWebSockets(method, message){
+		const counts = {delivered: 0, failed: 0};
+		for(const wsH2Stream of this.webSocketStreams){
+			if(wsH2Stream.closing){
+				// The message would only be rejected, the peer is not getting it.
+				counts.failed++;
+				continue;
+			}
+			try{
+				wsH2Stream[method](message);
+				counts.delivered++;
+			}catch(err){
+				this.#logger.error(`Failed to send a message to a websocket of ${this.remoteIpAndPort}`, err);
+				counts.failed++;
+			}
+		}
+		return counts;
+	}
+
+	/**
+	 * Sends a text message to every open websocket stream of the session.
+	 * @param {string} text
+	 * @returns {{delivered: number, failed: number}} The number of streams the message was sent to and failed on.
+	 */
+	sendText(text){
+		return this.#sendToWebSockets('sendText', text);
+	}
+
+	/**
+	 * Sends a binary message to every open websocket stream of the session.
+	 * @param {Buffer} data
+	 * @returns {{delivered: number, failed: number}} The number of streams the message was sent to and failed on.
+	 */
+	sendBinary(data){
+		return this.#sendToWebSockets('sendBinary', data);
 	}
 
 	/**
@@ -147,6 +597,51 @@ export class H2Session extends EventEmitter {
 		return this.#data;
 	}
 
+	/**
+	 * Claims the push of a path on the session. A path is only pushed once per session, as the client keeps the
+	 * pushed resources for the whole connection.
+	 * @param {string} path
+	 * @returns {boolean} False when the path was pushed already.
+	 */
+	claimPush(path){
+		if(this.#pushedPaths.has(path)){
+			return false;
+		}
+		this.#pushedPaths.add(path);
+		return true;
+	}
+
+	/**
+	 * Gives up the claim on a path whose push failed, so that it can be pushed later.
+	 * @param {string} path
+	 */
+	releasePush(path){
+		this.#pushedPaths.delete(path);
+	}
+
+	/**
+	 * The id of the session.
+	 * @type {string}
+	 */
+	get id(){
+		return this.#id;
+	}
+
+	/**
+	 * The token the client presents to resume the data of this session on a new connection, in the header of the
+	 * server's resumption options. Null when the server does not resume sessions. It is up to the application to hand
+	 * it to the client, in a response or a websocket message for instance.
+	 * @type {string | null}
+	 */
+	get reconnectToken(){
+		const resumption = this.#server?.resumption;
+		if(!resumption){
+			return null;
+		}
+		this.#reconnectToken ??= resumption.issue(this.#id);
+		return this.#reconnectToken;
+	}
+
 	/**
 	 * The latency of the session.
 	 * @type {number}
@@ -155,11 +650,47 @@ export class H2Session extends EventEmitter {
 		return this.#latency;
 	}
 
+	/**
+	 * The statistics of the latencies measured by the pings, in milliseconds: min, max, avg and p95 over the last
+	 * statsWindow pings, the moving average (ewma) and the jitter.
+	 * @type {{count: number, last: number, min: number, max: number, avg: number, p95: number, ewma: number, jitter: number}}
+	 */
+	get latencyStats(){
+		return this.#latencyStats.snapshot;
+	}
+
+	/**
+	 * The number of consecutive ping intervals that passed without an answer.
+	 * @type {number}
+	 */
+	get missedPings(){
+		return this.#missedPings;
+	}
+
+	/**
+	 * The current time between pings, in milliseconds.
+	 * @type {number}
+	 */
+	get pingInterval(){
+		return this.#currentPingInterval;
+	}
+
+	/**
+	 * The remote IP and port of the session, as announced by a trusted proxy through the PROXY protocol if the server
+	 * uses it.
+	 * @type {{address: string | undefined, port: number | undefined}}
+	 */
+	get remoteAddress(){
+		const socket = this.#session?.socket;
+		return this.#server?.remoteAddressOf(socket) || {address: socket?.remoteAddress, port: socket?.remotePort};
+	}
+
 	/**
 	 * The remote IP and port of the session if available in the shape of "IP : PORT".
 	 * @type {string}
 	 */
 	get remoteIpAndPort(){
-		return `${this?.#session?.socket?.remoteAddress} : ${this?.#session?.socket?.remotePort}`;
+		const {address, port} = this.remoteAddress;
+		return `${address} : ${port}`;
 	}
 }
@@ -0,0 +1,104 @@
+import {MetricsRegistry} from "./metrics-registry.mjs";
+
+/**
+ * The names of the WebSocket opcodes, used as label values.
+ * @type {Object<number, string>}
+ */
+const OPCODE_NAMES = {
+	0: "continuation",
+	1: "text",
+	2: "binary",
+	8: "close",
+	9: "ping",
+	10: "pong"
+};
+
+/**
+ * The metrics collected by the server, its sessions, the streams and the services.
+ * Components reach it through the server they belong to (`server.metrics`), so nothing is collected unless the
+ * server was created with the metrics option.
+ */
+export class H2wsMetrics {
+	/**
+	 * @type {MetricsRegistry}
+	 */
+	#registry = null;
+
+	/**
+	 * Creates the h2ws metrics in a registry.
+	 * @param {MetricsRegistry} [registry] A registry shared with the application metrics. A new one by default.
+	 * @param {Object} [collectors]
+	 * @param {function(): {received: number, sent: number}} [collectors.bytes] Reports the total bytes of all
+	 * connections, called whenever the metrics are exposed.
+	 */
+	constructor(registry = new MetricsRegistry(), collectors = {}) {
+		this.#registry = registry;
+		this.sessions = registry.gauge({
+			name: "h2ws_sessions",
+			help: "The number of open HTTP/2 sessions."
+		});
+		this.openStreams = registry.gauge({
+			name: "h2ws_open_streams",
+			help: "The number of open streams by type.",
+			labelNames: ["type"]
+		});
+		this.streams = registry.counter({
+			name: "h2ws_streams_total",
+			help: "The number of streams opened by type.",
+			labelNames: ["type"]
+		});
+		this.bytesReceived = registry.counter({
+			name: "h2ws_bytes_received_total",
+			help: "The bytes received on all connections.",
+			collect: (counter) => collectors.bytes && counter.set(collectors.bytes().received)
+		});
+		this.bytesSent = registry.counter({
+			name: "h2ws_bytes_sent_total",
+			help: "The bytes sent on all connections.",
+			collect: (counter) => collectors.bytes && counter.set(collectors.bytes().sent)
+		});
+		this.webSocketFrames = registry.counter({
+			name: "h2ws_websocket_frames_total",
+			help: "The WebSocket frames by direction and opcode.",
+			labelNames: ["direction", "opcode"]
+		});
+		this.handlerDuration = registry.histogram({
+			name: "h2ws_handler_duration_seconds",
+			help: "The time services took to handle a stream.",
+			labelNames: ["method", "status"]
+		});
+		this.sessionLatency = registry.histogram({
+			name: "h2ws_session_latency_seconds",
+			help: "The round trip times measured by the HTTP/2 pings of the sessions.",
+			buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+		});
+	}
+
+	/**
+	 * The registry the metrics are kept in.
+	 * @returns {MetricsRegistry}
+	 */
+	get registry() {
+		return this.#registry;
+	}
+
+	/**
+	 * Counts a WebSocket frame.
+	 * @param {"in" | "out"} direction
+	 * @param {number} opcode
+	 */
+	countWebSocketFrame(direction, opcode) {
+		this.webSocketFrames.inc(1, {direction, opcode: OPCODE_NAMES[opcode] || "unknown"});
+	}
+
+	/**
+	 * Counts a new stream and keeps it in the open streams until it closes.
+	 * @param {"http" | "websocket" | "webtransport"} type
+	 * @param {EventEmitter} closeEmitter Emits close when the stream is gone.
+	 */
+	trackStream(type, closeEmitter) {
+		this.streams.inc(1, {type});
+		this.openStreams.inc(1, {type});
+		closeEmitter.once("close", () => this.openStreams.dec(1, {type}));
+	}
+}
@@ -0,0 +1,377 @@
+/**
+ * Escapes a label value for the Prometheus text format.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeLabelValue = (value) => String(value)
+		.replace(/\\/g, "\\\\")
+		.replace(/\n/g, "\\n")
+		.replace(/"/g, "\\\"");
+
+/**
+ * Formats a set of labels for the Prometheus text format.
+ * @param {Object<string, string | number>} labels
+ * @returns {string} The labels in braces, or an empty string when there are none.
+ */
+const formatLabels = (labels) => {
+	const entries = Object.entries(labels);
+	if (!entries.length) {
+		return "";
+	}
+	return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+};
+
+/**
+ * Formats a sample value for the Prometheus text format.
+ * @param {number} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+	if (value === Infinity) {
+		return "+Inf";
+	}
+	if (value === -Infinity) {
+		return "-Inf";
+	}
+	return String(value);
+};
+
+/**
+ * The base of all metrics. Keeps one value per combination of label values.
+ * @abstract
+ */
+export class Metric {
+	/**
+	 * @type {string}
+	 */
+	#name = "";
+	/**
+	 * @type {string}
+	 */
+	#help = "";
+	/**
+	 * @type {string[]}
+	 */
+	#labelNames = [];
+	/**
+	 * Called right before the metric is exposed, to bring values that are sampled rather than counted up to date.
+	 * @type {function(Metric): void | null}
+	 */
+	#collect = null;
+	/**
+	 * The values by serialised label set.
+	 * @type {Map<string, {labels: Object<string, string>, value: any}>}
+	 */
+	#values = new Map();
+
+	/**
+	 * @param {Object} config
+	 * @param {string} config.name The metric name, [a-zA-Z_:][a-zA-Z0-9_:]*.
+	 * @param {string} config.help
+	 * @param {string[]} [config.labelNames]
+	 * @param {function(Metric): void} [config.collect]
+	 */
+	constructor(config) {
+		if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(config.name || "")) {
+			throw new TypeError(`Invalid metric name: ${config.name}`);
+		}
+		this.#name = config.name;
+		this.#help = config.help || config.name;
+		this.#labelNames = config.labelNames || [];
+		this.#collect = config.collect || null;
+	}
+
+	/**
+	 * The Prometheus type of the metric.
+	 * @abstract
+	 * @returns {string}
+	 */
+	get type() {
+		throw new Error("Not implemented");
+	}
+
+	get name() {
+		return this.#name;
+	}
+
+	get help() {
+		return this.#help;
+	}
+
+	/**
+	 * Gets the entry of a label set, creating it with the initial value if it does not exist yet.
+	 * @param {Object<string, string | number>} labels
+	 * @param {function(): any} initialValue
+	 * @returns {{labels: Object<string, string>, value: any}}
+	 */
+	entry(labels, initialValue) {
+		const unknownLabel = Object.keys(labels).find((name) => !this.#labelNames.includes(name));
+		if (unknownLabel) {
+			throw new TypeError(`Unknown label ${unknownLabel} for metric ${this.#name}`);
+		}
+		const orderedLabels = Object.fromEntries(
+				this.#labelNames.filter((name) => labels[name] !== undefined).map((name) => [name, String(labels[name])])
+		);
+		const key = JSON.stringify(orderedLabels);
+		if (!this.#values.has(key)) {
+			this.#values.set(key, {labels: orderedLabels, value: initialValue()});
+		}
+		return this.#values.get(key);
+	}
+
+	/**
+	 * All entries of the metric.
+	 * @returns {Array<{labels: Object<string, string>, value: any}>}
+	 */
+	get entries() {
+		return [...this.#values.values()];
+	}
+
+	/**
+	 * Removes all values.
+	 */
+	reset() {
+		this.#values.clear();
+	}
+
+	/**
+	 * The sample lines of the metric, without the HELP and TYPE lines.
+	 * @returns {string[]}
+	 */
+	samples() {
+		return this.entries.map(({labels, value}) => `${this.#name}${formatLabels(labels)} ${formatValue(value)}`);
+	}
+
+	/**
+	 * The metric in the Prometheus text exposition format.
+	 * @returns {string}
+	 */
+	expose() {
+		this.#collect?.(this);
+		return [
+			`# HELP ${this.#name} ${this.#help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`,
+			`# TYPE ${this.#name} ${this.type}`,
+			...this.samples()
+		].join("\n");
+	}
+}
+
+/**
+ * A value that only goes up, like a number of requests or bytes.
+ * @extends Metric
+ */
+export class Counter extends Metric {
+	get type() {
+		return "counter";
+	}
+
+	/**
+	 * Increments the counter.
+	 * @param {number} [value=1] Must not be negative.
+	 * @param {Object<string, string | number>} [labels]
+	 */
+	inc(value = 1, labels = {}) {
+		if (value < 0) {
+			throw new RangeError("Counters can only be increased.");
+		}
+		this.entry(labels, () => 0).value += value;
+	}
+
+	/**
+	 * Sets the counter to a value that was counted elsewhere. Meant for collect callbacks.
+	 * @param {number} value
+	 * @param {Object<string, string | number>} [labels]
+	 */
+	set(value, labels = {}) {
+		this.entry(labels, () => 0).value = value;
+	}
+}
+
+/**
+ * A value that can go up and down, like a number of open streams.
+ * @extends Metric
+ */
+export class Gauge extends Metric {
+	get type() {
+		return "gauge";
+	}
+
+	/**
+	 * @param {number} value
+	 * @param {Object<string, string | number>} [labels]
+	 */
+	set(value, labels = {}) {
+		this.entry(labels, () => 0).value = value;
+	}
+
+	/**
+	 * @param {number} [value=1]
+	 * @param {Object<string, string | number>} [labels]
+	 */
+	inc(value = 1, labels = {}) {
+		this.entry(labels, () => 0).value += value;
+	}
+
+	/**
+	 * @param {number} [value=1]
+	 * @param {Object<string, string | number>} [labels]
+	 */
+	dec(value = 1, labels = {}) {
+		this.entry(labels, () => 0).value -= value;
+	}
+}
+
+/**
+ * Counts observations, like durations, into cumulative buckets.
+ * @extends Metric
+ */
+export class Histogram extends Metric {
+	/**
+	 * The default buckets, in seconds.
+	 * @type {number[]}
+	 */
+	static DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+	/**
+	 * The upper bounds of the buckets, ascending.
+	 * @type {number[]}
+	 */
+	#buckets = Histogram.DEFAULT_BUCKETS;
+
+	/**
+	 * @param {Object} config
+	 * @param {string} config.name
+	 * @param {string} config.help
+	 * @param {string[]} [config.labelNames]
+	 * @param {number[]} [config.buckets]
+	 * @param {function(Metric): void} [config.collect]
+	 */
+	constructor(config) {
+		super(config);
+		this.#buckets = [...(config.buckets || Histogram.DEFAULT_BUCKETS)].sort((a, b) => a - b);
+	}
+
+	get type() {
+		return "histogram";
+	}
+
+	/**
+	 * Records an observation.
+	 * @param {number} value
+	 * @param {Object<string, string | number>} [labels]
+	 */
+	observe(value, labels = {}) {
+		const entry = this.entry(labels, () => ({
+			counts: new Array(this.#buckets.length).fill(0),
+			sum: 0,
+			count: 0
+		})).value;
+		this.#buckets.forEach((bound, index) => {
+			if (value <= bound) {
+				entry.counts[index]++;
+			}
+		});
+		entry.sum += value;
+		entry.count++;
+	}
+
+	/**
+	 * Starts measuring a duration.
+	 * @param {Object<string, string | number>} [labels]
+	 * @returns {function(Object<string, string | number>=): number} Ends the measurement, with optional extra labels,
+	 * and returns the duration in seconds.
+	 */
+	startTimer(labels = {}) {
+		const start = process.hrtime.bigint();
+		return (endLabels = {}) => {
+			const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+			this.observe(seconds, {...labels, ...endLabels});
+			return seconds;
+		};
+	}
+
+	samples() {
+		return this.entries.flatMap(({labels, value}) => [
+			...this.#buckets.map((bound, index) =>
+					`${this.name}_bucket${formatLabels({...labels, le: formatValue(bound)})} ${value.counts[index]}`
+			),
+			`${this.name}_bucket${formatLabels({...labels, le: "+Inf"})} ${value.count}`,
+			`${this.name}_sum${formatLabels(labels)} ${value.sum}`,
+			`${this.name}_count${formatLabels(labels)} ${value.count}`
+		]);
+	}
+}
+
+/**
+ * A collection of metrics that can be exposed together in the Prometheus text format.
+ */
+export class MetricsRegistry {
+	/**
+	 * The content type of the Prometheus text exposition format.
+	 * @type {string}
+	 */
+	static CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+	/**
+	 * The metrics by name.
+	 * @type {Map<string, Metric>}
+	 */
+	#metrics = new Map();
+
+	/**
+	 * Adds a metric to the registry.
+	 * @template {Metric} T
+	 * @param {T} metric
+	 * @returns {T}
+	 */
+	register(metric) {
+		if (this.#metrics.has(metric.name)) {
+			throw new Error(`A metric named ${metric.name} is already registered.`);
+		}
+		this.#metrics.set(metric.name, metric);
+		return metric;
+	}
+
+	/**
+	 * Creates and registers a counter.
+	 * @param {Object} config See Metric.
+	 * @returns {Counter}
+	 */
+	counter(config) {
+		return this.register(new Counter(config));
+	}
+
+	/**
+	 * Creates and registers a gauge.
+	 * @param {Object} config See Metric.
+	 * @returns {Gauge}
+	 */
+	gauge(config) {
+		return this.register(new Gauge(config));
+	}
+
+	/**
+	 * Creates and registers a histogram.
+	 * @param {Object} config See Histogram.
+	 * @returns {Histogram}
+	 */
+	histogram(config) {
+		return this.register(new Histogram(config));
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {Metric | undefined}
+	 */
+	get(name) {
+		return this.#metrics.get(name);
+	}
+
+	/**
+	 * All metrics in the Prometheus text exposition format.
+	 * @returns {string}
+	 */
+	toPrometheus() {
+		return [...this.#metrics.values()].map((metric) => metric.expose()).join("\n") + "\n";
+	}
+}
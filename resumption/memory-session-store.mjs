@@ -0,0 +1,60 @@
+/**
+ * The store the data of closed sessions is kept in until they are resumed or expire.
+ * Stores may be asynchronous, every method may return a promise.
+ * @typedef {Object} SessionStore
+ * @property {function(string): (Object<string, any> | undefined | Promise<Object<string, any> | undefined>)} get
+ * Gets the data of a session, or undefined when there is none or it expired.
+ * @property {function(string, Object<string, any>, number): (void | Promise<void>)} set Keeps the data of a session
+ * for the given number of milliseconds.
+ * @property {function(string): (void | Promise<void>)} delete
+ */
+
+/**
+ * A session store that keeps the data in the memory of the process. The data is lost when the process exits and is
+ * not shared between processes, a store backed by a database is needed for that.
+ * @implements {SessionStore}
+ */
+export class MemorySessionStore {
+	/**
+	 * The entries by session id.
+	 * @type {Map<string, {data: Object<string, any>, timeout: NodeJS.Timeout}>}
+	 */
+	#entries = new Map();
+
+	/**
+	 * @param {string} sessionId
+	 * @returns {Object<string, any> | undefined}
+	 */
+	get(sessionId) {
+		return this.#entries.get(sessionId)?.data;
+	}
+
+	/**
+	 * @param {string} sessionId
+	 * @param {Object<string, any>} data
+	 * @param {number} ttl Milliseconds to keep the data.
+	 */
+	set(sessionId, data, ttl) {
+		this.delete(sessionId);
+		const timeout = setTimeout(() => this.#entries.delete(sessionId), ttl);
+		// Expiring entries must not keep the process alive.
+		timeout.unref();
+		this.#entries.set(sessionId, {data, timeout});
+	}
+
+	/**
+	 * @param {string} sessionId
+	 */
+	delete(sessionId) {
+		clearTimeout(this.#entries.get(sessionId)?.timeout);
+		this.#entries.delete(sessionId);
+	}
+
+	/**
+	 * The number of sessions kept.
+	 * @returns {number}
+	 */
+	get size() {
+		return this.#entries.size;
+	}
+}
@@ -0,0 +1,164 @@
+import crypto from "node:crypto";
+import {MemorySessionStore} from "./memory-session-store.mjs";
+
+/**
+ * Lets clients resume the data of a session they lost, for instance when their network dropped for a moment.
+ * Every session gets a reconnect token, signed with a secret so that clients can not make up the tokens of other
+ * sessions. When a session closes its data goes into the store for the TTL. A new session that presents the token in
+ * a request header gets the data back, after which the token can not be used again.
+ * If the previous session is still open when the client comes back, its data is taken over directly and the previous
+ * session is drained.
+ */
+export class SessionResumption {
+	/**
+	 * The secret the tokens are signed with.
+	 * @type {Buffer | string}
+	 */
+	#secret = null;
+	/**
+	 * @type {SessionStore}
+	 */
+	#store = null;
+	/**
+	 * Milliseconds the data of a closed session is kept.
+	 * @type {number}
+	 */
+	#ttl = 30000;
+	/**
+	 * The lower cased name of the request header the token is presented in.
+	 * @type {string}
+	 */
+	#header = "h2ws-reconnect-token";
+	/**
+	 * The open sessions by id.
+	 * @type {Map<string, H2Session>}
+	 */
+	#sessions = new Map();
+	/**
+	 * @type {Console | console}
+	 */
+	#logger = console;
+
+	/**
+	 * @param {Object} [options]
+	 * @param {string | Buffer} [options.secret] The secret the tokens are signed with. Defaults to random bytes, which
+	 * is enough for a single process; processes sharing a store need to share the secret.
+	 * @param {SessionStore} [options.store] Defaults to a MemorySessionStore.
+	 * @param {number} [options.ttl=30000] Milliseconds the data of a closed session can be resumed for.
+	 * @param {string} [options.header="h2ws-reconnect-token"] The request header clients present the token in.
+	 * @param {Console} [options.logger]
+	 * @throws {RangeError} When the TTL is not a positive number.
+	 * @throws {TypeError} When the header is not a string.
+	 */
+	constructor(options = {}) {
+		const ttl = options.ttl ?? 30000;
+		if (!(ttl > 0)) {
+			throw new RangeError("resumption.ttl must be a positive number of milliseconds.");
+		}
+		if (options.header !== undefined && (typeof options.header !== "string" || !options.header)) {
+			throw new TypeError("resumption.header must be a header name.");
+		}
+		this.#secret = options.secret || crypto.randomBytes(32);
+		this.#store = options.store || new MemorySessionStore();
+		this.#ttl = ttl;
+		this.#header = (options.header || this.#header).toLowerCase();
+		this.#logger = options.logger || console;
+	}
+
+	/**
+	 * The signature of a session id.
+	 * @param {string} sessionId
+	 * @returns {Buffer}
+	 */
+	#sign(sessionId) {
+		return crypto.createHmac("sha256", this.#secret).update(sessionId).digest();
+	}
+
+	/**
+	 * Issues the reconnect token of a session.
+	 * @param {string} sessionId
+	 * @returns {string}
+	 */
+	issue(sessionId) {
+		return `${sessionId}.${this.#sign(sessionId).toString("base64url")}`;
+	}
+
+	/**
+	 * Verifies the signature of a reconnect token.
+	 * @param {string} token
+	 * @returns {string | null} The id of the session the token was issued for, or null if the token is not valid.
+	 */
+	verify(token) {
+		if (typeof token !== "string") {
+			return null;
+		}
+		const separator = token.lastIndexOf(".");
+		const sessionId = token.slice(0, separator);
+		const signature = Buffer.from(token.slice(separator + 1), "base64url");
+		const expected = this.#sign(sessionId);
+		if (separator < 1 || signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+			return null;
+		}
+		return sessionId;
+	}
+
+	/**
+	 * Keeps track of an open session, and stores its data once it closes.
+	 * @param {H2Session} h2Session
+	 */
+	track(h2Session) {
+		this.#sessions.set(h2Session.id, h2Session);
+		h2Session.once("close", async () => {
+			if (this.#sessions.get(h2Session.id) !== h2Session) {
+				// The session was resumed by another one, which took its data.
+				return;
+			}
+			this.#sessions.delete(h2Session.id);
+			try {
+				await this.#store.set(h2Session.id, h2Session.data, this.#ttl);
+			} catch (err) {
+				this.#logger.error(`Could not store the data of session ${h2Session.id}`, err);
+			}
+		});
+	}
+
+	/**
+	 * Resumes the session a reconnect token was issued for. The token is spent, whether it was still open or closed.
+	 * @param {string} token
+	 * @returns {Promise<{sessionId: string, data: Object<string, any>} | null>} The id and data of the previous
+	 * session, or null when the token is not valid or its data expired.
+	 */
+	async resume(token) {
+		const sessionId = this.verify(token);
+		if (!sessionId) {
+			return null;
+		}
+		const openSession = this.#sessions.get(sessionId);
+		if (openSession) {
+			this.#sessions.delete(sessionId);
+			openSession.drain();
+			return {sessionId, data: openSession.data};
+		}
+		const data = await this.#store.get(sessionId);
+		if (!data) {
+			return null;
+		}
+		await this.#store.delete(sessionId);
+		return {sessionId, data};
+	}
+
+	/**
+	 * The lower cased name of the request header the token is presented in.
+	 * @returns {string}
+	 */
+	get header() {
+		return this.#header;
+	}
+
+	/**
+	 * @returns {SessionStore}
+	 */
+	get store() {
+		return this.#store;
+	}
+}
@@ -0,0 +1,192 @@
+import fs from "node:fs";
+import http2 from "node:http2";
+import {H2Stream} from "./h2stream.mjs";
+
+/**
+ * Translates the headers of an HTTP/1.1 request into the shape of HTTP/2 request headers, pseudo-headers included.
+ * @param {IncomingMessage} request
+ * @returns {Object<string, string | string[]>}
+ */
+export const toH2RequestHeaders = (request) => ({
+	[http2.constants.HTTP2_HEADER_METHOD]: request.method,
+	[http2.constants.HTTP2_HEADER_PATH]: request.url,
+	[http2.constants.HTTP2_HEADER_SCHEME]: request.socket?.encrypted ? "https" : "http",
+	[http2.constants.HTTP2_HEADER_AUTHORITY]: request.headers.host,
+	...request.headers
+});
+
+/**
+ * Removes the pseudo-headers from a set of HTTP/2 response headers so that they can be written on HTTP/1.1.
+ * @param {Object<string, any>} headers
+ * @returns {Object<string, any>}
+ */
+export const withoutPseudoHeaders = (headers) => Object.fromEntries(
+		Object.entries(headers).filter(([name]) => !name.startsWith(":"))
+);
+
+/**
+ * Exposes an HTTP/1.1 request and response pair with the part of the ServerHttp2Stream interface that H2Stream uses.
+ */
+class Http1StreamAdapter {
+	/**
+	 * @type {IncomingMessage}
+	 */
+	#request = null;
+	/**
+	 * @type {ServerResponse}
+	 */
+	#response = null;
+	/**
+	 * The listener that gives the trailers of a response sent with waitForTrailers, called when the response ends.
+	 * @type {function | null}
+	 */
+	#wantTrailersListener = null;
+
+	/**
+	 * @param {IncomingMessage} request
+	 * @param {ServerResponse} response
+	 */
+	constructor(request, response) {
+		this.#request = request;
+		this.#response = response;
+	}
+
+	/**
+	 * The events of the response side. Everything else is read from the request.
+	 * @type {string[]}
+	 */
+	static #responseEvents = ["close", "drain", "finish", "error"];
+
+	/**
+	 * Picks the object that emits the given event.
+	 * @param {string} event
+	 * @returns {IncomingMessage | ServerResponse}
+	 */
+	#emitterFor(event) {
+		return Http1StreamAdapter.#responseEvents.includes(event) ? this.#response : this.#request;
+	}
+
+	respond(headers, options) {
+		if (options?.waitForTrailers) {
+			// Trailers are only sent with a chunked body, which a content-length would prevent.
+			headers = Object.fromEntries(Object.entries(headers).filter(([name]) =>
+					name.toLowerCase() !== http2.constants.HTTP2_HEADER_CONTENT_LENGTH
+			));
+		}
+		this.#response.writeHead(
+				headers[http2.constants.HTTP2_HEADER_STATUS] || http2.constants.HTTP_STATUS_OK,
+				withoutPseudoHeaders(headers)
+		);
+	}
+
+	write(data) {
+		return this.#response.write(data);
+	}
+
+	/**
+	 * Responds with a file like ServerHttp2Stream.respondWithFile, for the options H2Stream uses.
+	 * @param {string} filePath
+	 * @param {Object<string, any>} headers
+	 * @param {{statCheck: function(Stats, Object<string, any>): void, onError: function(Error): void}} options
+	 */
+	respondWithFile(filePath, headers, options) {
+		fs.stat(filePath, (err, stats) => {
+			if (!err && !stats.isFile()) {
+				err = Object.assign(new Error(`${filePath} is not a file.`), {code: "ERR_HTTP2_SEND_FILE"});
+			}
+			if (err) {
+				options.onError(err);
+				return;
+			}
+			let opened = false;
+			const fileStream = fs.createReadStream(filePath);
+			fileStream.once("error", (err) => opened ? this.#response.destroy(err) : options.onError(err));
+			fileStream.once("open", () => {
+				opened = true;
+				options.statCheck(stats, headers);
+				this.respond({[http2.constants.HTTP2_HEADER_CONTENT_LENGTH]: stats.size, ...headers});
+				fileStream.pipe(this.#response);
+			});
+		});
+	}
+
+	close() {
+		// HTTP/1.1 can only abandon a response by dropping the connection.
+		this.#response.destroy();
+	}
+
+	sendTrailers(trailers) {
+		this.#response.addTrailers(trailers);
+	}
+
+	end(data) {
+		this.#wantTrailersListener?.();
+		this.#wantTrailersListener = null;
+		// HTTP/2 callers may pass an error code here, which has no meaning on HTTP/1.1.
+		this.#response.end(typeof data === "number" ? undefined : data);
+	}
+
+	on(event, listener) {
+		if (event === "trailers") {
+			// HTTP/1.1 requests only tell about their trailers once the body has been read.
+			this.#request.once("end", () => Object.keys(this.#request.trailers).length && listener(this.#request.trailers));
+			return this;
+		}
+		this.#emitterFor(event).on(event, listener);
+		return this;
+	}
+
+	once(event, listener) {
+		if (event === "wantTrailers") {
+			this.#wantTrailersListener = listener;
+			return this;
+		}
+		this.#emitterFor(event).once(event, listener);
+		return this;
+	}
+
+	off(event, listener) {
+		this.#emitterFor(event).off(event, listener);
+		return this;
+	}
+
+	iterator(options) {
+		return this.#request.iterator(options);
+	}
+
+	removeAllListeners(event) {
+		if (event === "wantTrailers") {
+			this.#wantTrailersListener = null;
+			return this;
+		}
+		this.#emitterFor(event).removeAllListeners(event);
+		return this;
+	}
+
+	get closed() {
+		return this.#response.writableEnded || this.#request.destroyed;
+	}
+
+	get destroyed() {
+		return this.#response.destroyed;
+	}
+}
+
+/**
+ * An HTTP/1.1 request and response pair with the same surface as H2Stream, so that Service trees handle both
+ * protocols unchanged.
+ * @extends H2Stream
+ */
+export class H1Stream extends H2Stream {
+	/**
+	 * Creates a new HTTP/1.1 stream.
+	 * @param {IncomingMessage} request
+	 * @param {ServerResponse} response
+	 * @param {Object} options
+	 * @param {H2Server?} options.server
+	 * @param {Console?} options.logger
+	 */
+	constructor(request, response, options = {}) {
+		super(new Http1StreamAdapter(request, response), toH2RequestHeaders(request), options);
+	}
+}
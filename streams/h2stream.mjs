@@ -1,10 +1,32 @@
 import http2 from "node:http2";
 import {EventEmitter} from "node:events";
+import mimeTypes from "mime-types";
 import {WsH2Stream} from "./ws-h2stream.mjs";
+import {WebTransportSession} from "./webtransport-session.mjs";
+import {
+	createCompressor,
+	isCompressible,
+	negotiateEncoding,
+	resolveCompressionOptions,
+	varyOnAcceptEncoding
+} from "../utils/content-encoding.mjs";
+import {HttpError, PayloadTooLargeError, PROBLEM_CONTENT_TYPE} from "../errors/http-error.mjs";
 
 // http2.constants.HTTP2_HEADER_PROTOCOL = ":protocol";
 
 export class H2Stream extends EventEmitter {
+	/**
+	 * The default maximum size of a request body read at once, in bytes.
+	 * @type {number}
+	 */
+	static BODY_LIMIT = 1024 * 1024;
+
+	/**
+	 * The error protocols a stream can follow, see errorProtocol.
+	 * @type {string[]}
+	 */
+	static ERROR_PROTOCOLS = ["logger", "throw"];
+
 	#stream = null;
 	#incomingHeaders = {};
 	#logger = console;
@@ -14,6 +36,41 @@ export class H2Stream extends EventEmitter {
 	#dataDonePromise = null;
 	#closed = false;
 	#errorProtocol = "logger";
+	/**
+	 * Whether the request body is being read or was read already.
+	 * @type {boolean}
+	 */
+	#bodyConsumed = false;
+	/**
+	 * The promise of the whole request body, once read.
+	 * @type {Promise<Buffer> | null}
+	 */
+	#bodyPromise = null;
+	/**
+	 * Whether the response was sent with waitForTrailers, so that it ends with trailers.
+	 * @type {boolean}
+	 */
+	#waitForTrailers = false;
+	/**
+	 * The trailers to send at the end of the response.
+	 * @type {Object<string, string | string[]> | null}
+	 */
+	#trailers = null;
+	/**
+	 * The trailers of the request, once received.
+	 * @type {Object<string, string | string[]> | null}
+	 */
+	#incomingTrailers = null;
+	/**
+	 * The compression options of the response. Null when responses are not compressed.
+	 * @type {{threshold: number, encodings: string[], brotliQuality: number, level: number} | null}
+	 */
+	#compression = null;
+	/**
+	 * The stream compressing the body of the response, when it is compressed.
+	 * @type {Transform | null}
+	 */
+	#compressor = null;
 
 
 	static categorise(stream, incomingHeaders, options = {}) {
@@ -22,13 +79,7 @@ export class H2Stream extends EventEmitter {
 				case "websocket":
 					return new WsH2Stream(stream, incomingHeaders, options);
 				case "webtransport":
-					// No idea what to check here and how to start dealing with this one, but we'll get to it.
-					(options.logger || console).error("WebTransport not implemented.");
-					stream.respond({
-						[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_NOT_IMPLEMENTED
-					}, {endStream: true});
-					stream.close(http2.constants.NGHTTP2_REFUSED_STREAM);
-					return;
+					return new WebTransportSession(stream, incomingHeaders, options);
 				default:
 					stream.respond({
 						[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_NOT_IMPLEMENTED
@@ -47,8 +98,111 @@ export class H2Stream extends EventEmitter {
 		this.#server = options.server;
 		this.#logger = options.logger;
 		this.#session = options.session;
+		this.errorProtocol = options.errorProtocol || this.#server?.errorProtocol || "logger";
+		this.#compression = options.compression === undefined ?
+				this.#server?.compression || null : resolveCompressionOptions(options.compression);
+		this.#stream.on("trailers", this.#trailersListener);
+		this.#stream.once("close", () => this.emit("close"));
+	}
+
+	/**
+	 * Turns the compression of the response on or off, overriding the compression option of the server.
+	 * Must be called before responding.
+	 * @param {boolean | Object} [options=true] See resolveCompressionOptions.
+	 */
+	compress(options = true){
+		this.#compression = resolveCompressionOptions(options);
+	}
+
+	/**
+	 * Decides whether the body of a response gets compressed, and adapts its headers when it does. Responses without a
+	 * body, with a content-encoding of their own, of incompressible types or with a content-length under the threshold
+	 * are sent as they are.
+	 * @param {Object<string, any>} headers
+	 * @param {Object} [responseOptions]
+	 * @returns {Object<string, any>} The headers to send.
+	 */
+	#negotiateCompression(headers, responseOptions){
+		const status = Number(headers[http2.constants.HTTP2_HEADER_STATUS] || http2.constants.HTTP_STATUS_OK);
+		if(
+				!this.#compression
+				|| responseOptions?.endStream
+				|| status < http2.constants.HTTP_STATUS_OK
+				|| status === http2.constants.HTTP_STATUS_NO_CONTENT
+				|| status === http2.constants.HTTP_STATUS_NOT_MODIFIED
+				|| this.#incomingHeaders[http2.constants.HTTP2_HEADER_METHOD] === http2.constants.HTTP2_METHOD_HEAD
+				|| headers[http2.constants.HTTP2_HEADER_CONTENT_ENCODING]
+				|| !isCompressible(headers[http2.constants.HTTP2_HEADER_CONTENT_TYPE])
+		){
+			return headers;
+		}
+		const varyHeaders = {
+			...headers,
+			[http2.constants.HTTP2_HEADER_VARY]: varyOnAcceptEncoding(headers[http2.constants.HTTP2_HEADER_VARY])
+		};
+		const contentLength = headers[http2.constants.HTTP2_HEADER_CONTENT_LENGTH];
+		const encoding = negotiateEncoding(
+				this.#incomingHeaders[http2.constants.HTTP2_HEADER_ACCEPT_ENCODING],
+				this.#compression.encodings
+		);
+		if(!encoding || (contentLength !== undefined && Number(contentLength) < this.#compression.threshold)){
+			return varyHeaders;
+		}
+		this.#compressor = createCompressor(encoding, this.#compression);
+		this.#pipeCompressor(this.#compressor);
+		const {[http2.constants.HTTP2_HEADER_CONTENT_LENGTH]: _contentLength, ...compressedHeaders} = varyHeaders;
+		return {...compressedHeaders, [http2.constants.HTTP2_HEADER_CONTENT_ENCODING]: encoding};
+	}
+
+	/**
+	 * Forwards the output of the compressor to the stream, pausing it while the stream is full.
+	 * @param {Transform} compressor
+	 */
+	#pipeCompressor(compressor){
+		compressor.on("data", (chunk) => {
+			if(!this.#stream.write(chunk)){
+				compressor.pause();
+				this.#stream.once("drain", () => compressor.resume());
+			}
+		});
+		compressor.once("end", () => this.#stream.end());
+		compressor.once("error", (err) => {
+			this.#logger.error("Could not compress the response.", err);
+			this.#stream.end();
+		});
+		this.#stream.once("close", () => compressor.destroy());
 	}
 
+	/**
+	 * Listener for the trailers of the request. Keeps them and emits the trailers event further.
+	 * @param {Object<string, string | string[]>} trailers
+	 * @emits H2Stream#trailers
+	 */
+	#trailersListener = (trailers) => {
+		this.#incomingTrailers = trailers;
+		this.emit("trailers", trailers);
+	};
+
+	/**
+	 * Listener for when the response waits for its trailers, after it was ended. Sends the trailers given by then, or
+	 * none at all so that the stream does not hang.
+	 */
+	#wantTrailersListener = () => {
+		try {
+			this.#stream.sendTrailers(this.#trailers || {});
+		} catch (err) {
+			this.#logger.error("Could not send the trailers.", err);
+			this.#stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+		}
+	};
+
+	/**
+	 * Sends the response headers.
+	 * @param {Object<string, string | number | string[]>} headers
+	 * @param {Object} [responseOptions]
+	 * @param {boolean} [responseOptions.endStream] End the stream right after the headers.
+	 * @param {boolean} [responseOptions.waitForTrailers] End the response with trailers, given to end or sendTrailers.
+	 */
 	respond(headers, responseOptions) {
 		if(this.#sentHeaders){
 			if(this.#errorProtocol === "throw")
@@ -56,14 +210,175 @@ export class H2Stream extends EventEmitter {
 			this.#logger.error("Headers already sent.");
 			return;
 		}
+		headers = this.#negotiateCompression(headers, responseOptions);
 		this.#sentHeaders = headers;
-		this.#stream.respond(headers, responseOptions?.waitForTrailers ? {waitForTrailers: true} : undefined);
+		this.#waitForTrailers = !!responseOptions?.waitForTrailers;
+		if(this.#waitForTrailers){
+			// With allowHTTP1 the compatibility layer of node listens too, and would send its own empty trailers first.
+			this.#stream.removeAllListeners("wantTrailers");
+			this.#stream.once("wantTrailers", this.#wantTrailersListener);
+		}
+		this.#stream.respond(headers, this.#waitForTrailers ? {waitForTrailers: true} : undefined);
 		if(responseOptions?.endStream) {
 			this.end();
 		}
 	}
 
 
+	/**
+	 * Pushes a resource to the client, as if it had requested it with a GET. The returned stream is answered like any
+	 * other, by a handler for instance.
+	 * Nothing is pushed when the client disabled push, when the path was pushed on the session already, or when this
+	 * stream can not push (it is a pushed stream itself, it is closed or it is not an HTTP/2 stream).
+	 * Push before responding, so that the client knows of the pushed resource before it finds the reference to it.
+	 * @param {string} path The path of the pushed resource.
+	 * @param {Object<string, string>} [headers] Extra request headers of the pushed request.
+	 * @returns {Promise<H2Stream | null>}
+	 */
+	push(path, headers = {}) {
+		if (!this.#stream.pushAllowed || this.closed) {
+			return Promise.resolve(null);
+		}
+		if (this.#session && !this.#session.claimPush(path)) {
+			return Promise.resolve(null);
+		}
+		const requestHeaders = {
+			[http2.constants.HTTP2_HEADER_METHOD]: http2.constants.HTTP2_METHOD_GET,
+			[http2.constants.HTTP2_HEADER_PATH]: path,
+			[http2.constants.HTTP2_HEADER_SCHEME]: this.#incomingHeaders[http2.constants.HTTP2_HEADER_SCHEME],
+			[http2.constants.HTTP2_HEADER_AUTHORITY]: this.#incomingHeaders[http2.constants.HTTP2_HEADER_AUTHORITY],
+			...headers
+		};
+		return new Promise((resolve) => {
+			const pushCallback = (err, pushStream) => {
+				if (err) {
+					this.#logger.error(`Could not push ${path}`, err);
+					this.#session?.releasePush(path);
+					resolve(null);
+					return;
+				}
+				// Clients cancel the pushes of resources they have cached, which node reports as errors of the stream.
+				pushStream.on("error", (err) => this.#logger.debug(`Push of ${path} cancelled`, err));
+				resolve(new H2Stream(pushStream, requestHeaders, {
+					server: this.#server,
+					session: this.#session,
+					logger: this.#logger
+				}));
+			};
+			try {
+				this.#stream.pushStream(requestHeaders, pushCallback);
+			} catch (err) {
+				pushCallback(err);
+			}
+		});
+	}
+
+	/**
+	 * Answers 413 and fails the reading of a body that exceeds its limit.
+	 * @param {number} limit
+	 * @returns {PayloadTooLargeError}
+	 */
+	#bodyTooLarge(limit) {
+		const error = new PayloadTooLargeError(`The request body exceeds the limit of ${limit} bytes.`);
+		this.sendError(error);
+		return error;
+	}
+
+	/**
+	 * Iterates over the chunks of the request body as they arrive. The body can only be read once.
+	 * When the body exceeds the limit, 413 is answered and the iteration fails with a PayloadTooLargeError; a body announcing a
+	 * larger content-length fails before anything is read.
+	 * @param {Object} [options]
+	 * @param {number} [options.limit=Infinity] The maximum size of the body in bytes.
+	 * @returns {AsyncGenerator<Buffer>}
+	 * @throws {Error} When the body was consumed already or the stream was reset before the body was complete.
+	 */
+	async *chunks({limit = Infinity} = {}) {
+		if (this.#bodyConsumed) {
+			throw new Error("The request body was consumed already.");
+		}
+		this.#bodyConsumed = true;
+		const contentLength = Number(this.#incomingHeaders[http2.constants.HTTP2_HEADER_CONTENT_LENGTH] ?? NaN);
+		if (contentLength > limit) {
+			throw this.#bodyTooLarge(limit);
+		}
+		let received = 0;
+		try {
+			// Leaving the loop early must not destroy the stream, it still has to be answered.
+			for await (const chunk of this.#stream.iterator({destroyOnReturn: false})) {
+				received += chunk.length;
+				if (received > limit) {
+					throw this.#bodyTooLarge(limit);
+				}
+				yield chunk;
+			}
+		} catch (err) {
+			if (err.code === "ERR_STREAM_PREMATURE_CLOSE") {
+				throw new Error("The stream was reset before the request body was complete.", {cause: err});
+			}
+			throw err;
+		}
+		if (received < contentLength) {
+			throw new Error("The stream was reset before the request body was complete.");
+		}
+	}
+
+	/**
+	 * Iterates over the chunks of the request body, without a limit. See chunks.
+	 * @returns {AsyncGenerator<Buffer>}
+	 */
+	[Symbol.asyncIterator]() {
+		return this.chunks();
+	}
+
+	/**
+	 * Reads the whole request body. Reading it again gives the same body.
+	 * @param {Object} [options]
+	 * @param {number} [options.limit=H2Stream.BODY_LIMIT] The maximum size of the body in bytes. 413 is answered when
+	 * it is exceeded.
+	 * @returns {Promise<Buffer>}
+	 */
+	readBody({limit = H2Stream.BODY_LIMIT} = {}) {
+		this.#bodyPromise ??= (async () => {
+			const chunks = [];
+			for await (const chunk of this.chunks({limit})) {
+				chunks.push(chunk);
+			}
+			return Buffer.concat(chunks);
+		})();
+		return this.#bodyPromise;
+	}
+
+	/**
+	 * Reads the request body as UTF-8 text.
+	 * @param {Object} [options] See readBody.
+	 * @returns {Promise<string>}
+	 */
+	async text(options) {
+		return (await this.readBody(options)).toString("utf8");
+	}
+
+	/**
+	 * Reads the request body as JSON.
+	 * @param {Object} [options] See readBody.
+	 * @returns {Promise<any>}
+	 * @throws {SyntaxError} When the body is not valid JSON.
+	 */
+	async json(options) {
+		return JSON.parse(await this.text(options));
+	}
+
+	/**
+	 * Reads the request body as a CBOR encoded value.
+	 * @param {Object} [options] See readBody.
+	 * @returns {Promise<any>}
+	 */
+	async cbor(options) {
+		const body = await this.readBody(options);
+		const CBOR = await import("cbor");
+		return CBOR.Decoder.decodeFirst(body);
+	}
+
 	get closed(){
 		return this.#closed || this.#stream.closed || this.#stream.destroyed;
 	}
@@ -72,10 +387,50 @@ export class H2Stream extends EventEmitter {
 		return {...this.#incomingHeaders};
 	}
 
+	/**
+	 * The trailers of the request, or null when none were received (yet). They arrive after the body.
+	 * @returns {Object<string, string | string[]> | null}
+	 */
+	get incomingTrailers() {
+		return this.#incomingTrailers ? {...this.#incomingTrailers} : null;
+	}
+
+	/**
+	 * The server the stream was received on.
+	 * @returns {H2Server | null}
+	 */
+	get server(){
+		return this.#server || null;
+	}
+
+	/**
+	 * The session the stream belongs to. HTTP/1.1 streams have no session.
+	 * @returns {H2Session | null}
+	 */
+	get session(){
+		return this.#session || null;
+	}
+
+	/**
+	 * What happens when the stream is misused, like responding twice: "logger" logs it, "throw" throws it so that it
+	 * reaches the error path of the service.
+	 * @returns {"logger" | "throw"}
+	 */
 	get errorProtocol(){
 		return this.#errorProtocol;
 	}
 
+	/**
+	 * @param {"logger" | "throw"} errorProtocol
+	 * @throws {TypeError} When the error protocol is unknown.
+	 */
+	set errorProtocol(errorProtocol){
+		if(!H2Stream.ERROR_PROTOCOLS.includes(errorProtocol)){
+			throw new TypeError(`errorProtocol must be one of ${H2Stream.ERROR_PROTOCOLS.join(", ")}.`);
+		}
+		this.#errorProtocol = errorProtocol;
+	}
+
 	/**
 	 * @returns {Object<string, number|string> || boolean}
 	 */
@@ -83,15 +438,221 @@ export class H2Stream extends EventEmitter {
 		return this.#sentHeaders || false;
 	}
 
+	/**
+	 * Writes data to the stream without waiting. Prefer write for large responses.
+	 * @param {Buffer | Uint8Array | string} data
+	 * @returns {boolean} False when the data was buffered and the caller should wait for the stream to drain.
+	 */
 	sendData(data){
 		if(!this.sentHeaders){
 			throw new Error("Must respond before sending data");
 		}
-		this.#stream.write(data)
+		return (this.#compressor || this.#stream).write(data);
+	}
+
+	/**
+	 * Writes data to the stream and waits for it to drain if its buffer is full, so that slow clients do not make the
+	 * responses pile up in memory.
+	 * @param {Buffer | Uint8Array | string} data
+	 * @returns {Promise<void>}
+	 * @throws {Error} When the stream closes before it drained.
+	 */
+	write(data){
+		if(this.sendData(data)){
+			return Promise.resolve();
+		}
+		const writable = this.#compressor || this.#stream;
+		return new Promise((resolve, reject) => {
+			const drainListener = () => {
+				this.#stream.off("close", closeListener);
+				resolve();
+			};
+			const closeListener = () => {
+				writable.off("drain", drainListener);
+				reject(new Error("The stream closed before it drained."));
+			};
+			writable.once("drain", drainListener);
+			this.#stream.once("close", closeListener);
+		});
+	}
+
+	/**
+	 * Writes everything a readable gives to the stream, waiting for the stream to drain when needed, then ends it.
+	 * The response must have been sent already.
+	 * @param {AsyncIterable<Buffer | Uint8Array | string>} readable
+	 * @param {Object} [options]
+	 * @param {boolean} [options.end=true] End the stream once the readable is done.
+	 * @returns {Promise<void>}
+	 * @throws {Error} When the readable fails or the stream closes first. The stream is left to the caller then.
+	 */
+	async pipeFrom(readable, {end = true} = {}){
+		for await (const chunk of readable){
+			await this.write(chunk);
+		}
+		if(end){
+			this.end();
+		}
+	}
+
+	/**
+	 * Responds with a file. Node sends it straight from the file descriptor with flow control, along with its
+	 * content-length and a content-type guessed from its name. Files are not compressed on the fly.
+	 * @param {string} filePath
+	 * @param {Object<string, string | number>} [headers] Extra response headers, the status included.
+	 * @returns {Promise<void>} Resolves once the stream is closed.
+	 * @throws {Error} When the file can not be read, in which case nothing was sent and the stream can still be answered.
+	 */
+	sendFile(filePath, headers = {}){
+		if(this.#sentHeaders){
+			if(this.#errorProtocol === "throw")
+				return Promise.reject(new Error("Headers already sent."));
+			this.#logger.error("Headers already sent.");
+			return Promise.resolve();
+		}
+		const responseHeaders = {
+			[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_OK,
+			[http2.constants.HTTP2_HEADER_CONTENT_TYPE]: mimeTypes.lookup(filePath) || "application/octet-stream",
+			...headers
+		};
+		return new Promise((resolve, reject) => {
+			const closeListener = () => resolve();
+			this.#stream.once("close", closeListener);
+			this.#stream.respondWithFile(filePath, responseHeaders, {
+				statCheck: () => {
+					this.#sentHeaders = responseHeaders;
+					this.#closed = true;
+				},
+				onError: (err) => {
+					this.#stream.off("close", closeListener);
+					reject(err);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Responds with a JSON body and ends the stream.
+	 * @param {number} status
+	 * @param {any} value
+	 */
+	sendJSON(status, value){
+		this.#sendBody(status, "application/json; charset=utf-8", Buffer.from(JSON.stringify(value)));
+	}
+
+	/**
+	 * Responds with a CBOR body and ends the stream.
+	 * @param {number} status
+	 * @param {any} value
+	 * @returns {Promise<void>} Resolves once the body is handed to the stream.
+	 */
+	async sendCBOR(status, value){
+		const CBOR = await import("cbor");
+		this.#sendBody(status, "application/cbor", CBOR.Encoder.encodeOne(value));
+	}
+
+	/**
+	 * Redirects the client and ends the stream.
+	 * @param {string} location
+	 * @param {number} [status=302]
+	 */
+	redirect(location, status = http2.constants.HTTP_STATUS_FOUND){
+		this.respond({
+			[http2.constants.HTTP2_HEADER_STATUS]: status,
+			[http2.constants.HTTP2_HEADER_LOCATION]: location,
+			[http2.constants.HTTP2_HEADER_CONTENT_LENGTH]: 0
+		}, {endStream: true});
+	}
+
+	/**
+	 * Responds with a whole body and ends the stream.
+	 * @param {number} status
+	 * @param {string} contentType
+	 * @param {Buffer} body
+	 */
+	#sendBody(status, contentType, body){
+		if(this.#sentHeaders){
+			if(this.#errorProtocol === "throw")
+				throw new Error("Headers already sent.");
+			this.#logger.error("Headers already sent.");
+			return;
+		}
+		this.respond({
+			[http2.constants.HTTP2_HEADER_STATUS]: status,
+			[http2.constants.HTTP2_HEADER_CONTENT_TYPE]: contentType,
+			[http2.constants.HTTP2_HEADER_CONTENT_LENGTH]: body.length
+		});
+		this.end(body);
 	}
 
+	/**
+	 * Answers an error with RFC 9457 problem details. Errors that are not HttpErrors are answered with a 500 that tells
+	 * nothing about them. When the response is already under way it can not change anymore, so the stream is reset
+	 * instead, with INTERNAL_ERROR for server errors and CANCEL otherwise.
+	 * @param {HttpError | Error} error
+	 */
+	sendError(error){
+		const httpError = HttpError.from(error);
+		if(this.sentHeaders){
+			if(!this.closed){
+				this.close(httpError.status >= http2.constants.HTTP_STATUS_INTERNAL_SERVER_ERROR ?
+						http2.constants.NGHTTP2_INTERNAL_ERROR : http2.constants.NGHTTP2_CANCEL);
+			}
+			return;
+		}
+		const instance = this.#incomingHeaders[http2.constants.HTTP2_HEADER_PATH]?.split("?")[0];
+		const body = Buffer.from(JSON.stringify(httpError.toProblem(instance)));
+		this.respond({
+			...httpError.headers,
+			[http2.constants.HTTP2_HEADER_STATUS]: httpError.status,
+			[http2.constants.HTTP2_HEADER_CONTENT_TYPE]: PROBLEM_CONTENT_TYPE,
+			[http2.constants.HTTP2_HEADER_CONTENT_LENGTH]: body.length
+		});
+		this.end(body);
+	}
+
+	/**
+	 * Resets the stream, abandoning the response.
+	 * @param {number} [code=http2.constants.NGHTTP2_CANCEL] The HTTP/2 error code.
+	 */
+	close(code = http2.constants.NGHTTP2_CANCEL){
+		this.#closed = true;
+		this.#compressor?.destroy();
+		this.#stream.close(code);
+	}
+
+	/**
+	 * Sends the trailers and ends the stream. The response must have been sent with waitForTrailers.
+	 * @param {Object<string, string | string[]>} trailers
+	 */
+	sendTrailers(trailers){
+		if(!this.sentHeaders){
+			throw new Error("Must respond before sending trailers");
+		}
+		this.end({trailers});
+	}
+
+	/**
+	 * Ends the stream.
+	 * @param {{trailers: Object<string, string | string[]>} | any} [endStatus] The trailers to end a response sent with
+	 * waitForTrailers with, or the last data of the stream.
+	 */
 	end(endStatus){
+		if(endStatus?.trailers){
+			if(this.#waitForTrailers){
+				this.#trailers = {...this.#trailers, ...endStatus.trailers};
+			}else if(this.#errorProtocol === "throw"){
+				throw new Error("Trailers need a response sent with waitForTrailers.");
+			}else{
+				this.#logger.error("Trailers need a response sent with waitForTrailers.");
+			}
+			endStatus = undefined;
+		}
 		this.#closed = true;
+		if(this.#compressor){
+			// The compressor ends the stream once it flushed, which also asks for the trailers.
+			this.#compressor.end(typeof endStatus === "number" ? undefined : endStatus);
+			return;
+		}
 		this.#stream.end(endStatus);
 	}
 
@@ -0,0 +1,339 @@
+import {EventEmitter} from "node:events";
+import http2 from "node:http2";
+
+http2.constants.HTTP2_HEADER_LAST_EVENT_ID = "last-event-id";
+
+/**
+ * An event of a Server-Sent Events stream.
+ * @typedef {Object} SseEvent
+ * @property {string} [event] The type of the event. Clients treat events without one as "message".
+ * @property {any} [data] The data of the event. Anything but a string is sent as JSON.
+ * @property {string | number} [id] The id clients send back in Last-Event-ID when they reconnect.
+ * @property {number} [retry] Milliseconds clients wait before reconnecting.
+ */
+
+/**
+ * Formats an event in the text/event-stream format.
+ * @param {SseEvent} sseEvent
+ * @returns {string}
+ * @throws {TypeError} When the id or the type contain line breaks, which would break the stream.
+ */
+const formatEvent = ({event, data, id, retry}) => {
+	const lines = [];
+	if (id !== undefined) {
+		if (/[\r\n\0]/.test(String(id))) {
+			throw new TypeError("Event ids can not contain line breaks or NUL characters.");
+		}
+		lines.push(`id: ${id}`);
+	}
+	if (event !== undefined) {
+		if (/[\r\n]/.test(event)) {
+			throw new TypeError("Event types can not contain line breaks.");
+		}
+		lines.push(`event: ${event}`);
+	}
+	if (retry !== undefined) {
+		lines.push(`retry: ${Math.floor(retry)}`);
+	}
+	if (data !== undefined) {
+		const text = typeof data === "string" ? data : JSON.stringify(data);
+		lines.push(...text.split(/\r\n|\r|\n/).map((line) => `data: ${line}`));
+	}
+	return lines.join("\n") + "\n\n";
+};
+
+/**
+ * A bounded buffer of the events published to a group of Server-Sent Events streams. It numbers the events, so that
+ * streams that reconnect with a Last-Event-ID get the events they missed replayed, as long as they are still in the
+ * buffer. Share one buffer between all the streams of the same feed.
+ * @emits SseEventBuffer#event - When an event is published. Receives the event with its id.
+ * @extends EventEmitter
+ */
+export class SseEventBuffer extends EventEmitter {
+	/**
+	 * The buffered events, oldest first.
+	 * @type {SseEvent[]}
+	 */
+	#events = [];
+	/**
+	 * The maximum number of buffered events.
+	 * @type {number}
+	 */
+	#size = 100;
+	/**
+	 * The id of the last published event.
+	 * @type {number}
+	 */
+	#lastId = 0;
+
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.size=100] The number of events kept for replay.
+	 * @throws {RangeError} When the size is not a positive integer.
+	 */
+	constructor({size = 100} = {}) {
+		super();
+		if (!Number.isInteger(size) || size < 1) {
+			throw new RangeError("size must be a positive integer.");
+		}
+		this.#size = size;
+		// Every stream of the feed subscribes.
+		this.setMaxListeners(0);
+	}
+
+	/**
+	 * Publishes an event to all the streams of the buffer and keeps it for replay.
+	 * @param {SseEvent} sseEvent Its id is assigned by the buffer.
+	 * @returns {SseEvent} The published event.
+	 */
+	publish(sseEvent) {
+		const published = {...sseEvent, id: String(++this.#lastId)};
+		this.#events.push(published);
+		if (this.#events.length > this.#size) {
+			this.#events.shift();
+		}
+		this.emit("event", published);
+		return published;
+	}
+
+	/**
+	 * The buffered events published after an event. When that event is not in the buffer anymore all buffered events
+	 * are returned, as the client may have missed any of them.
+	 * @param {string} [lastEventId]
+	 * @returns {SseEvent[]}
+	 */
+	since(lastEventId) {
+		const index = this.#events.findIndex((sseEvent) => sseEvent.id === String(lastEventId));
+		return this.#events.slice(index + 1);
+	}
+
+	/**
+	 * The id of the last published event, 0 before the first one.
+	 * @returns {string}
+	 */
+	get lastId() {
+		return String(this.#lastId);
+	}
+}
+
+/**
+ * A Server-Sent Events transport over an H2Stream (or an H1Stream), for clients that use EventSource.
+ * It has the sendText and sendBinary surface of WsH2Stream, so that a StreamedService can push to either. The stream
+ * only goes from the server to the client; the client can not send anything back over it.
+ * @emits SseStream#close - When the stream is closed.
+ * @emits SseStream#error - When an event could not be written.
+ * @extends EventEmitter
+ */
+export class SseStream extends EventEmitter {
+	/**
+	 * @type {H2Stream}
+	 */
+	#h2Stream = null;
+	/**
+	 * @type {SseEventBuffer | null}
+	 */
+	#buffer = null;
+	/**
+	 * @type {Console | console}
+	 */
+	#logger = console;
+	/**
+	 * The interval of the heartbeat comments.
+	 * @type {NodeJS.Timeout | null}
+	 */
+	#heartbeatInterval = null;
+	/**
+	 * @type {boolean}
+	 */
+	#closed = false;
+	/**
+	 * The bytes of the writes that wait for the stream to drain.
+	 * @type {number}
+	 */
+	#queuedBytes = 0;
+	/**
+	 * The most bytes that may wait for the stream to drain before the client is dropped.
+	 * @type {number}
+	 */
+	#maxQueuedBytes = 1024 * 1024;
+
+	/**
+	 * Answers the stream with text/event-stream, replays the buffered events the client missed according to its
+	 * Last-Event-ID and starts the heartbeats.
+	 * @param {H2Stream} h2Stream A stream that was not answered yet.
+	 * @param {Object} [options]
+	 * @param {SseEventBuffer} [options.buffer] The buffer of the feed. Its events are sent to the client as they are
+	 * published and replayed when the client reconnects.
+	 * @param {number} [options.heartbeatInterval=15000] Milliseconds between the comments that keep idle connections
+	 * and the proxies in between open. 0 disables them.
+	 * @param {number} [options.retry] Milliseconds the client should wait before reconnecting.
+	 * @param {number} [options.maxQueuedBytes=1048576] The bytes that may wait for a slow client to read them. A
+	 * client that falls further behind is dropped, it catches up through the buffer when it reconnects.
+	 * @param {Console} [options.logger]
+	 * @throws {RangeError} When maxQueuedBytes is not a positive number.
+	 */
+	constructor(h2Stream, options = {}) {
+		super();
+		this.#h2Stream = h2Stream;
+		this.#buffer = options.buffer || null;
+		this.#logger = options.logger || console;
+		this.#maxQueuedBytes = options.maxQueuedBytes ?? this.#maxQueuedBytes;
+		if (!(this.#maxQueuedBytes > 0)) {
+			throw new RangeError("maxQueuedBytes must be a positive number.");
+		}
+		h2Stream.respond({
+			[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_OK,
+			[http2.constants.HTTP2_HEADER_CONTENT_TYPE]: "text/event-stream; charset=utf-8",
+			[http2.constants.HTTP2_HEADER_CACHE_CONTROL]: "no-cache"
+		});
+		h2Stream.once("close", this.#closeListener);
+		if (options.retry !== undefined) {
+			this.#write(formatEvent({retry: options.retry}));
+		}
+		if (this.#buffer) {
+			const lastEventId = h2Stream.incomingHeaders[http2.constants.HTTP2_HEADER_LAST_EVENT_ID];
+			if (lastEventId !== undefined) {
+				this.#buffer.since(lastEventId).forEach((sseEvent) => this.sendEvent(sseEvent));
+			}
+			this.#buffer.on("event", this.#bufferEventListener);
+		}
+		const heartbeatInterval = options.heartbeatInterval ?? 15000;
+		if (heartbeatInterval > 0) {
+			this.#heartbeatInterval = setInterval(() => {
+				// A client that is still reading does not need to be kept alive.
+				if (!this.#queuedBytes) {
+					this.#write(": heartbeat\n\n");
+				}
+			}, heartbeatInterval);
+		}
+	}
+
+	/**
+	 * Listener for the events published to the buffer. Sends them further to the client.
+	 * @param {SseEvent} sseEvent
+	 */
+	#bufferEventListener = (sseEvent) => {
+		this.sendEvent(sseEvent);
+	};
+
+	/**
+	 * Listener for the close of the underlying stream. Stops the heartbeats and leaves the buffer.
+	 * @emits SseStream#close
+	 */
+	#closeListener = () => {
+		this.#closed = true;
+		this.#stopHeartbeat();
+		this.#buffer?.off("event", this.#bufferEventListener);
+		this.emit("close");
+	};
+
+	/**
+	 * Writes to the stream, unless it is closed already. Drops the client when too much waits for it to read.
+	 * @param {string} text
+	 * @returns {Promise<void>} Resolves once the stream can take more.
+	 * @emits SseStream#error
+	 */
+	#write(text) {
+		if (this.closed) {
+			return Promise.resolve();
+		}
+		const length = Buffer.byteLength(text);
+		if (this.#queuedBytes + length > this.#maxQueuedBytes) {
+			this.#logger.warn(`Dropping a Server-Sent Events client over ${this.#maxQueuedBytes} bytes behind.`);
+			this.#closed = true;
+			this.#stopHeartbeat();
+			this.#h2Stream.close();
+			return Promise.resolve();
+		}
+		this.#queuedBytes += length;
+		return this.#h2Stream.write(text).then(() => {
+			this.#queuedBytes = Math.max(0, this.#queuedBytes - length);
+		}, (err) => {
+			this.#queuedBytes = Math.max(0, this.#queuedBytes - length);
+			this.#logger.debug("Could not write the event.", err);
+			this.#stopHeartbeat();
+			// Most writes are not awaited, an error event nobody listens to must not bring down the process.
+			if (this.listenerCount("error")) {
+				this.emit("error", err);
+			}
+		});
+	}
+
+	/**
+	 * Stops the heartbeat comments.
+	 */
+	#stopHeartbeat() {
+		clearInterval(this.#heartbeatInterval);
+		this.#heartbeatInterval = null;
+	}
+
+	/**
+	 * Sends an event to this client only. Use the buffer to publish events to every client of a feed.
+	 * @param {SseEvent} sseEvent
+	 * @returns {Promise<void>} Resolves once the stream can take more.
+	 * @throws {TypeError} When the id or the type contain line breaks.
+	 */
+	sendEvent(sseEvent) {
+		return this.#write(formatEvent(sseEvent));
+	}
+
+	/**
+	 * Sends text as a message event.
+	 * @param {string} text
+	 * @returns {Promise<void>}
+	 */
+	sendText(text) {
+		return this.sendEvent({data: String(text)});
+	}
+
+	/**
+	 * Sends binary data as a "binary" event, encoded in base64 as event streams only carry text.
+	 * @param {Uint8Array} data
+	 * @returns {Promise<void>}
+	 */
+	sendBinary(data) {
+		if (!(data instanceof Uint8Array)) {
+			throw new TypeError("Data must be a Buffer or a Uint8Array.");
+		}
+		return this.sendEvent({
+			event: "binary",
+			data: Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString("base64")
+		});
+	}
+
+	/**
+	 * Ends the stream. EventSource clients reconnect unless they are answered with 204, or are told to stop by the
+	 * application.
+	 */
+	close() {
+		if (this.closed) {
+			return;
+		}
+		this.#closed = true;
+		this.#h2Stream.end();
+	}
+
+	/**
+	 * The bytes of the events that wait for the client to read them, like WsH2Stream.bufferedAmount.
+	 * @returns {number}
+	 */
+	get bufferedAmount() {
+		return this.#queuedBytes;
+	}
+
+	/**
+	 * Whether the stream is closed.
+	 * @returns {boolean}
+	 */
+	get closed() {
+		return this.#closed || this.#h2Stream.closed;
+	}
+
+	/**
+	 * The headers of the request that opened the stream.
+	 * @returns {Object<string, any>}
+	 */
+	get incomingHeaders() {
+		return this.#h2Stream.incomingHeaders;
+	}
+}
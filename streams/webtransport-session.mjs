@@ -0,0 +1,1123 @@
+import {EventEmitter} from "node:events";
+import http2 from "node:http2";
+import {CapsuleParser, encodeCapsule, encodeVarint, readVarint} from "../utils/capsule-parser.mjs";
+import {WebTransportError} from "../errors/webtransport-error.mjs";
+
+/**
+ * A stream of a WebTransport session. Bidirectional streams have both sides, unidirectional ones only the readable
+ * side when the client opened them and only the writable side when the server did.
+ * The readable side errors with a WebTransportError when the peer resets the stream, cancelling it asks the peer to
+ * stop sending. The writable side errors when the peer stops reading, aborting it resets the stream. A reason with a
+ * streamErrorCode, like a WebTransportError, passes that code to the peer.
+ */
+export class WebTransportStream {
+	/**
+	 * @type {number}
+	 */
+	#id = 0;
+	/**
+	 * @type {WebTransportSession}
+	 */
+	#session = null;
+	/**
+	 * @type {ReadableStream<Buffer> | null}
+	 */
+	#readable = null;
+	/**
+	 * @type {WritableStream<Uint8Array> | null}
+	 */
+	#writable = null;
+
+	/**
+	 * @param {WebTransportSession} session
+	 * @param {number} id
+	 * @param {Object} sides
+	 * @param {ReadableStream<Buffer> | null} sides.readable
+	 * @param {WritableStream<Uint8Array> | null} sides.writable
+	 */
+	constructor(session, id, {readable, writable}) {
+		this.#session = session;
+		this.#id = id;
+		this.#readable = readable;
+		this.#writable = writable;
+	}
+
+	/**
+	 * The id of the stream within its session. Its low bits tell who opened it and in which directions it goes, as
+	 * for QUIC streams.
+	 * @returns {number}
+	 */
+	get id() {
+		return this.#id;
+	}
+
+	/**
+	 * @returns {WebTransportSession}
+	 */
+	get session() {
+		return this.#session;
+	}
+
+	/**
+	 * @returns {boolean}
+	 */
+	get bidirectional() {
+		return (this.#id & 0b10) === 0;
+	}
+
+	/**
+	 * Who opened the stream.
+	 * @returns {"client" | "server"}
+	 */
+	get initiator() {
+		return this.#id & 0b01 ? "server" : "client";
+	}
+
+	/**
+	 * The data received on the stream, null when only the server sends on it.
+	 * @returns {ReadableStream<Buffer> | null}
+	 */
+	get readable() {
+		return this.#readable;
+	}
+
+	/**
+	 * Sends what is written to it on the stream, null when only the client sends on it.
+	 * @returns {WritableStream<Uint8Array> | null}
+	 */
+	get writable() {
+		return this.#writable;
+	}
+}
+
+/**
+ * The state of a stream of a session.
+ * @typedef {Object} WebTransportStreamState
+ * @property {number} id
+ * @property {"bidi" | "uni"} type
+ * @property {boolean} local Whether the server opened the stream.
+ * @property {WebTransportStream} stream
+ * @property {boolean} readDone Whether nothing more is read, because the stream ended, was reset or cancelled.
+ * @property {boolean} finReceived Whether the client ended its side of the stream, nothing may follow.
+ * @property {boolean} writeDone Whether nothing more is written, because the stream was finished or reset.
+ * @property {ReadableStreamDefaultController | null} readableController Null once nothing more is enqueued.
+ * @property {WritableStreamDefaultController | null} writableController
+ * @property {number} receiveWindow The credit the peer gets on the stream, beyond what was read.
+ * @property {number} receiveLimit The offset up to which the peer may send.
+ * @property {number} received
+ * @property {number} sendLimit The offset up to which the peer lets the server send.
+ * @property {number} sent
+ * @property {number} blockedAt The send limit a STREAM_DATA_BLOCKED capsule was sent for, -1 for none.
+ * @property {{data: Buffer, offset: number, resolve: function(): void, reject: function(Error): void} | null} pendingWrite
+ * @property {{resolve: function(): void, reject: function(Error): void} | null} finRequested
+ */
+
+/**
+ * A WebTransport session over an HTTP/2 extended CONNECT stream (draft-ietf-webtrans-http2). Its streams, datagrams
+ * and flow control travel as capsules (RFC 9297) in the data of the CONNECT stream.
+ * The flow control limits the server advertises are its webTransport options, sent in the SETTINGS of every
+ * connection. The limits of the client are the ones of its SETTINGS, 0 for those it did not send, and grow with the
+ * capsules it sends.
+ * @extends EventEmitter
+ * @emits stream - When the client opens a stream. The event handler receives the WebTransportStream.
+ * @emits datagram - When a datagram is received. The event handler receives the Buffer.
+ * @emits draining - When the client asks for the session to be closed soon.
+ * @emits error - When the client violates the protocol. The event handler receives a WebTransportError, the CONNECT
+ * stream is reset right after.
+ * @emits close - When the session is closed. The event handler receives an object with the following properties:
+ * closeCode and reason, the ones of the close capsule, 0 and "" without one; and wasClean, whether the CONNECT stream
+ * was ended rather than reset.
+ */
+export class WebTransportSession extends EventEmitter {
+	/**
+	 * The capsule types of WebTransport over HTTP/2, along with the DATAGRAM capsule of RFC 9297 and the session
+	 * capsules shared with WebTransport over HTTP/3.
+	 * @type {Object<string, number>}
+	 */
+	static CAPSULE_TYPES = {
+		DATAGRAM: 0x00,
+		CLOSE_SESSION: 0x2843,
+		DRAIN_SESSION: 0x78ae,
+		PADDING: 0x190b4d38,
+		RESET_STREAM: 0x190b4d39,
+		STOP_SENDING: 0x190b4d3a,
+		STREAM: 0x190b4d3b,
+		STREAM_FIN: 0x190b4d3c,
+		MAX_DATA: 0x190b4d3d,
+		MAX_STREAM_DATA: 0x190b4d3e,
+		MAX_STREAMS_BIDI: 0x190b4d3f,
+		MAX_STREAMS_UNI: 0x190b4d40,
+		DATA_BLOCKED: 0x190b4d41,
+		STREAM_DATA_BLOCKED: 0x190b4d42,
+		STREAMS_BLOCKED_BIDI: 0x190b4d43,
+		STREAMS_BLOCKED_UNI: 0x190b4d44
+	};
+	/**
+	 * The HTTP/2 SETTINGS of WebTransport over HTTP/2.
+	 * @type {Object<string, number>}
+	 */
+	static SETTINGS = {
+		MAX_SESSIONS: 0x2b60,
+		INITIAL_MAX_DATA: 0x2b61,
+		INITIAL_MAX_STREAM_DATA_UNI: 0x2b62,
+		INITIAL_MAX_STREAM_DATA_BIDI: 0x2b63,
+		INITIAL_MAX_STREAMS_UNI: 0x2b64,
+		INITIAL_MAX_STREAMS_BIDI: 0x2b65
+	};
+	/**
+	 * The defaults of the WebTransport options. The stream data limits are one HTTP/2 DATA frame (H2Server.H2_16k).
+	 * @type {{maxSessions: number, initialMaxData: number, initialMaxStreamDataUni: number, initialMaxStreamDataBidi: number, initialMaxStreamsUni: number, initialMaxStreamsBidi: number, maxDatagramSize: number}}
+	 */
+	static #OPTION_DEFAULTS = {
+		maxSessions: 100,
+		initialMaxData: 16 * 1024,
+		initialMaxStreamDataUni: 16 * 1024,
+		initialMaxStreamDataBidi: 16 * 1024,
+		initialMaxStreamsUni: 100,
+		initialMaxStreamsBidi: 100,
+		maxDatagramSize: 16 * 1024
+	};
+	/**
+	 * The most stream data sent in one capsule, so that a capsule fits into an HTTP/2 DATA frame along with its header
+	 * and the stream id.
+	 * @type {number}
+	 */
+	static #MAX_STREAM_CHUNK = 16 * 1024 - 16;
+	/**
+	 * The longest reason of a close capsule, in bytes.
+	 * @type {number}
+	 */
+	static #MAX_CLOSE_REASON = 1024;
+
+	#stream = null;
+	#incomingHeaders = {};
+	#logger = console;
+	#server = null;
+	#session = null;
+	/**
+	 * The WebTransport options of the session, see resolveOptions.
+	 * @type {{maxSessions: number, initialMaxData: number, initialMaxStreamDataUni: number, initialMaxStreamDataBidi: number, initialMaxStreamsUni: number, initialMaxStreamsBidi: number, maxDatagramSize: number}}
+	 */
+	#options = WebTransportSession.#OPTION_DEFAULTS;
+	/**
+	 * Reads the capsules out of the data of the CONNECT stream.
+	 * @type {CapsuleParser}
+	 */
+	#capsuleParser = null;
+	/**
+	 * The open streams by id.
+	 * @type {Map<number, WebTransportStreamState>}
+	 */
+	#streams = new Map();
+	/**
+	 * The stream data the client may send over the lifetime of the session.
+	 * @type {number}
+	 */
+	#receiveLimit = 0;
+	/**
+	 * The stream data received.
+	 * @type {number}
+	 */
+	#received = 0;
+	/**
+	 * The stream data the client lets the server send over the lifetime of the session.
+	 * @type {number}
+	 */
+	#sendLimit = 0;
+	/**
+	 * The stream data sent.
+	 * @type {number}
+	 */
+	#sent = 0;
+	/**
+	 * The send limit a DATA_BLOCKED capsule was sent for, -1 for none.
+	 * @type {number}
+	 */
+	#dataBlockedAt = -1;
+	/**
+	 * The streams opened by the client: the number opened, skipped ids included, the number still open, and how many
+	 * it may open.
+	 * @type {{bidi: {opened: number, active: number, limit: number}, uni: {opened: number, active: number, limit: number}}}
+	 */
+	#peerStreams = null;
+	/**
+	 * The streams opened by the server: the number opened, how many the client lets it open, the limit a
+	 * STREAMS_BLOCKED capsule was sent for, and the openings waiting for the client to allow more.
+	 * @type {{bidi: {opened: number, limit: number, blockedAt: number, waiting: Array<{resolve: function(WebTransportStream): void, reject: function(Error): void}>}, uni: {opened: number, limit: number, blockedAt: number, waiting: Array<{resolve: function(WebTransportStream): void, reject: function(Error): void}>}}}
+	 */
+	#localStreams = null;
+	/**
+	 * Whether the flush waits for the CONNECT stream to drain.
+	 * @type {boolean}
+	 */
+	#waitingForDrain = false;
+	/**
+	 * The close capsule sent, or received, once the session is closing.
+	 * @type {{closeCode: number, reason: string} | null}
+	 */
+	#closeInfo = null;
+	/**
+	 * Whether the session is closing: its streams are gone and nothing new is sent or received.
+	 * @type {boolean}
+	 */
+	#closing = false;
+	/**
+	 * Whether the session was failed because the client violated the protocol.
+	 * @type {boolean}
+	 */
+	#failed = false;
+
+	/**
+	 * Resolves the WebTransport options, falling back to the defaults.
+	 * @param {Object} [options]
+	 * @param {number} [options.maxSessions=100] The number of sessions a connection may have open at once.
+	 * @param {number} [options.initialMaxData=16384] The stream data in bytes a session may receive before the client
+	 * is granted more. More is granted as it is received.
+	 * @param {number} [options.initialMaxStreamDataUni=16384] The bytes a unidirectional stream may receive before the
+	 * client is granted more. More is granted as the readable side is read, which is what slows down the client.
+	 * @param {number} [options.initialMaxStreamDataBidi=16384] The same for bidirectional streams.
+	 * @param {number} [options.initialMaxStreamsUni=100] The unidirectional streams the client may have open at once.
+	 * @param {number} [options.initialMaxStreamsBidi=100] The bidirectional streams the client may have open at once.
+	 * @param {number} [options.maxDatagramSize=16384] The largest datagram sent or received, in bytes. Larger received
+	 * datagrams are dropped.
+	 * @returns {{maxSessions: number, initialMaxData: number, initialMaxStreamDataUni: number, initialMaxStreamDataBidi: number, initialMaxStreamsUni: number, initialMaxStreamsBidi: number, maxDatagramSize: number}}
+	 * @throws {RangeError} When an option is out of range.
+	 */
+	static resolveOptions(options = {}){
+		const resolved = {...WebTransportSession.#OPTION_DEFAULTS, ...options};
+		for(const name of Object.keys(WebTransportSession.#OPTION_DEFAULTS)){
+			// SETTINGS values are 32 bits wide.
+			if(!Number.isInteger(resolved[name]) || resolved[name] < 0 || resolved[name] > 2 ** 32 - 1){
+				throw new RangeError(`webTransport.${name} must be an integer from 0 to 2^32 - 1.`);
+			}
+		}
+		if(resolved.maxDatagramSize < 1){
+			throw new RangeError("webTransport.maxDatagramSize must be at least 1 byte.");
+		}
+		return resolved;
+	}
+
+	/**
+	 * The custom HTTP/2 SETTINGS that advertise the WebTransport options.
+	 * @param {{maxSessions: number, initialMaxData: number, initialMaxStreamDataUni: number, initialMaxStreamDataBidi: number, initialMaxStreamsUni: number, initialMaxStreamsBidi: number}} options
+	 * As returned by resolveOptions.
+	 * @returns {Object<number, number>}
+	 */
+	static customSettings(options){
+		return {
+			[WebTransportSession.SETTINGS.MAX_SESSIONS]: options.maxSessions,
+			[WebTransportSession.SETTINGS.INITIAL_MAX_DATA]: options.initialMaxData,
+			[WebTransportSession.SETTINGS.INITIAL_MAX_STREAM_DATA_UNI]: options.initialMaxStreamDataUni,
+			[WebTransportSession.SETTINGS.INITIAL_MAX_STREAM_DATA_BIDI]: options.initialMaxStreamDataBidi,
+			[WebTransportSession.SETTINGS.INITIAL_MAX_STREAMS_UNI]: options.initialMaxStreamsUni,
+			[WebTransportSession.SETTINGS.INITIAL_MAX_STREAMS_BIDI]: options.initialMaxStreamsBidi
+		};
+	}
+
+	/**
+	 * Accepts a WebTransport session.
+	 * @param {ServerHttp2Stream} stream The extended CONNECT stream.
+	 * @param {Object<string, any>} incomingHeaders
+	 * @param {Object} [options]
+	 * @param {H2Server} [options.server] The WebTransport options are the ones of the server.
+	 * @param {H2Session} [options.session]
+	 * @param {Console} [options.logger]
+	 */
+	constructor(stream, incomingHeaders, options = {}) {
+		super();
+		this.#stream = stream;
+		this.#incomingHeaders = incomingHeaders;
+		this.#server = options.server;
+		this.#session = options.session;
+		this.#logger = options.logger || console;
+		this.#options = this.#server?.webTransport || WebTransportSession.resolveOptions();
+		const remoteSettings = stream.session?.remoteSettings?.customSettings || {};
+		this.#receiveLimit = this.#options.initialMaxData;
+		this.#sendLimit = remoteSettings[WebTransportSession.SETTINGS.INITIAL_MAX_DATA] || 0;
+		this.#peerStreams = {
+			bidi: {opened: 0, active: 0, limit: this.#options.initialMaxStreamsBidi},
+			uni: {opened: 0, active: 0, limit: this.#options.initialMaxStreamsUni}
+		};
+		this.#localStreams = {
+			bidi: {opened: 0, limit: remoteSettings[WebTransportSession.SETTINGS.INITIAL_MAX_STREAMS_BIDI] || 0, blockedAt: -1, waiting: []},
+			uni: {opened: 0, limit: remoteSettings[WebTransportSession.SETTINGS.INITIAL_MAX_STREAMS_UNI] || 0, blockedAt: -1, waiting: []}
+		};
+		// A stream capsule carries at most the receive window of a stream, next to its id.
+		this.#capsuleParser = new CapsuleParser({
+			maxCapsuleLength: Math.max(
+					this.#options.initialMaxStreamDataUni,
+					this.#options.initialMaxStreamDataBidi,
+					this.#options.maxDatagramSize,
+					4 + WebTransportSession.#MAX_CLOSE_REASON
+			) + 8
+		});
+		this.#stream.respond({
+			[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_OK
+		});
+		this.#stream.on('data', this.#dataListener);
+		this.#stream.on('end', this.#endListener);
+		this.#stream.on('error', this.#errorListener);
+		this.#stream.once('close', this.#closeListener);
+	}
+
+	#dataListener = (chunk) => {
+		if(this.#failed || this.#closeInfo){
+			// Nothing may follow the close capsule.
+			return;
+		}
+		let capsules;
+		try{
+			capsules = this.#capsuleParser.push(chunk);
+		}catch(error){
+			this.#fail(error.message);
+			return;
+		}
+		for(const capsule of capsules){
+			this.#handleCapsule(capsule);
+			if(this.#failed || this.#closeInfo){
+				return;
+			}
+		}
+	}
+
+	#endListener = () => {
+		// Ending the CONNECT stream without a close capsule closes the session with 0 and no reason.
+		this.#abortStreams(new WebTransportError("The session was closed by the client.", {source: "session"}));
+		if(!this.#stream.writableEnded){
+			this.#stream.end();
+		}
+	}
+
+	#errorListener = (error) => {
+		this.#logger.debug("WebTransport CONNECT stream error.", error);
+	}
+
+	#closeListener = () => {
+		this.#abortStreams(new WebTransportError("The session is closed.", {source: "session"}));
+		this.emit('close', {
+			closeCode: this.#closeInfo?.closeCode ?? 0,
+			reason: this.#closeInfo?.reason ?? "",
+			wasClean: !this.#failed && !this.#stream.rstCode
+		});
+	}
+
+	/**
+	 * Handles a capsule received on the CONNECT stream. Unknown capsules are ignored (RFC 9297 section 3.2).
+	 * @param {Capsule} capsule
+	 */
+	#handleCapsule({type, payload}){
+		const TYPES = WebTransportSession.CAPSULE_TYPES;
+		switch(type){
+			case TYPES.DATAGRAM:
+				// The client is not told the limit, larger datagrams are dropped like ones that do not fit a QUIC packet.
+				if(payload.length > this.#options.maxDatagramSize){
+					this.#logger.debug(`WebTransport datagram of ${payload.length} bytes dropped.`);
+					return;
+				}
+				this.emit('datagram', payload);
+				return;
+			case TYPES.STREAM:
+			case TYPES.STREAM_FIN:
+				this.#receiveStreamData(payload, type === TYPES.STREAM_FIN);
+				return;
+			case TYPES.RESET_STREAM:
+			case TYPES.STOP_SENDING: {
+				const [id, code] = this.#readVarints(payload, 2) || [];
+				const state = id === undefined ? undefined : this.#streamFor(id);
+				if(state && type === TYPES.RESET_STREAM){
+					this.#receiveReset(state, code);
+				}else if(state){
+					this.#receiveStopSending(state, code);
+				}
+				return;
+			}
+			case TYPES.MAX_DATA: {
+				const [maxData] = this.#readVarints(payload, 1) || [];
+				if(maxData > this.#sendLimit){
+					this.#sendLimit = maxData;
+					this.#flush();
+				}
+				return;
+			}
+			case TYPES.MAX_STREAM_DATA: {
+				const [id, maxStreamData] = this.#readVarints(payload, 2) || [];
+				const state = this.#streams.get(id);
+				if(state && maxStreamData > state.sendLimit){
+					state.sendLimit = maxStreamData;
+					this.#flush();
+				}
+				return;
+			}
+			case TYPES.MAX_STREAMS_BIDI:
+			case TYPES.MAX_STREAMS_UNI: {
+				const [maxStreams] = this.#readVarints(payload, 1) || [];
+				const local = this.#localStreams[type === TYPES.MAX_STREAMS_BIDI ? "bidi" : "uni"];
+				if(maxStreams > local.limit){
+					local.limit = maxStreams;
+					while(local.waiting.length && local.opened < local.limit){
+						local.waiting.shift().resolve(this.#openLocalStream(type === TYPES.MAX_STREAMS_BIDI ? "bidi" : "uni"));
+					}
+				}
+				return;
+			}
+			case TYPES.DATA_BLOCKED:
+			case TYPES.STREAM_DATA_BLOCKED:
+			case TYPES.STREAMS_BLOCKED_BIDI:
+			case TYPES.STREAMS_BLOCKED_UNI:
+				this.#logger.debug(`WebTransport client blocked by a limit, capsule 0x${type.toString(16)}.`);
+				return;
+			case TYPES.CLOSE_SESSION:
+				this.#receiveClose(payload);
+				return;
+			case TYPES.DRAIN_SESSION:
+				this.emit('draining');
+				return;
+			default:
+				return;
+		}
+	}
+
+	/**
+	 * Reads the variable-length integers a capsule consists of, failing the session when they are not all there.
+	 * @param {Buffer} payload
+	 * @param {number} count
+	 * @returns {number[] | null}
+	 */
+	#readVarints(payload, count){
+		const values = [];
+		let offset = 0;
+		for(let i = 0; i < count; i++){
+			const varint = readVarint(payload, offset);
+			if(!varint){
+				this.#fail("Truncated capsule.");
+				return null;
+			}
+			values.push(varint.value);
+			offset += varint.length;
+		}
+		return values;
+	}
+
+	/**
+	 * Finds the stream of a received capsule, opening it if the client opens it with that capsule.
+	 * @param {number} id
+	 * @returns {WebTransportStreamState | null | undefined} Null for streams that are closed already, undefined when
+	 * the session was failed because of the id.
+	 */
+	#streamFor(id){
+		const existing = this.#streams.get(id);
+		if(existing){
+			return existing;
+		}
+		const type = id & 0b10 ? "uni" : "bidi";
+		const index = Math.floor(id / 4);
+		if(id & 0b01){
+			if(index < this.#localStreams[type].opened){
+				return null;
+			}
+			this.#fail(`Capsule for stream ${id}, which the server did not open.`);
+			return undefined;
+		}
+		const peer = this.#peerStreams[type];
+		if(index < peer.opened){
+			return null;
+		}
+		if(index >= peer.limit){
+			this.#fail(`Stream ${id} exceeds the limit of ${peer.limit} ${type} streams.`);
+			return undefined;
+		}
+		// Opening a stream opens the lower ones of the same type too, those that were skipped count as closed.
+		peer.opened = index + 1;
+		peer.active++;
+		const state = this.#createStreamState(id);
+		this.emit('stream', state.stream);
+		return state;
+	}
+
+	/**
+	 * Delivers the data of a stream capsule.
+	 * @param {Buffer} payload
+	 * @param {boolean} fin
+	 */
+	#receiveStreamData(payload, fin){
+		const id = readVarint(payload);
+		if(!id){
+			this.#fail("Truncated capsule.");
+			return;
+		}
+		const data = payload.subarray(id.length);
+		const state = this.#streamFor(id.value);
+		if(state === undefined){
+			return;
+		}
+		this.#received += data.length;
+		if(this.#received > this.#receiveLimit){
+			this.#fail("Session flow control limit exceeded.", http2.constants.NGHTTP2_FLOW_CONTROL_ERROR);
+			return;
+		}
+		// The session credit is granted as the data arrives. The receive windows of the streams bound what is buffered.
+		if(this.#receiveLimit - this.#received < this.#options.initialMaxData / 2){
+			this.#receiveLimit = this.#received + this.#options.initialMaxData;
+			this.#writeCapsule(WebTransportSession.CAPSULE_TYPES.MAX_DATA, encodeVarint(this.#receiveLimit));
+		}
+		if(!state){
+			return;
+		}
+		if(state.local && state.type === "uni"){
+			this.#fail(`Data on stream ${state.id}, which only the server sends on.`);
+			return;
+		}
+		if(state.finReceived){
+			this.#fail(`Data on stream ${state.id} after its end.`);
+			return;
+		}
+		state.received += data.length;
+		if(state.received > state.receiveLimit){
+			this.#fail(`Flow control limit of stream ${state.id} exceeded.`, http2.constants.NGHTTP2_FLOW_CONTROL_ERROR);
+			return;
+		}
+		state.finReceived = fin;
+		if(!state.readableController){
+			// Cancelled, the data is dropped.
+			return;
+		}
+		if(data.length){
+			state.readableController.enqueue(data);
+		}
+		if(fin){
+			state.readableController.close();
+			state.readableController = null;
+			state.readDone = true;
+			this.#completeStream(state);
+		}
+	}
+
+	/**
+	 * Grants the client more credit on a stream once what it sent was read.
+	 * @param {WebTransportStreamState} state
+	 */
+	#grantStreamCredit(state){
+		const controller = state.readableController;
+		if(!controller){
+			return;
+		}
+		const consumed = state.received - (state.receiveWindow - controller.desiredSize);
+		if(state.receiveLimit - consumed < state.receiveWindow / 2){
+			state.receiveLimit = consumed + state.receiveWindow;
+			this.#writeCapsule(
+					WebTransportSession.CAPSULE_TYPES.MAX_STREAM_DATA,
+					encodeVarint(state.id),
+					encodeVarint(state.receiveLimit)
+			);
+		}
+	}
+
+	/**
+	 * The client reset the stream, the readable side errors.
+	 * @param {WebTransportStreamState} state
+	 * @param {number} code
+	 */
+	#receiveReset(state, code){
+		if(state.readDone){
+			return;
+		}
+		state.readableController?.error(new WebTransportError(`Stream ${state.id} was reset.`, {streamErrorCode: code}));
+		state.readableController = null;
+		state.readDone = true;
+		this.#completeStream(state);
+	}
+
+	/**
+	 * The client stops reading the stream, the writable side errors and the stream is reset with the same code.
+	 * @param {WebTransportStreamState} state
+	 * @param {number} code
+	 */
+	#receiveStopSending(state, code){
+		if(state.writeDone){
+			return;
+		}
+		const error = new WebTransportError(`Stream ${state.id} was stopped.`, {streamErrorCode: code});
+		state.writableController?.error(error);
+		this.#resetStream(state, code, error);
+	}
+
+	/**
+	 * The client closed the session.
+	 * @param {Buffer} payload
+	 */
+	#receiveClose(payload){
+		if(payload.length < 4){
+			this.#fail("Truncated capsule.");
+			return;
+		}
+		this.#closeInfo = {
+			closeCode: payload.readUInt32BE(0),
+			reason: payload.subarray(4).toString("utf8")
+		};
+		this.#abortStreams(new WebTransportError("The session was closed by the client.", {source: "session"}));
+		if(!this.#stream.writableEnded){
+			this.#stream.end();
+		}
+	}
+
+	/**
+	 * Creates the state and the WebTransportStream of a stream.
+	 * @param {number} id
+	 * @returns {WebTransportStreamState}
+	 */
+	#createStreamState(id){
+		const type = id & 0b10 ? "uni" : "bidi";
+		const local = (id & 0b01) === 1;
+		const remoteSettings = this.#stream.session?.remoteSettings?.customSettings || {};
+		/** @type {WebTransportStreamState} */
+		const state = {
+			id,
+			type,
+			local,
+			stream: null,
+			readDone: type === "uni" && local,
+			finReceived: false,
+			writeDone: type === "uni" && !local,
+			readableController: null,
+			writableController: null,
+			receiveWindow: type === "uni" ? this.#options.initialMaxStreamDataUni : this.#options.initialMaxStreamDataBidi,
+			receiveLimit: 0,
+			received: 0,
+			sendLimit: remoteSettings[type === "uni" ?
+					WebTransportSession.SETTINGS.INITIAL_MAX_STREAM_DATA_UNI : WebTransportSession.SETTINGS.INITIAL_MAX_STREAM_DATA_BIDI] || 0,
+			sent: 0,
+			blockedAt: -1,
+			pendingWrite: null,
+			finRequested: null
+		};
+		state.receiveLimit = state.receiveWindow;
+		const readable = state.readDone ? null : new ReadableStream({
+			start: (controller) => {
+				state.readableController = controller;
+			},
+			pull: () => this.#grantStreamCredit(state),
+			cancel: (reason) => this.#stopSending(state, reason?.streamErrorCode ?? 0)
+		}, new ByteLengthQueuingStrategy({highWaterMark: state.receiveWindow}));
+		const writable = state.writeDone ? null : new WritableStream({
+			start: (controller) => {
+				state.writableController = controller;
+			},
+			write: (chunk) => new Promise((resolve, reject) => {
+				if(!(chunk instanceof Uint8Array)){
+					throw new TypeError("Only Uint8Arrays can be written to a WebTransport stream.");
+				}
+				if(!chunk.length){
+					resolve();
+					return;
+				}
+				state.pendingWrite = {
+					data: Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength),
+					offset: 0,
+					resolve,
+					reject
+				};
+				this.#flush();
+			}),
+			close: () => new Promise((resolve, reject) => {
+				state.finRequested = {resolve, reject};
+				this.#flush();
+			}),
+			abort: (reason) => this.#resetStream(state, reason?.streamErrorCode ?? 0)
+		}, new ByteLengthQueuingStrategy({highWaterMark: WebTransportSession.#MAX_STREAM_CHUNK}));
+		state.stream = new WebTransportStream(this, id, {readable, writable});
+		this.#streams.set(id, state);
+		return state;
+	}
+
+	/**
+	 * Opens a stream of the server, within the limit of the client.
+	 * @param {"bidi" | "uni"} type
+	 * @returns {WebTransportStream}
+	 */
+	#openLocalStream(type){
+		const local = this.#localStreams[type];
+		const id = local.opened * 4 + (type === "uni" ? 0b11 : 0b01);
+		local.opened++;
+		return this.#createStreamState(id).stream;
+	}
+
+	/**
+	 * Opens a stream once the client allows it.
+	 * @param {"bidi" | "uni"} type
+	 * @returns {Promise<WebTransportStream>}
+	 */
+	#createStream(type){
+		if(this.#closing){
+			return Promise.reject(new WebTransportError("The session is closed.", {source: "session"}));
+		}
+		const local = this.#localStreams[type];
+		if(local.opened < local.limit){
+			return Promise.resolve(this.#openLocalStream(type));
+		}
+		if(local.blockedAt !== local.limit){
+			local.blockedAt = local.limit;
+			this.#writeCapsule(
+					type === "bidi" ? WebTransportSession.CAPSULE_TYPES.STREAMS_BLOCKED_BIDI : WebTransportSession.CAPSULE_TYPES.STREAMS_BLOCKED_UNI,
+					encodeVarint(local.limit)
+			);
+		}
+		return new Promise((resolve, reject) => local.waiting.push({resolve, reject}));
+	}
+
+	/**
+	 * Opens a bidirectional stream. It waits while the client allows no more streams.
+	 * @returns {Promise<WebTransportStream>}
+	 * @throws {WebTransportError} (rejection) When the session is closed or closes before the stream could be opened.
+	 */
+	createBidirectionalStream(){
+		return this.#createStream("bidi");
+	}
+
+	/**
+	 * Opens a unidirectional stream, which only the server sends on. It waits while the client allows no more streams.
+	 * @returns {Promise<WebTransportStream>}
+	 * @throws {WebTransportError} (rejection) When the session is closed or closes before the stream could be opened.
+	 */
+	createUnidirectionalStream(){
+		return this.#createStream("uni");
+	}
+
+	/**
+	 * Sends the pending stream data, one capsule per stream in turn, as far as the flow control of the client and the
+	 * CONNECT stream allow.
+	 */
+	#flush(){
+		let progress = true;
+		while(progress && !this.#waitingForDrain && !this.#closing){
+			progress = false;
+			for(const state of this.#streams.values()){
+				if(this.#sendStreamChunk(state)){
+					progress = true;
+				}
+				if(this.#waitingForDrain){
+					return;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Sends the next capsule of a stream, if it has data or its end to send and the credit for it.
+	 * @param {WebTransportStreamState} state
+	 * @returns {boolean} Whether a capsule was sent.
+	 */
+	#sendStreamChunk(state){
+		if(state.writeDone){
+			return false;
+		}
+		const write = state.pendingWrite;
+		if(!write){
+			if(!state.finRequested){
+				return false;
+			}
+			const finRequested = state.finRequested;
+			state.finRequested = null;
+			state.writeDone = true;
+			state.writableController = null;
+			this.#writeFlushed(
+					WebTransportSession.CAPSULE_TYPES.STREAM_FIN,
+					[encodeVarint(state.id)],
+					(error) => error ? finRequested.reject(error) : finRequested.resolve()
+			);
+			this.#completeStream(state);
+			return true;
+		}
+		if(state.sent >= state.sendLimit){
+			if(state.blockedAt !== state.sendLimit){
+				state.blockedAt = state.sendLimit;
+				this.#writeCapsule(
+						WebTransportSession.CAPSULE_TYPES.STREAM_DATA_BLOCKED,
+						encodeVarint(state.id),
+						encodeVarint(state.sendLimit)
+				);
+			}
+			return false;
+		}
+		if(this.#sent >= this.#sendLimit){
+			if(this.#dataBlockedAt !== this.#sendLimit){
+				this.#dataBlockedAt = this.#sendLimit;
+				this.#writeCapsule(WebTransportSession.CAPSULE_TYPES.DATA_BLOCKED, encodeVarint(this.#sendLimit));
+			}
+			return false;
+		}
+		const length = Math.min(
+				state.sendLimit - state.sent,
+				this.#sendLimit - this.#sent,
+				WebTransportSession.#MAX_STREAM_CHUNK,
+				write.data.length - write.offset
+		);
+		const data = write.data.subarray(write.offset, write.offset + length);
+		write.offset += length;
+		state.sent += length;
+		this.#sent += length;
+		const done = write.offset === write.data.length;
+		if(done){
+			state.pendingWrite = null;
+		}
+		this.#writeFlushed(
+				WebTransportSession.CAPSULE_TYPES.STREAM,
+				[encodeVarint(state.id), data],
+				done ? (error) => error ? write.reject(error) : write.resolve() : undefined
+		);
+		return true;
+	}
+
+	/**
+	 * Writes a capsule of the flush, which waits for the CONNECT stream to drain when its buffer is full.
+	 * @param {number} type
+	 * @param {Uint8Array[]} parts
+	 * @param {function(Error=): void} [callback] Called once the capsule was written.
+	 */
+	#writeFlushed(type, parts, callback){
+		if(!this.#writeCapsule(type, ...parts, ...(callback ? [callback] : []))){
+			this.#waitingForDrain = true;
+			this.#stream.once('drain', () => {
+				this.#waitingForDrain = false;
+				this.#flush();
+			});
+		}
+	}
+
+	/**
+	 * Writes a capsule on the CONNECT stream, unless it was ended.
+	 * @param {number} type
+	 * @param {...(Uint8Array | function(Error=): void)} parts The parts of the payload, optionally followed by a
+	 * callback called once the capsule was written.
+	 * @returns {boolean} False when the buffer of the CONNECT stream is full.
+	 */
+	#writeCapsule(type, ...parts){
+		const callback = typeof parts[parts.length - 1] === "function" ? parts.pop() : undefined;
+		if(this.#stream.writableEnded || this.#stream.destroyed){
+			callback?.(new WebTransportError("The session is closed.", {source: "session"}));
+			return true;
+		}
+		return this.#stream.write(encodeCapsule(type, ...parts), callback);
+	}
+
+	/**
+	 * Resets the writable side of a stream.
+	 * @param {WebTransportStreamState} state
+	 * @param {number} code
+	 * @param {Error} [error] What pending writes are rejected with.
+	 */
+	#resetStream(state, code, error = new WebTransportError(`Stream ${state.id} was reset.`, {streamErrorCode: code})){
+		if(state.writeDone){
+			return;
+		}
+		state.writeDone = true;
+		state.writableController = null;
+		state.pendingWrite?.reject(error);
+		state.finRequested?.reject(error);
+		state.pendingWrite = null;
+		state.finRequested = null;
+		this.#writeCapsule(WebTransportSession.CAPSULE_TYPES.RESET_STREAM, encodeVarint(state.id), encodeVarint(code));
+		this.#completeStream(state);
+	}
+
+	/**
+	 * Asks the client to stop sending on a stream whose readable side was cancelled.
+	 * @param {WebTransportStreamState} state
+	 * @param {number} code
+	 */
+	#stopSending(state, code){
+		if(state.readDone){
+			return;
+		}
+		state.readableController = null;
+		state.readDone = true;
+		this.#writeCapsule(WebTransportSession.CAPSULE_TYPES.STOP_SENDING, encodeVarint(state.id), encodeVarint(code));
+		this.#completeStream(state);
+	}
+
+	/**
+	 * Forgets a stream once both of its sides are done, and lets the client open another one in place of its own.
+	 * @param {WebTransportStreamState} state
+	 */
+	#completeStream(state){
+		if(!state.readDone || !state.writeDone || !this.#streams.has(state.id)){
+			return;
+		}
+		this.#streams.delete(state.id);
+		if(state.local || this.#closing){
+			return;
+		}
+		const peer = this.#peerStreams[state.type];
+		peer.active--;
+		const initialLimit = state.type === "uni" ? this.#options.initialMaxStreamsUni : this.#options.initialMaxStreamsBidi;
+		const limit = peer.opened - peer.active + initialLimit;
+		if(limit > peer.limit){
+			peer.limit = limit;
+			this.#writeCapsule(
+					state.type === "uni" ? WebTransportSession.CAPSULE_TYPES.MAX_STREAMS_UNI : WebTransportSession.CAPSULE_TYPES.MAX_STREAMS_BIDI,
+					encodeVarint(limit)
+			);
+		}
+	}
+
+	/**
+	 * Errors every stream and rejects the waiting stream openings, as the session is closing.
+	 * @param {WebTransportError} error
+	 */
+	#abortStreams(error){
+		if(this.#closing){
+			return;
+		}
+		this.#closing = true;
+		for(const state of this.#streams.values()){
+			state.readableController?.error(error);
+			state.writableController?.error(error);
+			state.pendingWrite?.reject(error);
+			state.finRequested?.reject(error);
+		}
+		this.#streams.clear();
+		for(const local of Object.values(this.#localStreams)){
+			local.waiting.forEach(({reject}) => reject(error));
+			local.waiting = [];
+		}
+	}
+
+	/**
+	 * Fails the session because the client violated the protocol: its streams error and the CONNECT stream is reset.
+	 * @param {string} message
+	 * @param {number} [code=NGHTTP2_PROTOCOL_ERROR] The RST_STREAM error code.
+	 */
+	#fail(message, code = http2.constants.NGHTTP2_PROTOCOL_ERROR){
+		if(this.#failed){
+			return;
+		}
+		this.#failed = true;
+		this.#logger.warn(`Failing WebTransport session: ${message}`);
+		const error = new WebTransportError(message, {source: "session"});
+		this.#abortStreams(error);
+		if(!this.#stream.destroyed){
+			this.#stream.close(code);
+		}
+		// Client data must not be able to throw an unhandled error event.
+		if(this.listenerCount('error')){
+			this.emit('error', error);
+		}
+	}
+
+	/**
+	 * Sends a datagram. Datagrams are dropped rather than queued when the CONNECT stream is backed up, so that they
+	 * never hold up the streams. They are still delivered reliably and in order once sent, HTTP/2 has no other way.
+	 * @param {Uint8Array} data
+	 * @returns {boolean} Whether the datagram was sent, false when it was dropped.
+	 * @throws {TypeError} When the data is not a Uint8Array.
+	 * @throws {RangeError} When the datagram is larger than maxDatagramSize.
+	 */
+	sendDatagram(data){
+		if(!(data instanceof Uint8Array)){
+			throw new TypeError("Datagrams must be Uint8Arrays.");
+		}
+		if(data.length > this.#options.maxDatagramSize){
+			throw new RangeError(`Datagrams must not exceed ${this.#options.maxDatagramSize} bytes.`);
+		}
+		if(
+				this.#closing || this.#waitingForDrain
+				|| this.#stream.writableNeedDrain || this.#stream.writableEnded || this.#stream.destroyed
+		){
+			return false;
+		}
+		this.#writeCapsule(WebTransportSession.CAPSULE_TYPES.DATAGRAM, data);
+		return true;
+	}
+
+	/**
+	 * Asks the client to close the session soon, as the server is going away.
+	 */
+	drain(){
+		if(!this.#closing){
+			this.#writeCapsule(WebTransportSession.CAPSULE_TYPES.DRAIN_SESSION);
+		}
+	}
+
+	/**
+	 * Closes the session with a close capsule and ends the CONNECT stream. The streams are reset, what was not sent
+	 * yet is not.
+	 * @param {number} [closeCode=0] An application error code, a 32 bit unsigned integer.
+	 * @param {string} [reason=""] At most 1024 bytes once UTF-8 encoded.
+	 * @throws {RangeError} When the code is not a 32 bit unsigned integer or the reason is too long.
+	 */
+	close(closeCode = 0, reason = ""){
+		if(!Number.isInteger(closeCode) || closeCode < 0 || closeCode > 2 ** 32 - 1){
+			throw new RangeError(`Invalid close code: ${closeCode}`);
+		}
+		const reasonBytes = Buffer.from(String(reason));
+		if(reasonBytes.length > WebTransportSession.#MAX_CLOSE_REASON){
+			throw new RangeError(`The close reason must not exceed ${WebTransportSession.#MAX_CLOSE_REASON} bytes.`);
+		}
+		if(this.#closing){
+			return;
+		}
+		const error = new WebTransportError("The session was closed.", {source: "session"});
+		for(const state of this.#streams.values()){
+			if(!state.writeDone){
+				this.#writeCapsule(WebTransportSession.CAPSULE_TYPES.RESET_STREAM, encodeVarint(state.id), encodeVarint(0));
+			}
+		}
+		this.#abortStreams(error);
+		this.#closeInfo = {closeCode, reason: reasonBytes.toString("utf8")};
+		const code = Buffer.alloc(4);
+		code.writeUInt32BE(closeCode);
+		this.#writeCapsule(WebTransportSession.CAPSULE_TYPES.CLOSE_SESSION, code, reasonBytes);
+		this.#stream.end();
+	}
+
+	/**
+	 * Whether the session is closed or closing.
+	 * @returns {boolean}
+	 */
+	get closed(){
+		return this.#closing || this.#stream.closed || this.#stream.destroyed;
+	}
+
+	/**
+	 * The streams of the session that are open.
+	 * @returns {WebTransportStream[]}
+	 */
+	get streams(){
+		return [...this.#streams.values()].map((state) => state.stream);
+	}
+
+	/**
+	 * The stream data the session may still send before the client grants more.
+	 * @returns {number}
+	 */
+	get sendCredit(){
+		return Math.max(0, this.#sendLimit - this.#sent);
+	}
+
+	get logger(){
+		return this.#logger;
+	}
+
+	/**
+	 * The server the session was received on.
+	 * @returns {H2Server | null}
+	 */
+	get server(){
+		return this.#server || null;
+	}
+
+	/**
+	 * The HTTP/2 session the CONNECT stream belongs to.
+	 * @returns {H2Session | null}
+	 */
+	get session(){
+		return this.#session || null;
+	}
+
+	/**
+	 * The headers of the request that opened the session.
+	 * @returns {Object<string, any>}
+	 */
+	get incomingHeaders(){
+		return {...this.#incomingHeaders};
+	}
+}
@@ -0,0 +1,173 @@
+import crypto from "node:crypto";
+import http from "node:http";
+import http2 from "node:http2";
+import {WsH2Stream} from "./ws-h2stream.mjs";
+import {toH2RequestHeaders, withoutPseudoHeaders} from "./h1-stream.mjs";
+
+/**
+ * The GUID that RFC 6455 appends to the Sec-WebSocket-Key to compute the Sec-WebSocket-Accept header.
+ * @type {string}
+ */
+const WS_ACCEPT_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+/**
+ * Exposes an upgraded HTTP/1.1 socket with the part of the ServerHttp2Stream interface that WsH2Stream uses.
+ * Responding with a 200 status completes the RFC 6455 handshake, any other status rejects the upgrade.
+ */
+class UpgradedSocketAdapter {
+	/**
+	 * @type {Socket}
+	 */
+	#socket = null;
+	/**
+	 * The Sec-WebSocket-Accept value for the handshake.
+	 * @type {string}
+	 */
+	#acceptKey = "";
+
+	/**
+	 * @param {Socket} socket
+	 * @param {string} acceptKey
+	 */
+	constructor(socket, acceptKey) {
+		this.#socket = socket;
+		this.#acceptKey = acceptKey;
+	}
+
+	respond(headers) {
+		const status = headers[http2.constants.HTTP2_HEADER_STATUS] || http2.constants.HTTP_STATUS_OK;
+		if (status === http2.constants.HTTP_STATUS_OK) {
+			this.#socket.write(UpgradedSocketAdapter.#statusHead(101, {
+				"upgrade": "websocket",
+				"connection": "Upgrade",
+				"sec-websocket-accept": this.#acceptKey,
+				...withoutPseudoHeaders(headers)
+			}));
+			return;
+		}
+		this.#socket.end(UpgradedSocketAdapter.#statusHead(status, {
+			"connection": "close",
+			...withoutPseudoHeaders(headers)
+		}));
+	}
+
+	write(data, callback) {
+		return this.#socket.write(data, callback);
+	}
+
+	end(data) {
+		this.#socket.end(typeof data === "number" ? undefined : data);
+	}
+
+	close() {
+		// The closest an upgraded connection gets to resetting an HTTP/2 stream.
+		this.#socket.destroy();
+	}
+
+	pause() {
+		this.#socket.pause();
+		return this;
+	}
+
+	resume() {
+		this.#socket.resume();
+		return this;
+	}
+
+	on(event, listener) {
+		this.#socket.on(event, listener);
+		return this;
+	}
+
+	once(event, listener) {
+		this.#socket.once(event, listener);
+		return this;
+	}
+
+	off(event, listener) {
+		this.#socket.off(event, listener);
+		return this;
+	}
+
+	get closed() {
+		return this.#socket.closed;
+	}
+
+	get destroyed() {
+		return this.#socket.destroyed;
+	}
+
+	get writableEnded() {
+		return this.#socket.writableEnded;
+	}
+
+	get writableLength() {
+		return this.#socket.writableLength;
+	}
+
+	/**
+	 * Serialises an HTTP/1.1 status line and headers.
+	 * @param {number} status
+	 * @param {Object<string, string>} headers
+	 * @returns {string}
+	 */
+	static #statusHead(status, headers) {
+		const headerLines = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`);
+		return `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n${headerLines.join("")}\r\n`;
+	}
+}
+
+/**
+ * A WebSocket over an upgraded HTTP/1.1 connection (RFC 6455). It has the same events and API as WsH2Stream, which
+ * it extends, so services handle both the same way.
+ * @extends WsH2Stream
+ */
+export class WsH1Stream extends WsH2Stream {
+	/**
+	 * Validates an HTTP/1.1 upgrade request and creates the WebSocket for it.
+	 * Invalid requests are answered with 400 and the socket is closed.
+	 * @param {IncomingMessage} request
+	 * @param {Socket} socket
+	 * @param {Buffer} head The first bytes after the upgrade request.
+	 * @param {Object} options
+	 * @returns {WsH1Stream | undefined}
+	 */
+	static categorise(request, socket, head, options = {}) {
+		const key = request.headers["sec-websocket-key"];
+		if (
+				request.method !== "GET"
+				|| request.headers.upgrade?.toLowerCase() !== "websocket"
+				|| request.headers["sec-websocket-version"] !== "13"
+				|| !key
+				|| Buffer.from(key, "base64").length !== 16
+		) {
+			(options.logger || console).warn("Invalid websocket upgrade request.");
+			socket.end(`HTTP/1.1 400 ${http.STATUS_CODES[400]}\r\nconnection: close\r\nsec-websocket-version: 13\r\n\r\n`);
+			return;
+		}
+		return new WsH1Stream(request, socket, head, options);
+	}
+
+	/**
+	 * Creates a new WebSocket stream over an upgraded HTTP/1.1 connection.
+	 * @param {IncomingMessage} request
+	 * @param {Socket} socket
+	 * @param {Buffer} head The first bytes after the upgrade request.
+	 * @param {Object} options
+	 */
+	constructor(request, socket, head, options = {}) {
+		socket.setNoDelay(true);
+		socket.setTimeout(0);
+		if (head?.length) {
+			socket.unshift(head);
+		}
+		const acceptKey = crypto.createHash("sha1")
+				.update(request.headers["sec-websocket-key"] + WS_ACCEPT_GUID)
+				.digest("base64");
+		super(new UpgradedSocketAdapter(socket, acceptKey), {
+			...toH2RequestHeaders(request),
+			[http2.constants.HTTP2_HEADER_METHOD]: "CONNECT",
+			[http2.constants.HTTP2_HEADER_PROTOCOL]: "websocket"
+		}, options);
+	}
+}
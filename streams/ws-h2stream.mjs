@@ -1,22 +1,77 @@
+import {isUtf8} from "node:buffer";
 import {EventEmitter} from "node:events";
 import http2 from "node:http2";
-import {concatTypedArrays} from "../utils/concat-typed-arrays.mjs";
+import {WsFrameParser} from "../utils/ws-frame-parser.mjs";
+import {RollingStats} from "../utils/rolling-stats.mjs";
+import {HttpError} from "../errors/http-error.mjs";
+import {WsProtocolError} from "../errors/ws-protocol-error.mjs";
+import {
+	negotiatePerMessageDeflate,
+	PerMessageDeflate,
+	resolvePerMessageDeflateOptions
+} from "../utils/permessage-deflate.mjs";
 
 http2.constants.HTTP2_HEADER_WS_PROTO = "sec-websocket-protocol";
+http2.constants.HTTP2_HEADER_WS_EXTENSIONS = "sec-websocket-extensions";
 
-const FastBuffer = Buffer[Symbol.species];
+/**
+ * What the authorize hook of the websockets receives about the request that opens one.
+ * @typedef {Object} WsHandshakeRequest
+ * @property {string} path The path, without the query.
+ * @property {Object<string, any>} headers The headers of the CONNECT (or upgrade) request.
+ * @property {string | undefined} origin
+ * @property {string | undefined} authorization
+ * @property {Object<string, string>} cookies
+ * @property {string[]} requestedProtocols The subprotocols the client offered, in its order of preference.
+ * @property {string | null} protocol The subprotocol that would be selected from the protocols option.
+ * @property {H2Session | undefined} session The session of the stream, none for HTTP/1.1 websockets.
+ */
+
+/**
+ * Decides whether a websocket is accepted, before the handshake is answered.
+ * It accepts by returning nothing, true, or an object with:
+ * identity, stored as the identity of the websocket and under data.identity of its session;
+ * protocol, the subprotocol to select instead, one of the requested ones, or null for none.
+ * It rejects with 403 by returning false, or with the status and headers of an HttpError it throws, like a 401 with a
+ * www-authenticate header. Other errors reject with 500.
+ * @callback WsAuthorizer
+ * @param {WsHandshakeRequest} request
+ * @returns {void | boolean | {identity?: any, protocol?: string | null} | Promise<void | boolean | {identity?: any, protocol?: string | null}>}
+ */
+
+/**
+ * A received message, text as a string and binary as a Buffer.
+ * @typedef {Object} WsMessage
+ * @property {"text" | "binary"} type
+ * @property {string | Buffer} data
+ */
 
 /**
  * A class that represents a WebSocket stream over an HTTP/2 stream.
+ * Received messages come as events, or as the chunks of the readable Web Stream, which is also what iterating the
+ * websocket with for await yields. Messages written to the writable Web Stream are sent.
  * @extends EventEmitter
  * @emits frame - When a complete frame is received. The event handler receives an object with the following detail properties: opcode, type, payload.
- * @emits pong - When a pong frame is received. The system ignores the payload.
- * @emits ping - When a ping frame is received. The system sends a pong frame in response. All payloads are ignored.
- * @emits error - When an error occurs. The event handler receives the error object.
+ * @emits message - When a message is received. The event handler receives the WsMessage.
+ * @emits text - When a text message is received. The event handler receives the string.
+ * @emits binary - When a binary message is received. The event handler receives the Buffer.
+ * @emits pong - When a pong frame is received. The event handler receives the payload.
+ * @emits ping - When a ping frame is received. The system answers with a pong frame carrying the same payload. The
+ * event handler receives the payload.
+ * @emits timeout - When the peer stopped answering the heartbeat pings. The event handler receives an object with the
+ * missedPongs property. The websocket is closed with 1001 right after.
+ * @emits error - When an error occurs. The event handler receives the error object, a WsProtocolError when the peer
+ * sent invalid data and the connection was failed because of it.
  * @emits end - When the stream ends.
- * @emits close - When the stream is closed.
+ * @emits close - When the stream is closed. The event handler receives an object with the following properties:
+ * code, the close code of the peer (1005 without one, 1006 when it sent no close frame), reason, and wasClean, whether
+ * the close frames went both ways.
  */
 export class WsH2Stream extends EventEmitter {
+	/**
+	 * The subprotocols of the websockets whose options configure none.
+	 * @type {string[]}
+	 */
 	static #acceptedProtocols = [];
 	static set acceptedProtocols(protocols){
 		WsH2Stream.#acceptedProtocols = protocols;
@@ -40,200 +95,918 @@ export class WsH2Stream extends EventEmitter {
 			RSV3: 0b00010000,
 		}
 	}
-
+	/**
+	 * The close codes of RFC 6455 section 7.4.1 and the IANA registry.
+	 * NO_STATUS and ABNORMAL are only reported, they are never sent.
+	 * @type {Object<string, number>}
+	 */
+	static CLOSE_CODES = {
+		NORMAL: 1000,
+		GOING_AWAY: 1001,
+		PROTOCOL_ERROR: 1002,
+		UNSUPPORTED_DATA: 1003,
+		NO_STATUS: 1005,
+		ABNORMAL: 1006,
+		INVALID_PAYLOAD: 1007,
+		POLICY_VIOLATION: 1008,
+		MESSAGE_TOO_BIG: 1009,
+		MANDATORY_EXTENSION: 1010,
+		INTERNAL_ERROR: 1011,
+		SERVICE_RESTART: 1012,
+		TRY_AGAIN_LATER: 1013,
+		BAD_GATEWAY: 1014
+	};
+	/**
+	 * The defaults of the websocket options.
+	 * maxFrameSize is the size of one HTTP/2 DATA frame (H2Server.H2_16k), so that each websocket frame travels in one.
+	 * heartbeatInterval stays well below the 60 seconds after which intermediaries tend to drop idle connections.
+	 * @type {{maxFrameSize: number, maxMessageSize: number, maxFragments: number, closeTimeout: number, heartbeatInterval: number, maxMissedPongs: number, streamHighWaterMark: number, perMessageDeflate: Object | null, protocols: string[] | null, allowedOrigins: string[] | null, authorize: WsAuthorizer | null, routes: Object<string, Object>}}
+	 */
+	static #OPTION_DEFAULTS = {
+		maxFrameSize: 16 * 1024,
+		maxMessageSize: 1024 * 1024,
+		maxFragments: 1024,
+		closeTimeout: 5000,
+		heartbeatInterval: 30000,
+		maxMissedPongs: 2,
+		streamHighWaterMark: 16,
+		perMessageDeflate: null,
+		protocols: null,
+		allowedOrigins: null,
+		authorize: null,
+		routes: {}
+	};
 
 	#stream = null;
 	#incomingHeaders = {};
 	#logger = console;
 	#server = null;
 	#session = null;
+	/**
+	 * The data frames of the message being received.
+	 * @type {WsFrame[]}
+	 */
 	#currentFrameFragments = [];
+	/**
+	 * The payload bytes of the message being received.
+	 * @type {number}
+	 */
+	#currentMessageSize = 0;
+	/**
+	 * Reads the frames out of the incoming data, whatever way it is chunked.
+	 * @type {WsFrameParser}
+	 */
+	#frameParser = null;
+	/**
+	 * The websocket options of the stream, see resolveOptions.
+	 * @type {{maxFrameSize: number, maxMessageSize: number, maxFragments: number, closeTimeout: number, heartbeatInterval: number, maxMissedPongs: number, streamHighWaterMark: number, perMessageDeflate: Object | null, protocols: string[] | null, allowedOrigins: string[] | null, authorize: WsAuthorizer | null, routes: Object<string, Object>}}
+	 */
+	#options = WsH2Stream.#OPTION_DEFAULTS;
+	/**
+	 * The permessage-deflate contexts, when the extension was negotiated.
+	 * @type {PerMessageDeflate | null}
+	 */
+	#perMessageDeflate = null;
+	/**
+	 * The end of the chain of received messages being decompressed, which keeps them in order.
+	 * @type {Promise<void>}
+	 */
+	#receiveQueue = Promise.resolve();
+	/**
+	 * Whether the connection was failed because of invalid data. Nothing received is delivered after that.
+	 * @type {boolean}
+	 */
+	#failed = false;
+	/**
+	 * The controller of the readable Web Stream, null until it is asked for and once it is done.
+	 * @type {ReadableStreamDefaultController | null}
+	 */
+	#readableController = null;
+	/**
+	 * @type {ReadableStream | null}
+	 */
+	#readable = null;
+	/**
+	 * @type {WritableStream | null}
+	 */
+	#writable = null;
+	/**
+	 * Whether the stream is paused because the readable Web Stream is full.
+	 * @type {boolean}
+	 */
+	#readPaused = false;
+	/**
+	 * The messages waiting to be written, the first one possibly partially.
+	 * The payload of a message that is being compressed is null until it is ready.
+	 * @type {Array<{opcode: number, payload: Buffer | null, compressed: boolean, offset: number, resolve: function(): void, reject: function(Error): void}>}
+	 */
+	#sendQueue = [];
+	/**
+	 * The payload bytes of the send queue that were not handed to the stream yet.
+	 * @type {number}
+	 */
+	#queuedBytes = 0;
+	/**
+	 * Whether the stream buffer is full and the send queue waits for it to drain.
+	 * @type {boolean}
+	 */
+	#waitingForDrain = false;
+	/**
+	 * The close frame to send once the queued messages are sent, set when the closing handshake was started.
+	 * @type {{code: number, reason: string} | null}
+	 */
+	#closing = null;
+	/**
+	 * The code and reason of the close frame sent, once sent.
+	 * @type {{code: number, reason: string} | null}
+	 */
+	#closeSent = null;
+	/**
+	 * The code and reason of the close frame received, once received.
+	 * @type {{code: number, reason: string} | null}
+	 */
+	#closeReceived = null;
+	/**
+	 * Resets the stream when the peer does not complete the closing handshake in time.
+	 * @type {NodeJS.Timeout | null}
+	 */
+	#closeTimeout = null;
+	/**
+	 * The timeout of the next heartbeat.
+	 * @type {NodeJS.Timeout | null}
+	 */
+	#heartbeatTimeout = null;
+	/**
+	 * The heartbeat ping waiting for its pong.
+	 * @type {{payload: Buffer, sentAt: number} | null}
+	 */
+	#pingOutstanding = null;
+	/**
+	 * The number of heartbeat pings sent, which makes up their payloads.
+	 * @type {number}
+	 */
+	#pingSequence = 0;
+	/**
+	 * The number of consecutive heartbeat intervals that passed without a pong.
+	 * @type {number}
+	 */
+	#missedPongs = 0;
+	/**
+	 * The last round trip time measured by a heartbeat, in milliseconds.
+	 * @type {number | null}
+	 */
+	#roundTripTime = null;
+	/**
+	 * The statistics of the round trip times measured by the heartbeats.
+	 * @type {RollingStats}
+	 */
+	#latencyStats = new RollingStats();
 	/**
 	 * The list of protocols requested by the client in the websocket initialisation.
 	 * @type {Array<string>}
 	 */
-	#requestedWsProtocols = null;
+	#requestedWsProtocols = [];
+	/**
+	 * The subprotocol selected in the handshake.
+	 * @type {string | null}
+	 */
+	#protocol = null;
+	/**
+	 * What the authorize hook attached to the websocket.
+	 * @type {any}
+	 */
+	#identity = undefined;
+	/**
+	 * The handshake, resolving with whether the websocket was accepted.
+	 * @type {Promise<boolean>}
+	 */
+	#accepted = null;
+	/**
+	 * Whether the handshake accepted the websocket and the stream is being read.
+	 * @type {boolean}
+	 */
+	#opened = false;
 
 	/**
-	 * The listener for the data event. Does basic parsing and buffering of frame fragments.
-	 * @param fragment
-	 * @returns {{rsv2: number, rsv1: number, isFinal: number, rsv3: number, opcode: number}}
+	 * Resolves the websocket options, falling back to the defaults.
+	 * @param {Object} [options]
+	 * @param {number} [options.maxFrameSize=16384] The maximum size in bytes of an outgoing frame, header included.
+	 * Longer messages are fragmented.
+	 * @param {number} [options.maxMessageSize=1048576] The maximum size in bytes of a received message. Compressed
+	 * messages are also limited to it once decompressed.
+	 * @param {number} [options.maxFragments=1024] The maximum number of frames a received message may be split into.
+	 * @param {number} [options.closeTimeout=5000] Milliseconds the peer has to complete the closing handshake before
+	 * the stream is reset.
+	 * @param {number} [options.heartbeatInterval=30000] Milliseconds between the heartbeat pings, 0 for none.
+	 * @param {number} [options.maxMissedPongs=2] Heartbeat intervals without a pong before the peer is considered dead.
+	 * @param {number} [options.streamHighWaterMark=16] The number of messages the readable and writable Web Streams
+	 * buffer. Once the readable one is full the stream is not read anymore, until its reader catches up.
+	 * @param {boolean | Object} [options.perMessageDeflate=false] Compress the messages with the clients that offer
+	 * permessage-deflate (RFC 7692). See resolvePerMessageDeflateOptions for the options.
+	 * @param {string[]} [options.protocols] The subprotocols supported. The first one the client requested is selected.
+	 * Defaults to WsH2Stream.acceptedProtocols.
+	 * @param {string[]} [options.allowedOrigins] The origins allowed to open websockets, like "https://example.com".
+	 * Requests from other origins are rejected with 403. Requests without an origin header do not come from browsers
+	 * and are let through. Defaults to any origin.
+	 * @param {WsAuthorizer} [options.authorize] Called before the handshake is answered, to accept or reject the
+	 * websocket, attach an identity to it and select its subprotocol.
+	 * @param {Object<string, Object>} [options.routes] Options by path that override the other ones for the
+	 * websockets opened on that path, for instance {"/chat": {perMessageDeflate: true, protocols: ["chat.v2"]}}.
+	 * @returns {{maxFrameSize: number, maxMessageSize: number, maxFragments: number, closeTimeout: number, heartbeatInterval: number, maxMissedPongs: number, streamHighWaterMark: number, perMessageDeflate: Object | null, protocols: string[] | null, allowedOrigins: string[] | null, authorize: WsAuthorizer | null, routes: Object<string, Object>}}
+	 * @throws {RangeError} When an option is out of range.
+	 * @throws {TypeError} When the protocols, the allowed origins or the authorize hook are of the wrong type.
 	 */
-	static #fragmentInterpreter (fragment) {
-		let fastFragment = (fragment instanceof FastBuffer) ? fragment : (new FastBuffer(fragment));
-		if(fastFragment.length === 0){
-			return;
+	static resolveOptions(options = {}){
+		const {routes, ...routeDefaults} = options;
+		const resolved = {...WsH2Stream.#OPTION_DEFAULTS, ...routeDefaults};
+		if(!Number.isInteger(resolved.maxFrameSize) || resolved.maxFrameSize < 128){
+			throw new RangeError("webSocket.maxFrameSize must be an integer of at least 128 bytes.");
+		}
+		if(!(resolved.maxMessageSize > 0)){
+			throw new RangeError("webSocket.maxMessageSize must be a positive number of bytes.");
+		}
+		if(!Number.isInteger(resolved.maxFragments) || resolved.maxFragments < 1){
+			throw new RangeError("webSocket.maxFragments must be a positive integer.");
+		}
+		if(!(resolved.closeTimeout > 0)){
+			throw new RangeError("webSocket.closeTimeout must be a positive number of milliseconds.");
+		}
+		if(!(resolved.heartbeatInterval >= 0)){
+			throw new RangeError("webSocket.heartbeatInterval must be 0 or a positive number of milliseconds.");
+		}
+		if(!Number.isInteger(resolved.maxMissedPongs) || resolved.maxMissedPongs < 1){
+			throw new RangeError("webSocket.maxMissedPongs must be a positive integer.");
+		}
+		if(!Number.isInteger(resolved.streamHighWaterMark) || resolved.streamHighWaterMark < 1){
+			throw new RangeError("webSocket.streamHighWaterMark must be a positive integer.");
+		}
+		for(const listOption of ["protocols", "allowedOrigins"]){
+			const list = resolved[listOption];
+			if(list !== null && list !== undefined
+					&& (!Array.isArray(list) || list.some((entry) => typeof entry !== "string" || !entry))){
+				throw new TypeError(`webSocket.${listOption} must be an array of non empty strings.`);
+			}
+		}
+		resolved.protocols = resolved.protocols ? [...resolved.protocols] : null;
+		resolved.allowedOrigins = resolved.allowedOrigins ?
+				resolved.allowedOrigins.map((origin) => origin.toLowerCase()) : null;
+		if(resolved.authorize !== null && resolved.authorize !== undefined && typeof resolved.authorize !== "function"){
+			throw new TypeError("webSocket.authorize must be a function.");
+		}
+		resolved.authorize = resolved.authorize || null;
+		resolved.perMessageDeflate = resolvePerMessageDeflateOptions(resolved.perMessageDeflate);
+		resolved.routes = Object.fromEntries(Object.entries(routes || {}).map(
+				([path, routeOptions]) => [path, WsH2Stream.resolveOptions({...routeDefaults, ...routeOptions, routes: undefined})]
+		));
+		return resolved;
+	}
+
+	/**
+	 * Whether a close code may appear in a close frame.
+	 * @param {number} code
+	 * @returns {boolean}
+	 */
+	static #isValidCloseCode(code){
+		return (code >= 1000 && code <= 1014 && code !== 1004 && code !== 1005 && code !== 1006)
+				|| (code >= 3000 && code <= 4999);
+	}
+
+	/**
+	 * Reads the code and reason of a received close frame.
+	 * @param {Buffer} payload
+	 * @returns {{code: number, reason: string}}
+	 * @throws {WsProtocolError} When the payload is not a valid close frame payload.
+	 */
+	static #parseClosePayload(payload){
+		if(!payload.length){
+			return {code: WsH2Stream.CLOSE_CODES.NO_STATUS, reason: ""};
+		}
+		if(payload.length === 1){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.PROTOCOL_ERROR, "Close frame with a one byte payload.");
+		}
+		const code = payload.readUInt16BE(0);
+		if(!WsH2Stream.#isValidCloseCode(code)){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.PROTOCOL_ERROR, `Invalid close code ${code}.`);
+		}
+		const reason = payload.subarray(2);
+		if(!isUtf8(reason)){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.INVALID_PAYLOAD, "Close reason is not valid UTF-8.");
+		}
+		return {code, reason: reason.toString("utf8")};
+	}
+
+	/**
+	 * Checks the parts of a received frame that do not depend on the message it belongs to (RFC 6455 section 5).
+	 * @param {WsFrame} frame
+	 * @param {boolean} compressionNegotiated Whether permessage-deflate gives RSV1 a meaning.
+	 * @throws {WsProtocolError} When the frame violates the protocol.
+	 */
+	static #validateFrame(frame, compressionNegotiated){
+		const {OPCODES} = WsH2Stream.#WS_CONSTANTS;
+		if(!frame.masked){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.PROTOCOL_ERROR, "Client frames must be masked.");
+		}
+		if(!Object.values(OPCODES).includes(frame.opcode)){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.PROTOCOL_ERROR, `Unknown opcode ${frame.opcode}.`);
+		}
+		// RSV1 marks compressed messages, so only on their first frame (RFC 7692 section 6).
+		if(frame.rsv2 || frame.rsv3 || (frame.rsv1 && (!compressionNegotiated || frame.opcode === OPCODES.CONTINUATION || frame.opcode >= 8))){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.PROTOCOL_ERROR, "Unexpected RSV bits.");
+		}
+		if(frame.opcode >= 8 && (!frame.fin || frame.payload.length > 125)){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.PROTOCOL_ERROR, "Control frames must be single frames of at most 125 bytes.");
 		}
-		const fragmentDetails = {
-			isFinal: fastFragment[0] & 0b10000000,
-			rsv1: fastFragment[0] & 0b01000000,
-			rsv2: fastFragment[0] & 0b00100000,
-			rsv3: fastFragment[0] & 0b00010000,
-			opcode: fastFragment[0] & 0b00001111,
-		}
-		let currentOffset = 2;
-		const payloadLength = fastFragment[1] & 0b01111111;
-		switch (payloadLength){
-			case 126:
-				fragmentDetails.payloadLength = new Uint16Array(new Uint8Array(fastFragment.slice(2, 4)))[0];
-				currentOffset += 2;
-				break;
-			case 127:
-				fragmentDetails.payloadLength = new BigUint64Array(new Uint8Array(fastFragment.slice(2, 10)).buffer)[0];
-				currentOffset += 8;
-				break;
-			default:
-				fragmentDetails.payloadLength = payloadLength;
-				// currentOffset += 0;
-		}
-
-		const usesMasking = fastFragment[1] & 0b10000000;
-		if(usesMasking){
-			fragmentDetails.maskingKey = Uint8Array.from(fastFragment.slice(currentOffset, currentOffset + 4));
-			fragmentDetails.usesMasking = true;
-			currentOffset += 4;
-		}
-		fragmentDetails.payload = fastFragment.slice(currentOffset);
-		return fragmentDetails;
 	}
 
+	/**
+	 * The largest payload that fits into a frame of the given size, header included.
+	 * @param {number} maxFrameSize
+	 * @returns {number}
+	 */
+	static #maxPayloadLength(maxFrameSize){
+		if(maxFrameSize - 4 < 65536){
+			return maxFrameSize - 4;
+		}
+		return maxFrameSize - 10;
+	}
+
+	/**
+	 * Encodes the header of an unmasked frame, with the length in network byte order.
+	 * @param {boolean} fin
+	 * @param {number} opcode
+	 * @param {number} payloadLength
+	 * @param {boolean} [compressed=false] Sets RSV1, which marks the first frame of a compressed message.
+	 * @returns {Buffer}
+	 */
+	static #frameHeader(fin, opcode, payloadLength, compressed = false){
+		let header;
+		if(payloadLength < 126){
+			header = Buffer.from([0, payloadLength]);
+		}else if(payloadLength < 65536){
+			header = Buffer.from([0, 126, 0, 0]);
+			header.writeUInt16BE(payloadLength, 2);
+		}else{
+			header = Buffer.from([0, 127, 0, 0, 0, 0, 0, 0, 0, 0]);
+			header.writeBigUInt64BE(BigInt(payloadLength), 2);
+		}
+		header[0] = (fin ? WsH2Stream.#WS_CONSTANTS.FIRST_BYTE.FINAL : 0)
+				| (compressed ? WsH2Stream.#WS_CONSTANTS.FIRST_BYTE.RSV1 : 0)
+				| opcode;
+		return header;
+	}
+
+	/**
+	 * Writes a single frame to the stream.
+	 * @param {boolean} fin
+	 * @param {number} opcode
+	 * @param {Buffer} [payload]
+	 * @param {function(Error=): void} [callback] Called once the frame was flushed.
+	 * @param {boolean} [compressed=false] Whether this is the first frame of a compressed message.
+	 * @returns {boolean} False when the stream buffer is full.
+	 */
+	#writeFrame(fin, opcode, payload = Buffer.alloc(0), callback, compressed = false){
+		this.#server?.metrics?.countWebSocketFrame("out", opcode);
+		return this.#stream.write(Buffer.concat([
+			WsH2Stream.#frameHeader(fin, opcode, payload.length, compressed),
+			payload
+		]), callback);
+	}
+
+	/**
+	 * Sends a control frame right away. Control frames are never fragmented and may go between the fragments of a
+	 * message. Nothing is sent after the close frame.
+	 * @param {Object} options
+	 * @param {number} options.opcode
+	 * @param {Buffer} [options.payload] At most 125 bytes.
+	 */
 	#sendFrame(options){
-		switch (options.opcode){
-			case WsH2Stream.#WS_CONSTANTS.OPCODES.CLOSE:
-				this.#stream.write(Buffer.from([
-					WsH2Stream.#WS_CONSTANTS.FIRST_BYTE.FINAL | WsH2Stream.OPCODES.CLOSE,
-					0 // length 0
-				]));
-				break;
-			case WsH2Stream.#WS_CONSTANTS.OPCODES.PING:
-				this.#stream.write(Buffer.from([
-					WsH2Stream.#WS_CONSTANTS.FIRST_BYTE.FINAL | WsH2Stream.OPCODES.PING,
-					0 // IGNORE PAYLOAD!!!!
-				]));
-				break;
-			case WsH2Stream.#WS_CONSTANTS.OPCODES.PONG:
-				this.#stream.write(Buffer.from([
-					WsH2Stream.#WS_CONSTANTS.FIRST_BYTE.FINAL | WsH2Stream.OPCODES.PONG,
-					0 // IGNORE PAYLOAD!!!!
-				]));
-				break;
-			case WsH2Stream.#WS_CONSTANTS.OPCODES.TEXT:
-			case WsH2Stream.#WS_CONSTANTS.OPCODES.BINARY:
-				const payloadLength = options.payload.length;
-				let payloadLengthBytes;
-				// TODO Implement fragmentation based on the payload length and the max frame size
-				if(payloadLength < 126){
-					payloadLengthBytes = Buffer.from([payloadLength]);
-				}else if(payloadLength < 65536){
-					payloadLengthBytes = Buffer.from([126, ...new Uint16Array([payloadLength])]);
-				}else{
-					payloadLengthBytes = Buffer.from([127, ...new BigUint64Array([BigInt(payloadLength)])]);
+		if(this.#closeSent || this.closed){
+			return;
+		}
+		this.#writeFrame(true, options.opcode, options.payload);
+	}
+
+	/**
+	 * Sends the close frame. The stream is ended once the close frames went both ways.
+	 * @param {number} code NO_STATUS to send the frame without a code.
+	 * @param {string} reason
+	 */
+	#sendClose(code, reason){
+		const payload = code === WsH2Stream.CLOSE_CODES.NO_STATUS ? Buffer.alloc(0) : Buffer.concat([
+			Buffer.from([code >> 8, code & 0xff]),
+			Buffer.from(reason)
+		]);
+		this.#sendFrame({opcode: WsH2Stream.#WS_CONSTANTS.OPCODES.CLOSE, payload});
+		this.#closeSent = {code, reason};
+		this.#startCloseTimeout();
+		if(this.#closeReceived){
+			this.#stream.end();
+		}
+	}
+
+	/**
+	 * Starts the time the peer has to complete the closing handshake, unless it runs already.
+	 */
+	#startCloseTimeout(){
+		if(this.#closeTimeout){
+			return;
+		}
+		this.#closeTimeout = setTimeout(() => {
+			this.#logger.debug("Websocket closing handshake timed out, resetting the stream.");
+			this.#stream.close(http2.constants.NGHTTP2_CANCEL);
+		}, this.#options.closeTimeout);
+	}
+
+	/**
+	 * Queues a message to be sent in fragments of at most maxFrameSize bytes. Messages from the permessage-deflate
+	 * threshold on are compressed first; they keep their place in the queue meanwhile.
+	 * @param {number} opcode
+	 * @param {Buffer} payload
+	 * @returns {Promise<void>} Resolves once the last fragment was flushed.
+	 */
+	#sendMessage(opcode, payload){
+		if(this.closed || this.#closing || this.#closeSent || this.#closeReceived){
+			const rejected = Promise.reject(new Error("The websocket is closed."));
+			// Senders that do not wait for the flush must not end up with unhandled rejections.
+			rejected.catch((error) => this.#logger.debug("Websocket message not sent.", error));
+			return rejected;
+		}
+		const compressed = !!this.#perMessageDeflate && payload.length >= this.#perMessageDeflate.threshold;
+		let message;
+		const promise = new Promise((resolve, reject) => {
+			message = {opcode, payload: compressed ? null : payload, compressed, offset: 0, resolve, reject};
+			this.#sendQueue.push(message);
+		});
+		promise.catch((error) => this.#logger.debug("Websocket message not sent.", error));
+		this.#queuedBytes += payload.length;
+		if(compressed){
+			this.#perMessageDeflate.compress(payload).then((compressedPayload) => {
+				if(!this.#sendQueue.includes(message)){
+					return;
 				}
-				this.#stream.write(Buffer.concat([
-					Buffer.from([WsH2Stream.#WS_CONSTANTS.FIRST_BYTE.FINAL | options.opcode]),
-					payloadLengthBytes,
-					options.payload
-				]));
-				break;
+				this.#queuedBytes += compressedPayload.length - payload.length;
+				message.payload = compressedPayload;
+				this.#flush();
+			}, (error) => this.#fail(error));
 		}
+		this.#flush();
+		return promise;
 	}
 
 	/**
-	 * Parses the frame fragments and emits the frame event when a complete frame is received.
-	 * If it encounters a control frame it processes it immediately as per the WebSocket RFC and removes its fragment
-	 * from the current frame fragments.
-	 * ALL control frames should be in single fragments.
+	 * Writes the queued messages fragment by fragment until the stream buffer is full, then continues once it drained.
+	 * Waiting for the drain lets control frames through between the fragments of large messages.
 	 */
-	#parseFrame(){
-		// check whether the frame is a final frame
-		const lastFragment = this.#currentFrameFragments[this.#currentFrameFragments.length - 1];
-		// if the fragment is not final then we should wait for the next fragment
-		if(!lastFragment.isFinal){
+	#flush(){
+		if(!this.#opened){
+			// Writing would answer the handshake, the queue waits for it.
 			return;
 		}
-		// if it's a control frame then it needs to be acted upon immediately
-		if(lastFragment.opcode >= 8){
-			switch (lastFragment.opcode){
+		const maxPayloadLength = WsH2Stream.#maxPayloadLength(this.#options.maxFrameSize);
+		while(this.#sendQueue.length && !this.#waitingForDrain){
+			if(this.closed){
+				this.#rejectQueue(new Error("The websocket closed before the message was sent."));
+				return;
+			}
+			const message = this.#sendQueue[0];
+			if(!message.payload){
+				// Still being compressed, the flush continues once it is ready.
+				return;
+			}
+			const length = Math.min(maxPayloadLength, message.payload.length - message.offset);
+			const fragment = message.payload.subarray(message.offset, message.offset + length);
+			const first = message.offset === 0;
+			const fin = message.offset + length === message.payload.length;
+			message.offset += length;
+			this.#queuedBytes -= length;
+			if(fin){
+				this.#sendQueue.shift();
+			}
+			const writable = this.#writeFrame(
+					fin,
+					first ? message.opcode : WsH2Stream.#WS_CONSTANTS.OPCODES.CONTINUATION,
+					fragment,
+					fin ? (error) => error ? message.reject(error) : message.resolve() : undefined,
+					first && message.compressed
+			);
+			if(!writable){
+				this.#waitingForDrain = true;
+				this.#stream.once('drain', this.#drainListener);
+			}
+		}
+		if(!this.#sendQueue.length && this.#closing && !this.#closeSent){
+			this.#sendClose(this.#closing.code, this.#closing.reason);
+		}
+	}
+
+	#drainListener = () => {
+		this.#waitingForDrain = false;
+		this.#flush();
+	}
+
+	/**
+	 * Rejects all queued messages.
+	 * @param {Error} error
+	 */
+	#rejectQueue(error){
+		const queue = this.#sendQueue;
+		this.#sendQueue = [];
+		this.#queuedBytes = 0;
+		queue.forEach((message) => message.reject(error));
+	}
+
+	/**
+	 * Handles a frame received on the websocket connection.
+	 * Control frames are processed immediately as per the WebSocket RFC, also between the fragments of a message.
+	 * Data frames are collected until the final fragment of their message, then the frame event is emitted.
+	 * @param {WsFrame} frame
+	 * @throws {WsProtocolError} When the frame is invalid or does not fit into the message being received.
+	 */
+	#handleFrame(frame){
+		WsH2Stream.#validateFrame(frame, !!this.#perMessageDeflate);
+		if(frame.opcode >= 8){
+			switch (frame.opcode){
 				case WsH2Stream.#WS_CONSTANTS.OPCODES.CLOSE:
-					this.#logger.debug("Close frame received.");
-					this.#stream.end();
+					this.#closeReceived = WsH2Stream.#parseClosePayload(frame.payload);
+					this.#logger.debug("Close frame received.", this.#closeReceived);
+					if(this.#closeSent){
+						this.#stream.end();
+						break;
+					}
+					// The messages that were not sent yet are dropped, and the code of the peer is echoed.
+					this.#rejectQueue(new Error("The peer closed the websocket before the message was sent."));
+					this.#sendClose(this.#closeReceived.code, "");
 					break;
 				case WsH2Stream.#WS_CONSTANTS.OPCODES.PING:
 					this.#logger.debug("Ping received.");
-					this.pong();
+					this.pong(frame.payload);
+					this.emit('ping', frame.payload);
 					break;
 				case WsH2Stream.#WS_CONSTANTS.OPCODES.PONG:
 					this.#logger.debug("Pong received.");
-					this.emit('pong', lastFragment.payload);
-					break;
-				default:
-					this.#logger.error("Unknown opcode", lastFragment.opcode);
-					this.#stream.end();
+					this.#pongListener(frame.payload);
+					this.emit('pong', frame.payload);
 					break;
 			}
-			this.#currentFrameFragments.pop();// Pop the last fragment as it's a control frame
 			return;
 		}
-		// If the fragment is the final one then we can parse the frame
-		const frameDetails = {
-			opcode: this.#currentFrameFragments[0].opcode, // first fragment is the one containing the actual opcode
-			type: this.#currentFrameFragments[0].opcode === WsH2Stream.#WS_CONSTANTS.OPCODES.TEXT ? "text" : this.#currentFrameFragments[0].opcode === WsH2Stream.#WS_CONSTANTS.OPCODES.BINARY ? "binary" : "unknown",
-			payload: concatTypedArrays(this.#currentFrameFragments.map(
-					fragment => fragment.usesMasking ?
-							fragment.payload.map((byte, index) => byte ^ fragment.maskingKey[index % 4]) :
-							fragment.payload
-			))
-		};
-		frameDetails.payload = frameDetails.type === "text" ?
-				Buffer.from(frameDetails.payload.buffer).toString("utf8") : frameDetails.payload;
+		const continuation = frame.opcode === WsH2Stream.#WS_CONSTANTS.OPCODES.CONTINUATION;
+		if(continuation !== (this.#currentFrameFragments.length > 0)){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.PROTOCOL_ERROR, continuation ?
+					"Continuation frame without a message to continue." :
+					"New message before the previous one was complete.");
+		}
+		this.#currentMessageSize += frame.payload.length;
+		if(this.#currentMessageSize > this.#options.maxMessageSize){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.MESSAGE_TOO_BIG, "Message too big.");
+		}
+		if(this.#currentFrameFragments.length >= this.#options.maxFragments){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.MESSAGE_TOO_BIG, "Message split into too many frames.");
+		}
+		this.#currentFrameFragments.push(frame);
+		// if the fragment is not final then we should wait for the next fragment
+		if(!frame.fin){
+			return;
+		}
+		const opcode = this.#currentFrameFragments[0].opcode; // first fragment is the one containing the actual opcode
+		const compressed = this.#currentFrameFragments[0].rsv1;
+		const payload = Buffer.concat(this.#currentFrameFragments.map(fragment => fragment.payload));
+		this.#currentFrameFragments = [];
+		this.#currentMessageSize = 0;
+		if(!this.#perMessageDeflate){
+			this.#emitMessage(opcode, payload);
+			return;
+		}
+		// Messages after a compressed one wait for its decompression to stay in order.
+		this.#receiveQueue = this.#receiveQueue
+				.then(() => compressed ? this.#perMessageDeflate?.decompress(payload).catch((error) => {
+					throw new WsProtocolError(
+							error instanceof RangeError ? WsH2Stream.CLOSE_CODES.MESSAGE_TOO_BIG : WsH2Stream.CLOSE_CODES.INVALID_PAYLOAD,
+							error instanceof RangeError ? "Message too big." : "Invalid compressed data.",
+							{cause: error}
+					);
+				}) : payload)
+				.then((data) => !this.#failed && this.#emitMessage(opcode, data))
+				.catch((error) => this.#fail(error));
+	}
+
+	/**
+	 * Emits the events of a received message and hands it to the readable Web Stream.
+	 * @param {number} opcode
+	 * @param {Buffer} payload
+	 * @throws {WsProtocolError} When a text message is not valid UTF-8.
+	 */
+	#emitMessage(opcode, payload){
+		if(opcode === WsH2Stream.#WS_CONSTANTS.OPCODES.TEXT && !isUtf8(payload)){
+			throw new WsProtocolError(WsH2Stream.CLOSE_CODES.INVALID_PAYLOAD, "Text message is not valid UTF-8.");
+		}
+		const type = opcode === WsH2Stream.#WS_CONSTANTS.OPCODES.TEXT ? "text" : "binary";
+		const data = type === "text" ? payload.toString("utf8") : payload;
+		const frameDetails = {opcode, type, payload: data};
 		this.#logger.debug("Frame received", frameDetails);
 		this.emit('frame', frameDetails);
-		this.#currentFrameFragments = [];
+		this.emit(type, data);
+		this.emit('message', {type, data});
+		this.#enqueueReadable(data);
+	}
+
+	/**
+	 * Queues a received message in the readable Web Stream, if there is one, and stops reading the stream while it
+	 * is full. Pings, pongs and close frames are not read either until then, which is what makes the backpressure
+	 * reach the peer through the flow control of the stream.
+	 * @param {string | Buffer} data
+	 */
+	#enqueueReadable(data){
+		if(!this.#readableController){
+			return;
+		}
+		this.#readableController.enqueue(data);
+		if(this.#readableController.desiredSize <= 0 && !this.#readPaused){
+			this.#readPaused = true;
+			this.#stream.pause();
+		}
+	}
+
+	/**
+	 * Reads the stream again once the readable Web Stream has room, or nobody reads it anymore.
+	 */
+	#resumeReading(){
+		if(this.#readPaused){
+			this.#readPaused = false;
+			this.#stream.resume();
+		}
+	}
+
+	/**
+	 * Closes the readable Web Stream, or errors it when the connection failed.
+	 * @param {Error} [error]
+	 */
+	#endReadable(error){
+		const controller = this.#readableController;
+		if(!controller){
+			return;
+		}
+		this.#readableController = null;
+		if(error){
+			controller.error(error);
+		}else{
+			controller.close();
+		}
+	}
+
+	/**
+	 * Closes the websocket because its readable or writable Web Stream was cancelled or aborted. A reason with a
+	 * closeCode, like a WsProtocolError, closes it with that code.
+	 * @param {any} reason
+	 */
+	#closeForStreamReason(reason){
+		const code = WsH2Stream.#isValidCloseCode(reason?.closeCode) ? reason.closeCode : WsH2Stream.CLOSE_CODES.NORMAL;
+		this.close(code);
+	}
+
+	/**
+	 * Sends a heartbeat ping, or counts a missed pong if the previous one was not answered. Closes the websocket once
+	 * too many pongs were missed.
+	 */
+	#heartbeatTick = () => {
+		this.#heartbeatTimeout = null;
+		if(this.closed || this.#closing || this.#closeSent || this.#closeReceived){
+			return;
+		}
+		if(this.#pingOutstanding){
+			this.#missedPongs++;
+			this.#logger.debug(`Websocket pong missed (${this.#missedPongs}/${this.#options.maxMissedPongs})`);
+			if(this.#missedPongs >= this.#options.maxMissedPongs){
+				this.#timeout();
+				return;
+			}
+		}else{
+			const payload = Buffer.alloc(8);
+			payload.writeBigUInt64BE(BigInt(++this.#pingSequence));
+			this.#pingOutstanding = {payload, sentAt: performance.now()};
+			this.ping(payload);
+		}
+		this.#heartbeatTimeout = setTimeout(this.#heartbeatTick, this.#options.heartbeatInterval);
+	}
+
+	/**
+	 * Measures the round trip time if the pong answers the outstanding heartbeat ping.
+	 * @param {Buffer} payload
+	 */
+	#pongListener(payload){
+		if(!this.#pingOutstanding?.payload.equals(payload)){
+			return;
+		}
+		this.#roundTripTime = performance.now() - this.#pingOutstanding.sentAt;
+		this.#latencyStats.add(this.#roundTripTime);
+		this.#pingOutstanding = null;
+		this.#missedPongs = 0;
+	}
+
+	/**
+	 * Closes the websocket with 1001 because the peer stopped answering the heartbeats. As a dead peer does not
+	 * answer the close frame either, the stream is reset after closeTimeout.
+	 * @emits WsH2Stream#timeout
+	 */
+	#timeout(){
+		this.#logger.info(`Websocket timed out after ${this.#missedPongs} missed pongs.`);
+		this.emit('timeout', {missedPongs: this.#missedPongs});
+		this.close(WsH2Stream.CLOSE_CODES.GOING_AWAY, "Heartbeat timeout");
 	}
 
 	/**
 	 * Sends a ping frame on the websocket connection.
-	 * A pong frame is expected in response.
+	 * A pong frame with the same payload is expected in response.
+	 * @param {Buffer} [payload] At most 125 bytes, opaque to the peer.
+	 * @throws {RangeError} When the payload is too long.
 	 */
-	ping(){
+	ping(payload = Buffer.alloc(0)){
+		if(payload.length > 125){
+			throw new RangeError("Ping payloads must not exceed 125 bytes.");
+		}
 		this.#sendFrame({
-			opcode: WsH2Stream.#WS_CONSTANTS.OPCODES.PONG
+			opcode: WsH2Stream.#WS_CONSTANTS.OPCODES.PING,
+			payload
 		});
 	}
 
 	/**
-	 * Sends a pong frame on the websocket connection. This should always be in response to a ping frame.
-	 * Should never send a pong frame without having received a ping frame first.
+	 * Sends a pong frame on the websocket connection. This should always be in response to a ping frame, with its
+	 * payload. Should never send a pong frame without having received a ping frame first.
+	 * @param {Buffer} [payload] The payload of the ping.
 	 */
-	pong(){
+	pong(payload = Buffer.alloc(0)){
 		this.#sendFrame({
-			opcode: WsH2Stream.#WS_CONSTANTS.OPCODES.PONG
+			opcode: WsH2Stream.#WS_CONSTANTS.OPCODES.PONG,
+			payload
 		});
 	}
 
 	/**
-	 * Sends a binary frame on the websocket connection.
+	 * The last round trip time measured by a heartbeat, in milliseconds. Null before the first pong.
+	 * @returns {number | null}
+	 */
+	get roundTripTime(){
+		return this.#roundTripTime;
+	}
+
+	/**
+	 * The statistics of the round trip times measured by the heartbeats, in milliseconds, see H2Session.latencyStats.
+	 * @returns {{count: number, last: number, min: number, max: number, avg: number, p95: number, ewma: number, jitter: number}}
+	 */
+	get latencyStats(){
+		return this.#latencyStats.snapshot;
+	}
+
+	/**
+	 * The number of consecutive heartbeat intervals that passed without a pong.
+	 * @returns {number}
+	 */
+	get missedPongs(){
+		return this.#missedPongs;
+	}
+
+	/**
+	 * Starts the closing handshake. The close frame follows the messages that were sent before, nothing can be sent
+	 * after it. The stream ends once the peer answered with its own close frame, or is reset if it does not within
+	 * closeTimeout; the close event tells which.
+	 * @param {number} [code=1000] See CLOSE_CODES, or an application code from 3000 to 4999.
+	 * @param {string} [reason=""] At most 123 bytes once UTF-8 encoded.
+	 * @throws {RangeError} When the code cannot be sent or the reason is too long.
+	 */
+	close(code = WsH2Stream.CLOSE_CODES.NORMAL, reason = ""){
+		if(!WsH2Stream.#isValidCloseCode(code)){
+			throw new RangeError(`Invalid close code: ${code}`);
+		}
+		if(Buffer.byteLength(String(reason)) > 123){
+			throw new RangeError("The close reason must not exceed 123 bytes.");
+		}
+		if(this.closed || this.#closing || this.#closeSent){
+			return;
+		}
+		this.#closing = {code, reason: String(reason)};
+		this.#startCloseTimeout();
+		this.#flush();
+	}
+
+	/**
+	 * Whether the writable side of the websocket stream is already closed.
+	 * @returns {boolean}
+	 */
+	get closed(){
+		return this.#stream.closed || this.#stream.destroyed || this.#stream.writableEnded;
+	}
+
+	/**
+	 * Whether the closing handshake was started by either side, messages are no longer sent from then on.
+	 * @returns {boolean}
+	 */
+	get closing(){
+		return !!(this.#closing || this.#closeSent || this.#closeReceived);
+	}
+
+	/**
+	 * The received messages as a Web Stream, text as strings and binary as Buffers. It is created on first use and
+	 * only gets the messages received after that. It closes with the websocket, errors when the connection fails, and
+	 * cancelling it closes the websocket. While it is full the stream is not read.
+	 * @returns {ReadableStream<string | Buffer>}
+	 */
+	get readable(){
+		if(!this.#readable){
+			this.#readable = new ReadableStream({
+				start: (controller) => {
+					this.#readableController = controller;
+					if(this.#stream.closed || this.#stream.destroyed){
+						this.#endReadable();
+					}
+				},
+				pull: () => this.#resumeReading(),
+				cancel: (reason) => {
+					this.#readableController = null;
+					this.#resumeReading();
+					this.#closeForStreamReason(reason);
+				}
+			}, new CountQueuingStrategy({highWaterMark: this.#options.streamHighWaterMark}));
+		}
+		return this.#readable;
+	}
+
+	/**
+	 * A Web Stream that sends what is written to it, strings as text messages and binary data as binary messages.
+	 * A write completes once the message was flushed, so the writer waits for the peer to keep up. Closing it closes
+	 * the websocket and completes with the closing handshake, aborting it closes the websocket too.
+	 * @returns {WritableStream<string | ArrayBuffer | ArrayBufferView>}
+	 */
+	get writable(){
+		if(!this.#writable){
+			this.#writable = new WritableStream({
+				write: (chunk) => {
+					if(typeof chunk === "string"){
+						return this.sendText(chunk);
+					}
+					if(chunk instanceof ArrayBuffer){
+						return this.sendBinary(new Uint8Array(chunk));
+					}
+					if(ArrayBuffer.isView(chunk)){
+						return this.sendBinary(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+					}
+					throw new TypeError("Only strings, ArrayBuffers and ArrayBufferViews can be written to a websocket.");
+				},
+				close: () => new Promise((resolve) => {
+					if(this.#stream.closed || this.#stream.destroyed){
+						resolve();
+						return;
+					}
+					this.once('close', () => resolve());
+					this.close();
+				}),
+				abort: (reason) => this.#closeForStreamReason(reason)
+			}, new CountQueuingStrategy({highWaterMark: this.#options.streamHighWaterMark}));
+		}
+		return this.#writable;
+	}
+
+	/**
+	 * Iterates the received messages through the readable Web Stream, text as strings and binary as Buffers.
+	 * Breaking out of the loop closes the websocket.
+	 * @returns {AsyncIterator<string | Buffer>}
+	 */
+	[Symbol.asyncIterator](){
+		return this.readable[Symbol.asyncIterator]();
+	}
+
+	/**
+	 * The number of bytes of the sent messages that were not flushed yet, like WebSocket.bufferedAmount.
+	 * @returns {number}
+	 */
+	get bufferedAmount(){
+		return this.#queuedBytes + (this.#stream.writableLength || 0);
+	}
+
+	/**
+	 * Sends a binary message on the websocket connection, fragmented if it does not fit into one frame.
 	 * @param {Buffer} data - The data to send.
+	 * @returns {Promise<void>} Resolves once the message was flushed.
+	 * @throws {Error} (rejection) When the websocket is closed or closes before the message was flushed.
 	 */
 	sendBinary(data){
-		if(!data instanceof FastBuffer || data instanceof Buffer || data instanceof Uint8Array.prototype){
+		if(!(data instanceof Uint8Array)){
 			throw new TypeError("Data must be a Buffer or FastBuffer.");
 		}
-		this.#sendFrame({
-			opcode: WsH2Stream.#WS_CONSTANTS.OPCODES.BINARY,
-			payload: data?.buffer || data
-		});
+		return this.#sendMessage(
+				WsH2Stream.#WS_CONSTANTS.OPCODES.BINARY,
+				Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+		);
 	}
 
 	/**
-	 * Sends a text frame on the websocket connection.
+	 * Sends a text message on the websocket connection, fragmented if it does not fit into one frame.
 	 * @param data
+	 * @returns {Promise<void>} Resolves once the message was flushed.
+	 * @throws {Error} (rejection) When the websocket is closed or closes before the message was flushed.
 	 */
 	sendText(data){
-		this.#sendFrame({
-			opcode: WsH2Stream.#WS_CONSTANTS.OPCODES.TEXT,
-			payload: Buffer.from(data)
-		});
+		return this.#sendMessage(WsH2Stream.#WS_CONSTANTS.OPCODES.TEXT, Buffer.from(data));
 	}
 
 	/**
@@ -241,6 +1014,8 @@ export class WsH2Stream extends EventEmitter {
 	 * @param stream
 	 * @param {} incomingHeaders
 	 * @param options
+	 * @param {Object?} options.webSocket The websocket options of this stream, on top of the ones of the server. See
+	 * resolveOptions.
 	 */
 	constructor(stream, incomingHeaders, options = {}) {
 		super();
@@ -249,10 +1024,47 @@ export class WsH2Stream extends EventEmitter {
 		this.#server = options.server;
 		this.#logger = options.logger;
 		this.#session = options.session;
-		this.#handshake();
+		const serverOptions = options.server?.webSocket;
+		const path = incomingHeaders[http2.constants.HTTP2_HEADER_PATH]?.split("?")[0];
+		this.#options = WsH2Stream.resolveOptions({
+			...serverOptions,
+			...serverOptions?.routes?.[path],
+			...options.webSocket,
+			routes: undefined
+		});
+		this.#frameParser = new WsFrameParser({maxPayloadLength: this.#options.maxMessageSize});
+		this.#accepted = this.#handshake().then((accepted) => {
+			if(accepted){
+				this.#open();
+			}
+			return accepted;
+		});
+		this.#stream.once('close', () => {
+			clearTimeout(this.#closeTimeout);
+			clearTimeout(this.#heartbeatTimeout);
+			this.#rejectQueue(new Error("The websocket closed before the message was sent."));
+			this.#perMessageDeflate?.close();
+			this.#endReadable();
+			this.emit('close', {
+				code: this.#closeReceived?.code ?? WsH2Stream.CLOSE_CODES.ABNORMAL,
+				reason: this.#closeReceived?.reason ?? "",
+				wasClean: !!(this.#closeSent && this.#closeReceived)
+			});
+		});
+	}
+
+	/**
+	 * Starts reading the stream and the heartbeat once the handshake accepted the websocket.
+	 */
+	#open(){
+		this.#opened = true;
+		if(this.#options.heartbeatInterval){
+			this.#heartbeatTimeout = setTimeout(this.#heartbeatTick, this.#options.heartbeatInterval);
+		}
 		this.#stream.on('data', this.#dataListener);
 		this.#stream.on('end', this.#endListener);
 		this.#stream.on('error', this.#errorListener);
+		this.#flush();
 	}
 
 	#errorListener = (error) => {
@@ -265,31 +1077,236 @@ export class WsH2Stream extends EventEmitter {
 		this.emit('end');
 		this.#stream.end();
 	}
-	#dataListener = (fragment) => {
-		// Buffer the chunk for parsing in case of a larger websocket frame.
-		const parsedFragment = WsH2Stream.#fragmentInterpreter(fragment);
-		this.#currentFrameFragments.push(parsedFragment);
-		this.#parseFrame();
+	#dataListener = (chunk) => {
+		if(this.#closeReceived || this.#failed){
+			// Nothing may follow the close frame, and nothing is read after a failure.
+			return;
+		}
+		try{
+			for(const frame of this.#frameParser.push(chunk)){
+				this.#server?.metrics?.countWebSocketFrame("in", frame.opcode);
+				this.#handleFrame(frame);
+				if(this.#closeReceived || this.#failed){
+					return;
+				}
+			}
+		}catch(error){
+			this.#fail(error);
+		}
 	}
 
-	#handshake(){
+	/**
+	 * Fails the connection because of invalid data from the peer (RFC 6455 section 7.1.7), or because a message could
+	 * not be compressed: sends a close frame with the close code of the error and ends the stream without waiting for
+	 * the answer of the peer.
+	 * @param {Error} error Errors other than WsProtocolErrors fail the connection with 1011.
+	 */
+	#fail(error){
+		if(this.#failed){
+			return;
+		}
+		this.#failed = true;
+		const protocolError = error instanceof WsProtocolError ? error :
+				new WsProtocolError(WsH2Stream.CLOSE_CODES.INTERNAL_ERROR, "Internal error.", {cause: error});
+		if(protocolError === error){
+			this.#logger.warn(`Failing websocket with ${protocolError.closeCode}: ${protocolError.message}`);
+		}else{
+			this.#logger.error("Failing websocket with 1011 after an internal error.", error);
+		}
+		this.#rejectQueue(protocolError);
+		this.#endReadable(protocolError);
+		if(!this.#closeSent){
+			this.#sendClose(protocolError.closeCode, protocolError.message);
+		}
+		if(!this.closed){
+			this.#stream.end();
+		}
+		// Peer data must not be able to throw an unhandled error event.
+		if(this.listenerCount('error')){
+			this.emit('error', protocolError);
+		}
+	}
+
+	/**
+	 * Checks the origin, runs the authorize hook and answers the handshake, with 200 and the selected subprotocol and
+	 * extensions, or with the status of the rejection.
+	 * @returns {Promise<boolean>} Whether the websocket was accepted.
+	 */
+	async #handshake(){
+		const headers = this.#incomingHeaders;
+		this.#requestedWsProtocols = headers[http2.constants.HTTP2_HEADER_WS_PROTO]?.split(",")
+				.map((protocol) => protocol.trim()).filter(Boolean) || [];
+		const supportedProtocols = this.#options.protocols || WsH2Stream.#acceptedProtocols;
+		this.#protocol = this.#requestedWsProtocols.find((protocol) => supportedProtocols.includes(protocol)) ?? null;
+		const origin = headers[http2.constants.HTTP2_HEADER_ORIGIN];
+		if(origin && this.#options.allowedOrigins && !this.#options.allowedOrigins.includes(origin.toLowerCase())){
+			this.#logger.warn(`Websocket from origin ${origin} rejected.`);
+			this.#reject(http2.constants.HTTP_STATUS_FORBIDDEN);
+			return false;
+		}
+		if(this.#options.authorize){
+			// The stream is not read before the handshake, errors until then have nobody to go to.
+			const pendingErrorListener = (error) => this.#logger.debug("Websocket stream error before the handshake.", error);
+			this.#stream.on('error', pendingErrorListener);
+			try{
+				const authorization = await this.#options.authorize({
+					path: headers[http2.constants.HTTP2_HEADER_PATH]?.split("?")[0],
+					headers: {...headers},
+					origin,
+					authorization: headers[http2.constants.HTTP2_HEADER_AUTHORIZATION],
+					cookies: WsH2Stream.#parseCookies(headers[http2.constants.HTTP2_HEADER_COOKIE]),
+					requestedProtocols: [...this.#requestedWsProtocols],
+					protocol: this.#protocol,
+					session: this.#session
+				});
+				if(authorization === false){
+					this.#reject(http2.constants.HTTP_STATUS_FORBIDDEN);
+					return false;
+				}
+				if(authorization && typeof authorization === "object"){
+					this.#acceptAuthorization(authorization);
+				}
+			}catch(error){
+				const httpError = HttpError.from(error);
+				if(httpError.status >= http2.constants.HTTP_STATUS_INTERNAL_SERVER_ERROR){
+					this.#logger.error("Websocket authorization failed.", error);
+				}else{
+					this.#logger.debug(`Websocket rejected with ${httpError.status}: ${httpError.message}`);
+				}
+				this.#reject(httpError.status, httpError.headers);
+				return false;
+			}finally{
+				this.#stream.off('error', pendingErrorListener);
+			}
+			if(this.#stream.destroyed || this.#stream.closed){
+				return false;
+			}
+		}
 		const responseHeaders = {
 			[http2.constants.HTTP2_HEADER_STATUS]: http2.constants.HTTP_STATUS_OK,
 		};
-		if(this.#incomingHeaders[http2.constants.HTTP2_HEADER_WS_PROTO]){
-			this.#requestedWsProtocols = this.#incomingHeaders[http2.constants.HTTP2_HEADER_WS_PROTO].split(",");
+		if(this.#protocol !== null){
+			responseHeaders[http2.constants.HTTP2_HEADER_WS_PROTO] = this.#protocol;
 		}
-		const matchedProtocols = this.#requestedWsProtocols?.filter(
-				protocol => WsH2Stream.#acceptedProtocols.includes(protocol)
+		const deflate = negotiatePerMessageDeflate(
+				headers[http2.constants.HTTP2_HEADER_WS_EXTENSIONS],
+				this.#options.perMessageDeflate
 		);
-		if(matchedProtocols?.length) {
-			responseHeaders[http2.constants.HTTP2_HEADER_WS_PROTO] = matchedProtocols.join(",");
+		if(deflate){
+			this.#perMessageDeflate = new PerMessageDeflate({
+				...this.#options.perMessageDeflate,
+				maxDecompressedSize: Math.min(this.#options.perMessageDeflate.maxDecompressedSize, this.#options.maxMessageSize)
+			}, deflate.params);
+			responseHeaders[http2.constants.HTTP2_HEADER_WS_EXTENSIONS] = deflate.response;
 		}
 		this.#stream.respond(responseHeaders);
+		return true;
+	}
+
+	/**
+	 * Applies what the authorize hook accepted the websocket with.
+	 * @param {{identity?: any, protocol?: string | null}} authorization
+	 * @throws {TypeError} When the protocol is not one the client requested.
+	 */
+	#acceptAuthorization({identity, protocol}){
+		if(protocol !== undefined){
+			if(protocol !== null && !this.#requestedWsProtocols.includes(protocol)){
+				throw new TypeError(`The authorize hook selected the protocol ${protocol}, which the client did not request.`);
+			}
+			this.#protocol = protocol;
+		}
+		if(identity !== undefined){
+			this.#identity = identity;
+			if(this.#session){
+				this.#session.data.identity = identity;
+			}
+		}
+	}
+
+	/**
+	 * Rejects the handshake, unless the stream is gone already.
+	 * @param {number} status
+	 * @param {Object<string, string | number>} [headers]
+	 */
+	#reject(status, headers = {}){
+		if(this.#stream.destroyed || this.#stream.closed){
+			return;
+		}
+		this.#stream.respond({
+			...headers,
+			[http2.constants.HTTP2_HEADER_STATUS]: status
+		}, {endStream: true});
+	}
+
+	/**
+	 * Parses a cookie header into the values by name. The first of cookies with the same name wins.
+	 * @param {string | string[] | undefined} header
+	 * @returns {Object<string, string>}
+	 */
+	static #parseCookies(header){
+		const cookies = {};
+		for(const pair of [].concat(header || []).join(";").split(";")){
+			const separator = pair.indexOf("=");
+			if(separator < 1){
+				continue;
+			}
+			const name = pair.slice(0, separator).trim();
+			if(name && !Object.hasOwn(cookies, name)){
+				let value = pair.slice(separator + 1).trim().replace(/^"(.*)"$/, "$1");
+				try{
+					value = decodeURIComponent(value);
+				}catch{
+					// Kept as sent when it is not percent encoded.
+				}
+				cookies[name] = value;
+			}
+		}
+		return cookies;
+	}
+
+	/**
+	 * The handshake, resolving with whether the websocket was accepted. The stream event is emitted once it is.
+	 * Messages can only be sent after it.
+	 * @returns {Promise<boolean>}
+	 */
+	get accepted(){
+		return this.#accepted;
+	}
+
+	/**
+	 * The subprotocol selected in the handshake, null when none was.
+	 * @returns {string | null}
+	 */
+	get protocol(){
+		return this.#protocol;
+	}
+
+	/**
+	 * The session the websocket belongs to. HTTP/1.1 websockets have no session.
+	 * @returns {H2Session | null}
+	 */
+	get session(){
+		return this.#session || null;
+	}
+
+	/**
+	 * What the authorize hook attached to the websocket, undefined without one.
+	 * @returns {any}
+	 */
+	get identity(){
+		return this.#identity;
 	}
 
 	get logger(){
 		return this.#logger;
 	}
 
+	/**
+	 * The headers of the request that opened the websocket.
+	 * @returns {Object<string, any>}
+	 */
+	get incomingHeaders(){
+		return {...this.#incomingHeaders};
+	}
+
 }
@@ -0,0 +1,427 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import http2 from "node:http2";
+import {Duplex} from "node:stream";
+import {WebTransportSession} from "../../streams/webtransport-session.mjs";
+import {WebTransportError} from "../../errors/webtransport-error.mjs";
+import {CapsuleParser, encodeCapsule, encodeVarint, readVarint} from "../../utils/capsule-parser.mjs";
+
+const TYPES = WebTransportSession.CAPSULE_TYPES;
+const SETTINGS = WebTransportSession.SETTINGS;
+
+const silentLogger = {debug() {}, info() {}, log() {}, warn() {}, error() {}};
+
+/**
+ * Stands in for the extended CONNECT stream of a session. Collects the capsules the session writes and lets the test
+ * send capsules as the client.
+ */
+class FakeConnectStream extends Duplex {
+	/**
+	 * The capsules written by the session.
+	 * @type {Array<{type: number, payload: Buffer}>}
+	 */
+	capsules = [];
+	/**
+	 * The headers the session responded with.
+	 * @type {Object<string, any> | null}
+	 */
+	responseHeaders = null;
+	/**
+	 * The RST_STREAM code the session closed the stream with.
+	 * @type {number}
+	 */
+	rstCode = 0;
+	#parser = new CapsuleParser();
+
+	/**
+	 * @param {Object<number, number>} customSettings The SETTINGS of the client.
+	 */
+	constructor(customSettings = {}) {
+		super();
+		this.session = {remoteSettings: {customSettings}};
+	}
+
+	respond(headers) {
+		this.responseHeaders = headers;
+	}
+
+	close(code) {
+		this.rstCode = code;
+		this.destroy();
+	}
+
+	/**
+	 * Sends capsules or raw bytes as the client.
+	 * @param {...Buffer} chunks
+	 */
+	receive(...chunks) {
+		this.emit("data", Buffer.concat(chunks));
+	}
+
+	/**
+	 * The capsules of a type written so far.
+	 * @param {number} type
+	 * @returns {Array<{type: number, payload: Buffer}>}
+	 */
+	written(type) {
+		return this.capsules.filter((capsule) => capsule.type === type);
+	}
+
+	_read() {
+	}
+
+	_write(chunk, encoding, callback) {
+		this.capsules.push(...this.#parser.push(chunk));
+		callback();
+	}
+}
+
+/**
+ * Creates a session over a fake CONNECT stream.
+ * @param {Object} [options]
+ * @param {Object} [options.webTransport] The WebTransport options of the server.
+ * @param {Object<number, number>} [options.clientSettings] The SETTINGS of the client.
+ * @returns {{session: WebTransportSession, stream: FakeConnectStream, errors: Error[]}}
+ */
+const createSession = ({webTransport = {}, clientSettings = {}} = {}) => {
+	const stream = new FakeConnectStream(clientSettings);
+	const session = new WebTransportSession(stream, {":method": "CONNECT", ":protocol": "webtransport"}, {
+		server: {webTransport: WebTransportSession.resolveOptions(webTransport)},
+		logger: silentLogger
+	});
+	const errors = [];
+	session.on("error", (error) => errors.push(error));
+	return {session, stream, errors};
+};
+
+/**
+ * A capsule carrying stream data.
+ * @param {number} id
+ * @param {Buffer | string} data
+ * @param {boolean} [fin=false]
+ * @returns {Buffer}
+ */
+const streamCapsule = (id, data, fin = false) => encodeCapsule(
+		fin ? TYPES.STREAM_FIN : TYPES.STREAM,
+		encodeVarint(id),
+		Buffer.from(data)
+);
+
+/**
+ * A capsule of variable-length integers.
+ * @param {number} type
+ * @param {...number} values
+ * @returns {Buffer}
+ */
+const varintCapsule = (type, ...values) => encodeCapsule(type, ...values.map(encodeVarint));
+
+/**
+ * Reads the variable-length integers of a capsule payload.
+ * @param {Buffer} payload
+ * @returns {number[]}
+ */
+const readVarints = (payload) => {
+	const values = [];
+	for (let offset = 0; offset < payload.length;) {
+		const {value, length} = readVarint(payload, offset);
+		values.push(value);
+		offset += length;
+	}
+	return values;
+};
+
+/**
+ * Lets the queued writes and stream callbacks run.
+ * @returns {Promise<void>}
+ */
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Reads a readable stream to its end.
+ * @param {ReadableStream<Buffer>} readable
+ * @returns {Promise<string>}
+ */
+const readText = async (readable) => {
+	const chunks = [];
+	for await (const chunk of readable) {
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks).toString();
+};
+
+/**
+ * Asserts that the session was failed with the RST_STREAM code.
+ * @param {{stream: FakeConnectStream, errors: Error[]}} created
+ * @param {number} code
+ */
+const assertFailed = ({stream, errors}, code) => {
+	assert.equal(stream.rstCode, code);
+	assert.equal(stream.destroyed, true);
+	assert.equal(errors.length, 1);
+	assert.ok(errors[0] instanceof WebTransportError);
+	assert.equal(errors[0].source, "session");
+};
+
+describe("WebTransportSession", () => {
+	it("accepts the CONNECT stream", () => {
+		const {stream} = createSession();
+		assert.equal(stream.responseHeaders[http2.constants.HTTP2_HEADER_STATUS], 200);
+	});
+
+	it("delivers client streams and datagrams from capsules split at every offset", async () => {
+		const bytes = Buffer.concat([
+			streamCapsule(0, "hello "),
+			encodeCapsule(TYPES.DATAGRAM, Buffer.from("datagram")),
+			streamCapsule(2, "one way", true),
+			streamCapsule(0, "world", true)
+		]);
+		for (let offset = 0; offset <= bytes.length; offset++) {
+			const {session, stream} = createSession();
+			const received = [];
+			const datagrams = [];
+			session.on("stream", (webTransportStream) => received.push(webTransportStream));
+			session.on("datagram", (datagram) => datagrams.push(datagram.toString()));
+			stream.receive(bytes.subarray(0, offset));
+			stream.receive(bytes.subarray(offset));
+			assert.deepEqual(received.map(({id, bidirectional, initiator}) => ({id, bidirectional, initiator})), [
+				{id: 0, bidirectional: true, initiator: "client"},
+				{id: 2, bidirectional: false, initiator: "client"}
+			], `split at offset ${offset}`);
+			assert.equal(received[1].writable, null);
+			assert.deepEqual(datagrams, ["datagram"], `split at offset ${offset}`);
+			assert.equal(await readText(received[0].readable), "hello world", `split at offset ${offset}`);
+			assert.equal(await readText(received[1].readable), "one way", `split at offset ${offset}`);
+		}
+	});
+
+	it("fails the session on data after the end of a stream", async () => {
+		const created = createSession();
+		let received;
+		created.session.on("stream", (webTransportStream) => received = webTransportStream);
+		created.stream.receive(streamCapsule(0, "data", true));
+		assert.equal(await readText(received.readable), "data");
+		created.stream.receive(streamCapsule(0, "more"));
+		assertFailed(created, http2.constants.NGHTTP2_PROTOCOL_ERROR);
+	});
+
+	it("fails the session on data after the end of a cancelled stream", async () => {
+		const created = createSession();
+		let received;
+		created.session.on("stream", (webTransportStream) => received = webTransportStream);
+		created.stream.receive(streamCapsule(0, "data"));
+		await received.readable.cancel();
+		created.stream.receive(streamCapsule(0, "dropped"), streamCapsule(0, "", true));
+		assert.deepEqual(created.errors, []);
+		created.stream.receive(streamCapsule(0, "more"));
+		assertFailed(created, http2.constants.NGHTTP2_PROTOCOL_ERROR);
+	});
+
+	it("errors the readable side of a stream the client resets", async () => {
+		const {session, stream} = createSession();
+		let received;
+		session.on("stream", (webTransportStream) => received = webTransportStream);
+		stream.receive(streamCapsule(0, "data"), varintCapsule(TYPES.RESET_STREAM, 0, 42));
+		await assert.rejects(readText(received.readable), (error) => {
+			return error instanceof WebTransportError && error.source === "stream" && error.streamErrorCode === 42;
+		});
+	});
+
+	describe("flow control of the client", () => {
+		it("grants session credit as data arrives", () => {
+			const {stream} = createSession({webTransport: {initialMaxData: 100}});
+			stream.receive(streamCapsule(0, Buffer.alloc(40)));
+			assert.deepEqual(stream.written(TYPES.MAX_DATA), []);
+			stream.receive(streamCapsule(0, Buffer.alloc(20)));
+			assert.deepEqual(stream.written(TYPES.MAX_DATA).map(({payload}) => readVarints(payload)), [[160]]);
+		});
+
+		it("fails the session when the client exceeds the session limit", () => {
+			const created = createSession({webTransport: {initialMaxData: 100, initialMaxStreamDataBidi: 1000}});
+			created.stream.receive(streamCapsule(0, Buffer.alloc(101)));
+			assertFailed(created, http2.constants.NGHTTP2_FLOW_CONTROL_ERROR);
+		});
+
+		it("grants stream credit as the data is read", async () => {
+			const {session, stream} = createSession({webTransport: {initialMaxStreamDataBidi: 100}});
+			let received;
+			session.on("stream", (webTransportStream) => received = webTransportStream);
+			stream.receive(streamCapsule(0, Buffer.alloc(60)));
+			assert.deepEqual(stream.written(TYPES.MAX_STREAM_DATA), []);
+			const reader = received.readable.getReader();
+			assert.equal((await reader.read()).value.length, 60);
+			await tick();
+			assert.deepEqual(stream.written(TYPES.MAX_STREAM_DATA).map(({payload}) => readVarints(payload)), [[0, 160]]);
+		});
+
+		it("fails the session when the client exceeds the limit of a stream", () => {
+			const created = createSession({webTransport: {initialMaxStreamDataBidi: 100}});
+			created.stream.receive(streamCapsule(0, Buffer.alloc(60)), streamCapsule(0, Buffer.alloc(41)));
+			assertFailed(created, http2.constants.NGHTTP2_FLOW_CONTROL_ERROR);
+		});
+
+		it("fails the session on capsules larger than a stream window", () => {
+			const created = createSession({
+				webTransport: {initialMaxStreamDataBidi: 100, initialMaxStreamDataUni: 100, maxDatagramSize: 100}
+			});
+			created.stream.receive(streamCapsule(0, Buffer.alloc(2000)));
+			assertFailed(created, http2.constants.NGHTTP2_PROTOCOL_ERROR);
+		});
+	});
+
+	describe("stream limits", () => {
+		it("fails the session when the client opens more bidirectional streams than allowed", () => {
+			const created = createSession({webTransport: {initialMaxStreamsBidi: 2}});
+			created.stream.receive(streamCapsule(0, "a"), streamCapsule(4, "b"));
+			assert.equal(created.session.streams.length, 2);
+			created.stream.receive(streamCapsule(8, "c"));
+			assertFailed(created, http2.constants.NGHTTP2_PROTOCOL_ERROR);
+		});
+
+		it("fails the session when the client opens more unidirectional streams than allowed", () => {
+			const created = createSession({webTransport: {initialMaxStreamsUni: 1}});
+			created.stream.receive(streamCapsule(2, "a"));
+			created.stream.receive(streamCapsule(6, "b"));
+			assertFailed(created, http2.constants.NGHTTP2_PROTOCOL_ERROR);
+		});
+
+		it("counts skipped stream ids as opened and closed", () => {
+			const created = createSession({webTransport: {initialMaxStreamsBidi: 3}});
+			const opened = [];
+			created.session.on("stream", ({id}) => opened.push(id));
+			created.stream.receive(streamCapsule(8, "a"), streamCapsule(0, "ignored"), varintCapsule(TYPES.RESET_STREAM, 4, 0));
+			assert.deepEqual(opened, [8]);
+			assert.equal(created.stream.rstCode, 0);
+			assert.deepEqual(created.errors, []);
+		});
+
+		it("fails the session on capsules for server streams that were not opened", () => {
+			const created = createSession();
+			created.stream.receive(streamCapsule(1, "a"));
+			assertFailed(created, http2.constants.NGHTTP2_PROTOCOL_ERROR);
+		});
+
+		it("fails the session on data for unidirectional server streams", async () => {
+			const created = createSession({clientSettings: {[SETTINGS.INITIAL_MAX_STREAMS_UNI]: 1}});
+			const {id} = await created.session.createUnidirectionalStream();
+			assert.equal(id, 3);
+			created.stream.receive(streamCapsule(id, "a"));
+			assertFailed(created, http2.constants.NGHTTP2_PROTOCOL_ERROR);
+		});
+
+		it("opens server streams once the client allows them", async () => {
+			const {session, stream} = createSession();
+			let opened = null;
+			session.createBidirectionalStream().then((webTransportStream) => opened = webTransportStream);
+			await tick();
+			assert.equal(opened, null);
+			assert.deepEqual(stream.written(TYPES.STREAMS_BLOCKED_BIDI).map(({payload}) => readVarints(payload)), [[0]]);
+			stream.receive(varintCapsule(TYPES.MAX_STREAMS_BIDI, 1));
+			await tick();
+			assert.equal(opened.id, 1);
+			assert.equal(opened.initiator, "server");
+		});
+	});
+
+	describe("flow control of the server", () => {
+		it("sends within the credit of the client and continues once it grants more", async () => {
+			const {session, stream} = createSession({
+				clientSettings: {
+					[SETTINGS.INITIAL_MAX_DATA]: 1000,
+					[SETTINGS.INITIAL_MAX_STREAM_DATA_UNI]: 10,
+					[SETTINGS.INITIAL_MAX_STREAMS_UNI]: 1
+				}
+			});
+			const webTransportStream = await session.createUnidirectionalStream();
+			const writer = webTransportStream.writable.getWriter();
+			let written = false;
+			writer.write(Buffer.alloc(25, 1)).then(() => written = true);
+			await tick();
+			const dataLengths = () => stream.written(TYPES.STREAM).map(({payload}) => payload.length - 1);
+			assert.deepEqual(dataLengths(), [10]);
+			assert.deepEqual(stream.written(TYPES.STREAM_DATA_BLOCKED).map(({payload}) => readVarints(payload)), [[3, 10]]);
+			assert.equal(written, false);
+			stream.receive(varintCapsule(TYPES.MAX_STREAM_DATA, 3, 30));
+			await tick();
+			assert.deepEqual(dataLengths(), [10, 15]);
+			assert.equal(written, true);
+			await writer.close();
+			assert.deepEqual(stream.written(TYPES.STREAM_FIN).map(({payload}) => readVarints(payload)), [[3]]);
+		});
+
+		it("sends nothing before the client grants session credit", async () => {
+			const {session, stream} = createSession({
+				clientSettings: {
+					[SETTINGS.INITIAL_MAX_STREAM_DATA_BIDI]: 100,
+					[SETTINGS.INITIAL_MAX_STREAMS_BIDI]: 1
+				}
+			});
+			const webTransportStream = await session.createBidirectionalStream();
+			webTransportStream.writable.getWriter().write(Buffer.alloc(50));
+			await tick();
+			assert.deepEqual(stream.written(TYPES.STREAM), []);
+			assert.deepEqual(stream.written(TYPES.DATA_BLOCKED).map(({payload}) => readVarints(payload)), [[0]]);
+			stream.receive(varintCapsule(TYPES.MAX_DATA, 20));
+			await tick();
+			assert.deepEqual(stream.written(TYPES.STREAM).map(({payload}) => payload.length - 1), [20]);
+			assert.equal(session.sendCredit, 0);
+		});
+	});
+
+	describe("datagrams", () => {
+		it("sends datagrams and reports dropped ones", () => {
+			const {session, stream} = createSession({webTransport: {maxDatagramSize: 10}});
+			assert.equal(session.sendDatagram(Buffer.from("hi")), true);
+			assert.deepEqual(stream.written(TYPES.DATAGRAM).map(({payload}) => payload.toString()), ["hi"]);
+			assert.throws(() => session.sendDatagram(Buffer.alloc(11)), RangeError);
+			stream.close(http2.constants.NGHTTP2_CANCEL);
+			assert.equal(session.sendDatagram(Buffer.from("lost")), false);
+		});
+
+		it("drops received datagrams larger than maxDatagramSize", () => {
+			const {session, stream, errors} = createSession({webTransport: {maxDatagramSize: 10}});
+			const datagrams = [];
+			session.on("datagram", (datagram) => datagrams.push(datagram.toString()));
+			stream.receive(
+					encodeCapsule(TYPES.DATAGRAM, Buffer.alloc(11, "x")),
+					encodeCapsule(TYPES.DATAGRAM, Buffer.from("0123456789"))
+			);
+			assert.deepEqual(datagrams, ["0123456789"]);
+			assert.deepEqual(errors, []);
+		});
+	});
+
+	describe("closing", () => {
+		it("closes the session with a close capsule", async () => {
+			const {session, stream} = createSession();
+			let received;
+			session.on("stream", (webTransportStream) => received = webTransportStream);
+			stream.receive(streamCapsule(0, "a"));
+			session.close(7, "bye");
+			const [close] = stream.written(TYPES.CLOSE_SESSION);
+			assert.equal(close.payload.readUInt32BE(0), 7);
+			assert.equal(close.payload.subarray(4).toString(), "bye");
+			assert.deepEqual(stream.written(TYPES.RESET_STREAM).map(({payload}) => readVarints(payload)), [[0, 0]]);
+			assert.equal(stream.writableEnded, true);
+			assert.equal(session.closed, true);
+			await assert.rejects(readText(received.readable), WebTransportError);
+			await assert.rejects(session.createBidirectionalStream(), WebTransportError);
+		});
+
+		it("emits the close capsule of the client", async () => {
+			const {session, stream} = createSession();
+			const closed = new Promise((resolve) => session.once("close", resolve));
+			const code = Buffer.alloc(4);
+			code.writeUInt32BE(3);
+			stream.receive(encodeCapsule(TYPES.CLOSE_SESSION, code, Buffer.from("done")));
+			stream.push(null);
+			assert.deepEqual(await closed, {closeCode: 3, reason: "done", wasClean: true});
+		});
+
+		it("refuses invalid close codes and reasons", () => {
+			const {session} = createSession();
+			assert.throws(() => session.close(-1), RangeError);
+			assert.throws(() => session.close(2 ** 32), RangeError);
+			assert.throws(() => session.close(0, "x".repeat(1025)), RangeError);
+		});
+	});
+});
@@ -0,0 +1,117 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import {CapsuleParser, encodeCapsule, encodeVarint, MAX_VARINT, readVarint} from "../../utils/capsule-parser.mjs";
+
+describe("variable-length integers", () => {
+	const boundaries = [
+		[0, 1],
+		[2 ** 6 - 1, 1],
+		[2 ** 6, 2],
+		[2 ** 14 - 1, 2],
+		[2 ** 14, 4],
+		[2 ** 30 - 1, 4],
+		[2 ** 30, 8],
+		[2 ** 32, 8],
+		[Number.MAX_SAFE_INTEGER, 8],
+		[MAX_VARINT, 8]
+	];
+
+	it("round-trips the values around the length boundaries in the fewest bytes", () => {
+		for (const [value, length] of boundaries) {
+			const encoded = encodeVarint(value);
+			assert.equal(encoded.length, length, `length of ${value}`);
+			assert.deepEqual(readVarint(encoded), {value, length}, `value ${value}`);
+		}
+	});
+
+	it("encodes the examples of RFC 9000", () => {
+		assert.deepEqual(encodeVarint(37), Buffer.from("25", "hex"));
+		assert.deepEqual(encodeVarint(15293), Buffer.from("7bbd", "hex"));
+		assert.deepEqual(encodeVarint(494878333), Buffer.from("9d7f3e7d", "hex"));
+		assert.deepEqual(readVarint(Buffer.from("c2197c5eff14e88c", "hex")), {value: 151288809941952652, length: 8});
+		// Not the shortest encoding, but a valid one.
+		assert.deepEqual(readVarint(Buffer.from("4025", "hex")), {value: 37, length: 2});
+	});
+
+	it("reads at an offset and returns null until the integer is complete", () => {
+		for (const [value, length] of boundaries) {
+			const encoded = Buffer.concat([Buffer.from([0xff]), encodeVarint(value)]);
+			assert.deepEqual(readVarint(encoded, 1), {value, length});
+			for (let end = 1; end < encoded.length; end++) {
+				assert.equal(readVarint(encoded.subarray(0, end), 1), null, `${value} cut at ${end}`);
+			}
+		}
+	});
+
+	it("refuses values it can not encode", () => {
+		for (const value of [-1, 0.5, NaN, Infinity, 2 ** 62, 2 ** 64]) {
+			assert.throws(() => encodeVarint(value), RangeError, `value ${value}`);
+		}
+	});
+});
+
+describe("CapsuleParser", () => {
+	/**
+	 * Capsules of every length class, along with their encoding.
+	 * @returns {{bytes: Buffer, capsules: Array<{type: number, payload: Buffer}>}}
+	 */
+	const sampleCapsules = () => {
+		const capsules = [
+			{type: 0x00, payload: Buffer.from("datagram")},
+			{type: 0x2843, payload: Buffer.alloc(0)},
+			{type: 0x190b4d3b, payload: crypto.randomBytes(70)},
+			{type: 0x3f, payload: crypto.randomBytes(300)}
+		];
+		const bytes = Buffer.concat(capsules.map(({type, payload}) => encodeCapsule(type, payload)));
+		return {bytes, capsules};
+	};
+
+	it("serialises capsules from several payload parts", () => {
+		const encoded = encodeCapsule(0x190b4d3b, encodeVarint(4), Buffer.from("abc"));
+		assert.deepEqual(encoded, Buffer.from("990b4d3b0404616263", "hex"));
+	});
+
+	it("parses capsules split at every offset", () => {
+		const {bytes, capsules} = sampleCapsules();
+		for (let offset = 0; offset <= bytes.length; offset++) {
+			const parser = new CapsuleParser();
+			const parsed = [...parser.push(bytes.subarray(0, offset)), ...parser.push(bytes.subarray(offset))];
+			assert.deepEqual(parsed, capsules, `split at offset ${offset}`);
+			assert.equal(parser.bufferedLength, 0, `split at offset ${offset}`);
+		}
+	});
+
+	it("parses capsules arriving byte by byte", () => {
+		const {bytes, capsules} = sampleCapsules();
+		const parser = new CapsuleParser();
+		const parsed = [];
+		for (const byte of bytes) {
+			parsed.push(...parser.push(new Uint8Array([byte])));
+		}
+		assert.deepEqual(parsed, capsules);
+	});
+
+	it("copies payloads out of the chunks", () => {
+		const chunk = encodeCapsule(0x00, Buffer.from("payload"));
+		const [capsule] = new CapsuleParser().push(chunk);
+		chunk.fill(0);
+		assert.deepEqual(capsule.payload, Buffer.from("payload"));
+	});
+
+	it("fails capsules over the limit as soon as their header is complete", () => {
+		const bytes = encodeCapsule(0x190b4d3b, Buffer.alloc(101));
+		// A 4 byte type and a 2 byte length.
+		const headerLength = 6;
+		for (let offset = 0; offset < bytes.length; offset++) {
+			const parser = new CapsuleParser({maxCapsuleLength: 100});
+			if (offset >= headerLength) {
+				assert.throws(() => parser.push(bytes.subarray(0, offset)), RangeError, `split at offset ${offset}`);
+			} else {
+				assert.deepEqual(parser.push(bytes.subarray(0, offset)), [], `split at offset ${offset}`);
+				assert.throws(() => parser.push(bytes.subarray(offset)), RangeError, `split at offset ${offset}`);
+			}
+		}
+		assert.equal(new CapsuleParser({maxCapsuleLength: 100}).push(encodeCapsule(0x00, Buffer.alloc(100))).length, 1);
+	});
+});
@@ -0,0 +1,206 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import {WsFrameParser} from "../../utils/ws-frame-parser.mjs";
+import {WsProtocolError} from "../../errors/ws-protocol-error.mjs";
+
+/**
+ * Serialises a frame the way a peer would send it.
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @param {Object} [options]
+ * @param {boolean} [options.fin=true]
+ * @param {boolean} [options.rsv1=false]
+ * @param {boolean} [options.mask=false] Whether to mask the payload, as clients do.
+ * @param {0 | 2 | 8} [options.lengthBytes] The extended payload length bytes, the shortest encoding when omitted.
+ * @param {bigint} [options.announcedLength] The length written into the header, the payload length when omitted.
+ * @returns {Buffer}
+ */
+const encodeFrame = (opcode, payload, {
+	fin = true,
+	rsv1 = false,
+	mask = false,
+	lengthBytes = payload.length < 126 ? 0 : payload.length < 65536 ? 2 : 8,
+	announcedLength = BigInt(payload.length)
+} = {}) => {
+	const header = Buffer.alloc(2 + lengthBytes);
+	header[0] = (fin ? 0b10000000 : 0) | (rsv1 ? 0b01000000 : 0) | opcode;
+	header[1] = (mask ? 0b10000000 : 0) | (lengthBytes === 8 ? 127 : lengthBytes === 2 ? 126 : Number(announcedLength));
+	if (lengthBytes === 2) {
+		header.writeUInt16BE(Number(announcedLength), 2);
+	} else if (lengthBytes === 8) {
+		header.writeBigUInt64BE(announcedLength, 2);
+	}
+	if (!mask) {
+		return Buffer.concat([header, payload]);
+	}
+	const maskingKey = crypto.randomBytes(4);
+	const masked = Buffer.from(payload.map((byte, i) => byte ^ maskingKey[i % 4]));
+	return Buffer.concat([header, maskingKey, masked]);
+};
+
+/**
+ * The frame the parser is expected to return for a serialised one.
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @param {Object} [options] See encodeFrame.
+ * @returns {import("../../utils/ws-frame-parser.mjs").WsFrame}
+ */
+const expectedFrame = (opcode, payload, {fin = true, rsv1 = false, mask = false} = {}) => ({
+	fin,
+	rsv1,
+	rsv2: false,
+	rsv3: false,
+	opcode,
+	masked: mask,
+	payload
+});
+
+/**
+ * Feeds the bytes to a new parser in two chunks split at the offset.
+ * @param {Buffer} bytes
+ * @param {number} offset
+ * @param {Object} [options] The options of the parser.
+ * @returns {{frames: Array, parser: WsFrameParser}}
+ */
+const parseSplit = (bytes, offset, options) => {
+	const parser = new WsFrameParser(options);
+	const frames = [...parser.push(bytes.subarray(0, offset)), ...parser.push(bytes.subarray(offset))];
+	return {frames, parser};
+};
+
+/**
+ * Asserts that the bytes parse to the expected frames however they are split in two, and when they arrive byte by byte.
+ * @param {Buffer} bytes
+ * @param {Array} expected
+ * @param {number[]} [offsets] The offsets to split at, every one when omitted.
+ */
+const assertParsesAtEveryOffset = (bytes, expected, offsets) => {
+	for (const offset of offsets ?? bytes.keys()) {
+		const {frames, parser} = parseSplit(bytes, offset);
+		assert.deepEqual(frames, expected, `split at offset ${offset}`);
+		assert.equal(parser.bufferedLength, 0, `split at offset ${offset}`);
+	}
+	const parser = new WsFrameParser();
+	const frames = [];
+	for (const byte of bytes) {
+		frames.push(...parser.push(Buffer.from([byte])));
+	}
+	assert.deepEqual(frames, expected, "byte by byte");
+};
+
+/**
+ * Asserts that the bytes fail with the close code however they are split, as soon as the header is complete.
+ * @param {Buffer} bytes
+ * @param {number} headerLength
+ * @param {number} closeCode
+ * @param {Object} options The options of the parser.
+ */
+const assertFailsAtEveryOffset = (bytes, headerLength, closeCode, options) => {
+	for (let offset = 0; offset < bytes.length; offset++) {
+		const parser = new WsFrameParser(options);
+		const isExpectedError = (error) => error instanceof WsProtocolError && error.closeCode === closeCode;
+		if (offset >= headerLength) {
+			assert.throws(() => parser.push(bytes.subarray(0, offset)), isExpectedError, `split at offset ${offset}`);
+		} else {
+			assert.deepEqual(parser.push(bytes.subarray(0, offset)), [], `split at offset ${offset}`);
+			assert.throws(() => parser.push(bytes.subarray(offset)), isExpectedError, `split at offset ${offset}`);
+		}
+	}
+};
+
+describe("WsFrameParser", () => {
+	for (const mask of [false, true]) {
+		describe(mask ? "masked frames" : "unmasked frames", () => {
+			it("parses frames with a 7 bit length split at every offset", () => {
+				for (const length of [0, 1, 5, 125]) {
+					const payload = crypto.randomBytes(length);
+					assertParsesAtEveryOffset(encodeFrame(0x2, payload, {mask}), [expectedFrame(0x2, payload, {mask})]);
+				}
+			});
+
+			it("parses frames with a 16 bit length split at every offset", () => {
+				for (const length of [126, 1000]) {
+					const payload = crypto.randomBytes(length);
+					assertParsesAtEveryOffset(encodeFrame(0x2, payload, {mask}), [expectedFrame(0x2, payload, {mask})]);
+				}
+			});
+
+			it("parses frames with a 64 bit length split at every offset", () => {
+				// The length does not have to be the shortest encoding for the parser, which keeps every offset cheap.
+				const payload = crypto.randomBytes(300);
+				assertParsesAtEveryOffset(
+						encodeFrame(0x2, payload, {mask, lengthBytes: 8}),
+						[expectedFrame(0x2, payload, {mask})]
+				);
+			});
+
+			it("parses frames that need a 64 bit length split in their header and around their payload", () => {
+				const payload = crypto.randomBytes(65536 + 7);
+				const bytes = encodeFrame(0x2, payload, {mask});
+				const offsets = [];
+				for (let offset = 0; offset < 64; offset++) {
+					offsets.push(offset, bytes.length - 1 - offset);
+				}
+				offsets.push(Math.floor(bytes.length / 2));
+				assertParsesAtEveryOffset(bytes, [expectedFrame(0x2, payload, {mask})], offsets);
+			});
+
+			it("parses control frames between the fragments of a message split at every offset", () => {
+				const fragments = [Buffer.from("Hello, "), Buffer.from("fragmented "), Buffer.from("world")];
+				const ping = Buffer.from("ping");
+				const close = Buffer.from([0x03, 0xe8]);
+				const bytes = Buffer.concat([
+					encodeFrame(0x1, fragments[0], {mask, fin: false, rsv1: true}),
+					encodeFrame(0x9, ping, {mask}),
+					encodeFrame(0x0, fragments[1], {mask, fin: false}),
+					encodeFrame(0xa, Buffer.alloc(0), {mask}),
+					encodeFrame(0x0, fragments[2], {mask}),
+					encodeFrame(0x8, close, {mask})
+				]);
+				assertParsesAtEveryOffset(bytes, [
+					expectedFrame(0x1, fragments[0], {mask, fin: false, rsv1: true}),
+					expectedFrame(0x9, ping, {mask}),
+					expectedFrame(0x0, fragments[1], {mask, fin: false}),
+					expectedFrame(0xa, Buffer.alloc(0), {mask}),
+					expectedFrame(0x0, fragments[2], {mask}),
+					expectedFrame(0x8, close, {mask})
+				]);
+			});
+
+			it("fails frames over the payload limit with 1009 before their payload arrives", () => {
+				const headerLength = (extra) => 2 + extra + (mask ? 4 : 0);
+				assertFailsAtEveryOffset(encodeFrame(0x2, crypto.randomBytes(101), {mask}), headerLength(0), 1009, {
+					maxPayloadLength: 100
+				});
+				assertFailsAtEveryOffset(encodeFrame(0x2, crypto.randomBytes(1000), {mask}), headerLength(2), 1009, {
+					maxPayloadLength: 100
+				});
+				assertFailsAtEveryOffset(
+						encodeFrame(0x2, crypto.randomBytes(8), {mask, lengthBytes: 8, announcedLength: 2n ** 40n}),
+						headerLength(8),
+						1009,
+						{maxPayloadLength: 100}
+				);
+			});
+
+			it("accepts frames at the payload limit", () => {
+				const payload = crypto.randomBytes(100);
+				const {frames} = parseSplit(encodeFrame(0x2, payload, {mask}), 3, {maxPayloadLength: 100});
+				assert.deepEqual(frames, [expectedFrame(0x2, payload, {mask})]);
+			});
+		});
+	}
+
+	it("fails 64 bit lengths with the most significant bit set with 1002", () => {
+		const bytes = encodeFrame(0x2, Buffer.alloc(4), {lengthBytes: 8, announcedLength: 2n ** 63n});
+		assertFailsAtEveryOffset(bytes, 10, 1002);
+	});
+
+	it("does not modify the chunks it unmasks", () => {
+		const bytes = encodeFrame(0x1, Buffer.from("unchanged"), {mask: true});
+		const copy = Buffer.from(bytes);
+		new WsFrameParser().push(bytes);
+		assert.deepEqual(bytes, copy);
+	});
+});
@@ -0,0 +1,299 @@
+import {EventEmitter} from "node:events";
+import fs from "node:fs";
+import tls from "node:tls";
+
+/**
+ * A key and certificate pair, either given directly or as paths to PEM files.
+ * @typedef {Object} CertificateSource
+ * @property {string | Buffer} [key] The PEM encoded private key.
+ * @property {string | Buffer} [cert] The PEM encoded certificate chain.
+ * @property {string} [keyFile] The path of the private key PEM file.
+ * @property {string} [certFile] The path of the certificate chain PEM file.
+ */
+
+/**
+ * A store of certificates by hostname, used to pick the certificate of a TLS connection through SNI.
+ * Hostnames may contain a leading wildcard label (*.example.com) that matches exactly one label.
+ * Certificates loaded from files can be reloaded, manually or by watching the files, without affecting the
+ * connections that are already established.
+ * @emits CertificateStore#reload - When the certificates were reloaded. Receives the reloaded hostnames.
+ * @emits CertificateStore#reloadError - When a reload failed. The previous certificates stay in use.
+ * @extends EventEmitter
+ */
+export class CertificateStore extends EventEmitter {
+	/**
+	 * The hostname under which the default certificate is kept.
+	 * @type {symbol}
+	 */
+	static #DefaultHostname = Symbol();
+
+	/**
+	 * The entries of the store by lower cased hostname.
+	 * @type {Map<string | symbol, {source: CertificateSource, key: string | Buffer, cert: string | Buffer, context: SecureContext}>}
+	 */
+	#entries = new Map();
+
+	/**
+	 * The options every secure context is created with, next to the key and certificate.
+	 * @type {Object<string, any>}
+	 */
+	#secureContextOptions = {};
+
+	/**
+	 * The logger to use for the store.
+	 * @type {Console | console}
+	 */
+	#logger = console;
+
+	/**
+	 * The files being watched and their listeners.
+	 * @type {Map<string, function>}
+	 */
+	#watchedFiles = new Map();
+
+	/**
+	 * The timeout that groups the changes of a key and its certificate into a single reload.
+	 * @type {NodeJS.Timeout | null}
+	 */
+	#reloadTimeout = null;
+
+	/**
+	 * The options of the file watching, null while the files are not watched.
+	 * @type {{interval: number, debounce: number} | null}
+	 */
+	#watchOptions = null;
+
+	/**
+	 * Creates a certificate store.
+	 * @param {Object} [options]
+	 * @param {Object<string, CertificateSource> | Map<string, CertificateSource>} [options.certificates] The certificates by hostname.
+	 * @param {CertificateSource} [options.defaultCertificate] The certificate used when no hostname matches.
+	 * @param {Object<string, any>} [options.secureContextOptions] Options passed to tls.createSecureContext.
+	 * @param {Console} [options.logger]
+	 */
+	constructor(options = {}) {
+		super();
+		this.#logger = options.logger || console;
+		this.#secureContextOptions = options.secureContextOptions || {};
+		if (options.defaultCertificate) {
+			this.setDefault(options.defaultCertificate);
+		}
+		const certificates = options.certificates instanceof Map ?
+				options.certificates : Object.entries(options.certificates || {});
+		for (const [hostname, source] of certificates) {
+			this.set(hostname, source);
+		}
+	}
+
+	/**
+	 * Checks whether a hostname pattern matches a server name. A leading "*." matches exactly one label.
+	 * @param {string} pattern
+	 * @param {string} servername
+	 * @returns {boolean}
+	 */
+	static matches(pattern, servername) {
+		pattern = pattern.toLowerCase();
+		servername = servername.toLowerCase();
+		if (!pattern.startsWith("*.")) {
+			return pattern === servername;
+		}
+		const firstDot = servername.indexOf(".");
+		return firstDot > 0 && servername.slice(firstDot + 1) === pattern.slice(2);
+	}
+
+	/**
+	 * Reads the key and certificate of a source, synchronously.
+	 * @param {CertificateSource} source
+	 * @returns {{key: string | Buffer, cert: string | Buffer}}
+	 */
+	static #readSourceSync(source) {
+		return {
+			key: source.keyFile ? fs.readFileSync(source.keyFile) : source.key,
+			cert: source.certFile ? fs.readFileSync(source.certFile) : source.cert
+		};
+	}
+
+	/**
+	 * Reads the key and certificate of a source.
+	 * @param {CertificateSource} source
+	 * @returns {Promise<{key: string | Buffer, cert: string | Buffer}>}
+	 */
+	static async #readSource(source) {
+		const [key, cert] = await Promise.all([
+			source.keyFile ? fs.promises.readFile(source.keyFile) : source.key,
+			source.certFile ? fs.promises.readFile(source.certFile) : source.cert
+		]);
+		return {key, cert};
+	}
+
+	/**
+	 * Creates the store entry of a key and certificate pair. Throws if the pair is not valid.
+	 * @param {CertificateSource} source
+	 * @param {{key: string | Buffer, cert: string | Buffer}} pair
+	 */
+	#createEntry(source, pair) {
+		if (!pair.key || !pair.cert) {
+			throw new TypeError("A certificate needs both a key and a cert, or a keyFile and a certFile.");
+		}
+		return {
+			source,
+			...pair,
+			context: tls.createSecureContext({...this.#secureContextOptions, ...pair})
+		};
+	}
+
+	/**
+	 * Adds or replaces the certificate of a hostname.
+	 * @param {string} hostname The hostname, optionally with a leading wildcard label.
+	 * @param {CertificateSource} source
+	 */
+	set(hostname, source) {
+		this.#entries.set(hostname.toLowerCase(), this.#createEntry(source, CertificateStore.#readSourceSync(source)));
+		if (this.#watchOptions) {
+			this.#watchSource(source);
+		}
+	}
+
+	/**
+	 * Sets the certificate used when the server name matches no hostname of the store.
+	 * @param {CertificateSource} source
+	 */
+	setDefault(source) {
+		this.#entries.set(CertificateStore.#DefaultHostname, this.#createEntry(source, CertificateStore.#readSourceSync(source)));
+		if (this.#watchOptions) {
+			this.#watchSource(source);
+		}
+	}
+
+	/**
+	 * Removes the certificate of a hostname.
+	 * @param {string} hostname
+	 * @returns {boolean} Whether there was a certificate for the hostname.
+	 */
+	delete(hostname) {
+		return this.#entries.delete(hostname.toLowerCase());
+	}
+
+	/**
+	 * The hostnames that have a certificate in the store.
+	 * @returns {string[]}
+	 */
+	get hostnames() {
+		return [...this.#entries.keys()].filter((hostname) => hostname !== CertificateStore.#DefaultHostname);
+	}
+
+	/**
+	 * The key and certificate pair used when no hostname matches.
+	 * @returns {{key: string | Buffer, cert: string | Buffer} | undefined}
+	 */
+	get defaultCertificate() {
+		const entry = this.#entries.get(CertificateStore.#DefaultHostname);
+		return entry && {key: entry.key, cert: entry.cert};
+	}
+
+	/**
+	 * Finds the secure context for a server name. Exact hostnames win over wildcards.
+	 * @param {string} servername
+	 * @returns {SecureContext | undefined} Undefined when nothing matches, so that the default context is used.
+	 */
+	contextFor(servername) {
+		if (!servername) {
+			return;
+		}
+		const exactEntry = this.#entries.get(servername.toLowerCase());
+		if (exactEntry) {
+			return exactEntry.context;
+		}
+		for (const [hostname, entry] of this.#entries) {
+			if (typeof hostname === "string" && CertificateStore.matches(hostname, servername)) {
+				return entry.context;
+			}
+		}
+	}
+
+	/**
+	 * The SNI callback to give to the TLS server.
+	 * @param {string} servername
+	 * @param {function(Error | null, SecureContext | undefined): void} callback
+	 */
+	SNICallback = (servername, callback) => {
+		callback(null, this.contextFor(servername));
+	};
+
+	/**
+	 * Reads the key and certificate files of every hostname again and swaps in the new secure contexts.
+	 * Either all certificates are replaced or, if any of them fails to load, none of them are.
+	 * @returns {Promise<string[]>} The reloaded hostnames.
+	 * @emits CertificateStore#reload
+	 * @emits CertificateStore#reloadError
+	 */
+	async reload() {
+		const fileBackedEntries = [...this.#entries].filter(([, entry]) => entry.source.keyFile || entry.source.certFile);
+		try {
+			const reloadedEntries = await Promise.all(fileBackedEntries.map(async ([hostname, entry]) => [
+				hostname,
+				this.#createEntry(entry.source, await CertificateStore.#readSource(entry.source))
+			]));
+			reloadedEntries.forEach(([hostname, entry]) => this.#entries.set(hostname, entry));
+		} catch (err) {
+			this.#logger.error("Certificate reload failed", err);
+			this.emit("reloadError", err);
+			throw err;
+		}
+		const hostnames = fileBackedEntries.map(([hostname]) => hostname === CertificateStore.#DefaultHostname ? "default" : hostname);
+		this.#logger.info(`Certificates reloaded for: ${hostnames.join(", ")}`);
+		this.emit("reload", hostnames);
+		return hostnames;
+	}
+
+	/**
+	 * Watches the key and certificate files of the store and reloads when any of them changes.
+	 * @param {Object} [options]
+	 * @param {number} [options.interval=5000] How often the files are polled, in milliseconds.
+	 * @param {number} [options.debounce=1000] How long to wait for the rest of a renewal to be written, in milliseconds.
+	 */
+	watch({interval = 5000, debounce = 1000} = {}) {
+		this.#watchOptions = {interval, debounce};
+		for (const entry of this.#entries.values()) {
+			this.#watchSource(entry.source);
+		}
+	}
+
+	/**
+	 * Watches the files of a certificate source.
+	 * @param {CertificateSource} source
+	 */
+	#watchSource(source) {
+		for (const file of [source.keyFile, source.certFile]) {
+			if (!file || this.#watchedFiles.has(file)) {
+				continue;
+			}
+			const listener = (current, previous) => {
+				if (current.mtimeMs === previous.mtimeMs) {
+					return;
+				}
+				this.#logger.debug(`Certificate file changed: ${file}`);
+				clearTimeout(this.#reloadTimeout);
+				this.#reloadTimeout = setTimeout(() => {
+					// Failures are reported through the reloadError event.
+					this.reload().catch(() => {});
+				}, this.#watchOptions.debounce);
+			};
+			fs.watchFile(file, {interval: this.#watchOptions.interval, persistent: false}, listener);
+			this.#watchedFiles.set(file, listener);
+		}
+	}
+
+	/**
+	 * Stops watching the key and certificate files.
+	 */
+	unwatch() {
+		clearTimeout(this.#reloadTimeout);
+		this.#reloadTimeout = null;
+		this.#watchOptions = null;
+		for (const [file, listener] of this.#watchedFiles) {
+			fs.unwatchFile(file, listener);
+		}
+		this.#watchedFiles.clear();
+	}
+}
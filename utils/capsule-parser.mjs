@@ -0,0 +1,222 @@
+/**
+ * A capsule of the HTTP capsule protocol (RFC 9297 section 3.2), as carried in the DATA frames of a CONNECT stream.
+ * @typedef {Object} Capsule
+ * @property {number} type
+ * @property {Buffer} payload
+ */
+
+/**
+ * The largest value a variable-length integer can encode (RFC 9000 section 16) that is a Number. 2^62 - 1 itself is
+ * not one, it rounds up to 2^62, the closest Number below is 2^62 - 512.
+ * @type {number}
+ */
+export const MAX_VARINT = 2 ** 62 - 512;
+
+/**
+ * Reads a variable-length integer (RFC 9000 section 16).
+ * Values above Number.MAX_SAFE_INTEGER lose precision, nothing they count fits in memory anyway.
+ * @param {Buffer} buffer
+ * @param {number} [offset=0]
+ * @returns {{value: number, length: number} | null} The value and the number of bytes it took, null when the buffer
+ * ends before the integer does.
+ */
+export const readVarint = (buffer, offset = 0) => {
+	if (offset >= buffer.length) {
+		return null;
+	}
+	const length = 1 << (buffer[offset] >> 6);
+	if (offset + length > buffer.length) {
+		return null;
+	}
+	let value = buffer[offset] & 0b00111111;
+	for (let i = 1; i < length; i++) {
+		value = value * 256 + buffer[offset + i];
+	}
+	return {value, length};
+};
+
+/**
+ * Encodes a variable-length integer in the fewest bytes possible (RFC 9000 section 16).
+ * @param {number} value A non negative integer of at most MAX_VARINT.
+ * @returns {Buffer}
+ * @throws {RangeError} When the value can not be encoded.
+ */
+export const encodeVarint = (value) => {
+	if (!Number.isInteger(value) || value < 0 || value > MAX_VARINT) {
+		throw new RangeError(`${value} can not be encoded as a variable-length integer.`);
+	}
+	if (value < 2 ** 6) {
+		return Buffer.from([value]);
+	}
+	if (value < 2 ** 14) {
+		const buffer = Buffer.allocUnsafe(2);
+		buffer.writeUInt16BE(value | 0x4000);
+		return buffer;
+	}
+	if (value < 2 ** 30) {
+		const buffer = Buffer.allocUnsafe(4);
+		buffer.writeUInt32BE((value | 0x80000000) >>> 0);
+		return buffer;
+	}
+	const buffer = Buffer.allocUnsafe(8);
+	buffer.writeUInt32BE((Math.floor(value / 2 ** 32) | 0xc0000000) >>> 0);
+	buffer.writeUInt32BE(value % 2 ** 32, 4);
+	return buffer;
+};
+
+/**
+ * Serialises a capsule.
+ * @param {number} type
+ * @param {...Uint8Array} parts The parts of the payload, concatenated.
+ * @returns {Buffer}
+ */
+export const encodeCapsule = (type, ...parts) => {
+	const length = parts.reduce((sum, part) => sum + part.length, 0);
+	return Buffer.concat([encodeVarint(type), encodeVarint(length), ...parts]);
+};
+
+/**
+ * Incrementally parses capsules out of the data of a CONNECT stream. Chunks can split capsules at any offset or
+ * contain several capsules; partial ones are kept until the rest arrives.
+ * The parser only reads the framing, what the capsule types mean is up to the user.
+ */
+export class CapsuleParser {
+	/**
+	 * The received bytes that are not part of a returned capsule yet.
+	 * @type {Buffer[]}
+	 */
+	#chunks = [];
+	/**
+	 * The total length of the chunks.
+	 * @type {number}
+	 */
+	#bufferedLength = 0;
+	/**
+	 * The header of the capsule whose payload is awaited, or null while waiting for a header.
+	 * @type {{type: number, length: number} | null}
+	 */
+	#header = null;
+	/**
+	 * The largest payload accepted, checked as soon as a header announces it.
+	 * @type {number}
+	 */
+	#maxCapsuleLength = Infinity;
+
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.maxCapsuleLength=Infinity] The largest capsule payload accepted. Larger capsules fail
+	 * before their payload is buffered.
+	 */
+	constructor({maxCapsuleLength = Infinity} = {}) {
+		this.#maxCapsuleLength = maxCapsuleLength;
+	}
+
+	/**
+	 * Adds received bytes and returns the capsules they complete.
+	 * @param {Uint8Array} chunk
+	 * @returns {Capsule[]} The complete capsules, in order. Empty while a capsule is still incomplete.
+	 * @throws {RangeError} When a capsule is larger than maxCapsuleLength.
+	 */
+	push(chunk) {
+		if (chunk.length) {
+			this.#chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+			this.#bufferedLength += chunk.length;
+		}
+		const capsules = [];
+		while (true) {
+			if (!this.#header && !(this.#header = this.#readHeader())) {
+				break;
+			}
+			if (this.#bufferedLength < this.#header.length) {
+				break;
+			}
+			capsules.push({type: this.#header.type, payload: this.#consume(this.#header.length)});
+			this.#header = null;
+		}
+		return capsules;
+	}
+
+	/**
+	 * The number of received bytes that are not part of a returned capsule yet.
+	 * @returns {number}
+	 */
+	get bufferedLength() {
+		return this.#bufferedLength;
+	}
+
+	/**
+	 * Reads the next capsule header from the buffered bytes if it is complete.
+	 * @returns {{type: number, length: number} | null}
+	 * @throws {RangeError} When the capsule is too large.
+	 */
+	#readHeader() {
+		// A header is two variable-length integers of at most 8 bytes each.
+		const start = this.#peek(Math.min(this.#bufferedLength, 16));
+		const type = readVarint(start, 0);
+		const length = type && readVarint(start, type.length);
+		if (!length) {
+			return null;
+		}
+		if (length.value > this.#maxCapsuleLength) {
+			throw new RangeError(`Capsule of ${length.value} bytes exceeds the limit of ${this.#maxCapsuleLength} bytes.`);
+		}
+		this.#consume(type.length + length.length);
+		return {type: type.value, length: length.value};
+	}
+
+	/**
+	 * Returns the first bytes of the buffer without consuming them.
+	 * @param {number} length At most the buffered length.
+	 * @returns {Buffer}
+	 */
+	#peek(length) {
+		if (!length) {
+			return Buffer.alloc(0);
+		}
+		if (this.#chunks[0].length >= length) {
+			return this.#chunks[0];
+		}
+		// Merge the chunks so that the next peek or consume starts with the whole header.
+		this.#chunks = [Buffer.concat(this.#chunks)];
+		return this.#chunks[0];
+	}
+
+	/**
+	 * Removes bytes from the start of the buffer. Payloads are copied, so that they do not keep the received chunks
+	 * alive.
+	 * @param {number} length At most the buffered length.
+	 * @returns {Buffer}
+	 */
+	#consume(length) {
+		this.#bufferedLength -= length;
+		if (!length) {
+			return Buffer.alloc(0);
+		}
+		const first = this.#chunks[0];
+		if (first.length > length) {
+			this.#chunks[0] = first.subarray(length);
+			return Buffer.from(first.subarray(0, length));
+		}
+		if (first.length === length) {
+			this.#chunks.shift();
+			return Buffer.from(first);
+		}
+		const consumed = Buffer.allocUnsafe(length);
+		let offset = 0;
+		let index = 0;
+		while (offset < length) {
+			const chunk = this.#chunks[index];
+			const taken = Math.min(chunk.length, length - offset);
+			chunk.copy(consumed, offset, 0, taken);
+			offset += taken;
+			if (taken === chunk.length) {
+				index++;
+			} else {
+				this.#chunks[index] = chunk.subarray(taken);
+			}
+		}
+		// Dropped at once, shifting them one by one is quadratic for payloads that arrived in many small chunks.
+		this.#chunks.splice(0, index);
+		return consumed;
+	}
+}
@@ -0,0 +1,152 @@
+import zlib from "node:zlib";
+
+/**
+ * The content encodings that can be negotiated, in the order the server prefers them.
+ * @type {string[]}
+ */
+export const ENCODINGS = ["br", "gzip", "deflate"];
+
+/**
+ * Media types that are not text but still compress well. Everything else outside of text/* is assumed to be
+ * compressed already (images, audio, video, archives, fonts) or binary.
+ * @type {string[]}
+ */
+const COMPRESSIBLE_TYPES = [
+	"application/json",
+	"application/javascript",
+	"application/x-javascript",
+	"application/ecmascript",
+	"application/xml",
+	"application/xhtml+xml",
+	"application/wasm",
+	"application/manifest+json",
+	"application/cbor",
+	"image/svg+xml",
+	"image/x-icon",
+	"font/ttf",
+	"font/otf"
+];
+
+/**
+ * The defaults of the compression options.
+ * @type {{threshold: number, encodings: string[], brotliQuality: number, level: number}}
+ */
+const DEFAULTS = {
+	threshold: 1024,
+	encodings: ENCODINGS,
+	brotliQuality: 4,
+	level: zlib.constants.Z_DEFAULT_COMPRESSION
+};
+
+/**
+ * Resolves the compression options, falling back to the defaults.
+ * @param {boolean | Object} options True for the defaults.
+ * @param {number} [options.threshold=1024] Bodies with a smaller content-length are sent as they are. Bodies without
+ * a content-length are always compressed.
+ * @param {string[]} [options.encodings=["br", "gzip", "deflate"]] The encodings offered, the preferred one first.
+ * @param {number} [options.brotliQuality=4] The brotli quality, 0 to 11. Higher ones are too slow for dynamic content.
+ * @param {number} [options.level] The gzip and deflate level, 0 to 9.
+ * @returns {{threshold: number, encodings: string[], brotliQuality: number, level: number} | null} Null when
+ * compression is off.
+ * @throws {RangeError} When the threshold is negative or an encoding is not supported.
+ */
+export const resolveCompressionOptions = (options) => {
+	if (!options) {
+		return null;
+	}
+	const resolved = {...DEFAULTS, ...(options === true ? {} : options)};
+	if (!(resolved.threshold >= 0)) {
+		throw new RangeError("compression.threshold must be 0 or a positive number of bytes.");
+	}
+	const unsupported = resolved.encodings.find((encoding) => !ENCODINGS.includes(encoding));
+	if (unsupported) {
+		throw new RangeError(`Unsupported content encoding: ${unsupported}`);
+	}
+	return resolved;
+};
+
+/**
+ * Checks whether a content type is worth compressing.
+ * @param {string} [contentType]
+ * @returns {boolean}
+ */
+export const isCompressible = (contentType) => {
+	const mediaType = String(contentType || "").split(";")[0].trim().toLowerCase();
+	if (!mediaType) {
+		return false;
+	}
+	// Events have to reach the client as they are written, which compression buffering would prevent.
+	if (mediaType === "text/event-stream") {
+		return false;
+	}
+	return mediaType.startsWith("text/")
+			|| mediaType.endsWith("+json")
+			|| mediaType.endsWith("+xml")
+			|| COMPRESSIBLE_TYPES.includes(mediaType);
+};
+
+/**
+ * Picks the encoding of a response out of the accept-encoding header of the request. The highest quality wins, the
+ * order of the offered encodings breaks ties.
+ * @param {string} [acceptEncoding]
+ * @param {string[]} [offered=ENCODINGS]
+ * @returns {string | null} The encoding, or null when the body should be sent as it is.
+ */
+export const negotiateEncoding = (acceptEncoding, offered = ENCODINGS) => {
+	if (!acceptEncoding) {
+		return null;
+	}
+	const qualities = new Map();
+	for (const part of String(acceptEncoding).split(",")) {
+		const [name, ...parameters] = part.trim().toLowerCase().split(";");
+		const qParameter = parameters.map((parameter) => parameter.trim()).find((parameter) => parameter.startsWith("q="));
+		const quality = qParameter ? Number(qParameter.slice(2)) : 1;
+		if (name) {
+			qualities.set(name, Number.isNaN(quality) ? 0 : quality);
+		}
+	}
+	let best = null;
+	let bestQuality = 0;
+	for (const encoding of offered) {
+		const quality = qualities.get(encoding) ?? qualities.get("*") ?? 0;
+		if (quality > bestQuality) {
+			best = encoding;
+			bestQuality = quality;
+		}
+	}
+	return best;
+};
+
+/**
+ * Adds accept-encoding to the vary header of a response.
+ * @param {string | string[]} [vary]
+ * @returns {string}
+ */
+export const varyOnAcceptEncoding = (vary) => {
+	const values = [vary].flat().filter(Boolean).flatMap((value) => String(value).split(",")).map((value) => value.trim());
+	if (values.includes("*") || values.some((value) => value.toLowerCase() === "accept-encoding")) {
+		return values.join(", ");
+	}
+	return [...values, "accept-encoding"].join(", ");
+};
+
+/**
+ * Creates the stream that compresses a body with an encoding.
+ * @param {"br" | "gzip" | "deflate"} encoding
+ * @param {{brotliQuality: number, level: number}} options Resolved compression options.
+ * @returns {Transform}
+ */
+export const createCompressor = (encoding, options) => {
+	switch (encoding) {
+		case "br":
+			return zlib.createBrotliCompress({
+				params: {[zlib.constants.BROTLI_PARAM_QUALITY]: options.brotliQuality}
+			});
+		case "gzip":
+			return zlib.createGzip({level: options.level});
+		case "deflate":
+			return zlib.createDeflate({level: options.level});
+		default:
+			throw new RangeError(`Unsupported content encoding: ${encoding}`);
+	}
+};
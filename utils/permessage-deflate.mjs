@@ -0,0 +1,369 @@
+import zlib from "node:zlib";
+
+/**
+ * The name of the extension in the sec-websocket-extensions header.
+ * @type {string}
+ */
+export const PERMESSAGE_DEFLATE = "permessage-deflate";
+
+/**
+ * The bytes a sync flush ends with. They are removed from sent messages and added back to received ones
+ * (RFC 7692 section 7.2).
+ * @type {Buffer}
+ */
+const SYNC_FLUSH_TRAILER = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+
+/**
+ * The defaults of the permessage-deflate options.
+ * @type {{threshold: number, level: number, serverNoContextTakeover: boolean, clientNoContextTakeover: boolean, serverMaxWindowBits: number, clientMaxWindowBits: number, maxDecompressedSize: number}}
+ */
+const DEFAULTS = {
+	threshold: 1024,
+	level: zlib.constants.Z_DEFAULT_COMPRESSION,
+	serverNoContextTakeover: false,
+	clientNoContextTakeover: false,
+	serverMaxWindowBits: 15,
+	clientMaxWindowBits: 15,
+	maxDecompressedSize: 1024 * 1024
+};
+
+/**
+ * The parameters agreed on with a client.
+ * @typedef {Object} PerMessageDeflateParams
+ * @property {boolean} serverNoContextTakeover Whether the server resets its compression context after each message.
+ * @property {boolean} clientNoContextTakeover Whether the client resets its compression context after each message.
+ * @property {number} serverMaxWindowBits The window the server compresses with.
+ * @property {number} clientMaxWindowBits The largest window the client compresses with.
+ */
+
+/**
+ * Resolves the permessage-deflate options, falling back to the defaults.
+ * @param {boolean | Object} options True for the defaults.
+ * @param {number} [options.threshold=1024] Messages with fewer bytes are sent uncompressed.
+ * @param {number} [options.level] The deflate level, 0 to 9.
+ * @param {boolean} [options.serverNoContextTakeover=false] Reset the compression context after each sent message.
+ * Costs compression ratio but saves keeping the context between messages.
+ * @param {boolean} [options.clientNoContextTakeover=false] Ask the clients to do the same.
+ * @param {number} [options.serverMaxWindowBits=15] The window size of the compression, 9 to 15.
+ * @param {number} [options.clientMaxWindowBits=15] The window size asked from clients that support the parameter,
+ * 8 to 15.
+ * @param {number} [options.maxDecompressedSize=1048576] The maximum size of a received message once decompressed.
+ * @returns {{threshold: number, level: number, serverNoContextTakeover: boolean, clientNoContextTakeover: boolean, serverMaxWindowBits: number, clientMaxWindowBits: number, maxDecompressedSize: number} | null}
+ * Null when the extension is off.
+ * @throws {RangeError} When an option is out of range.
+ */
+export const resolvePerMessageDeflateOptions = (options) => {
+	if (!options) {
+		return null;
+	}
+	const resolved = {...DEFAULTS, ...(options === true ? {} : options)};
+	if (!(resolved.threshold >= 0)) {
+		throw new RangeError("perMessageDeflate.threshold must be 0 or a positive number of bytes.");
+	}
+	// zlib does not support raw deflate with a window of 8 bits.
+	if (!Number.isInteger(resolved.serverMaxWindowBits) || resolved.serverMaxWindowBits < 9 || resolved.serverMaxWindowBits > 15) {
+		throw new RangeError("perMessageDeflate.serverMaxWindowBits must be an integer from 9 to 15.");
+	}
+	if (!Number.isInteger(resolved.clientMaxWindowBits) || resolved.clientMaxWindowBits < 8 || resolved.clientMaxWindowBits > 15) {
+		throw new RangeError("perMessageDeflate.clientMaxWindowBits must be an integer from 8 to 15.");
+	}
+	if (!(resolved.maxDecompressedSize > 0)) {
+		throw new RangeError("perMessageDeflate.maxDecompressedSize must be a positive number of bytes.");
+	}
+	return resolved;
+};
+
+/**
+ * Parses the offers of a sec-websocket-extensions header.
+ * @param {string} header
+ * @returns {Array<{name: string, params: Map<string, string | true>} | null>} The offers in the order of the header.
+ * Offers repeating a parameter are null.
+ */
+const parseExtensionOffers = (header) => String(header).split(",").map((offer) => {
+	const [name, ...parameters] = offer.split(";").map((part) => part.trim());
+	const params = new Map();
+	for (const parameter of parameters.filter(Boolean)) {
+		const separator = parameter.indexOf("=");
+		const key = (separator === -1 ? parameter : parameter.slice(0, separator)).trim().toLowerCase();
+		const value = separator === -1 ? true : parameter.slice(separator + 1).trim().replace(/^"(.*)"$/, "$1");
+		if (params.has(key)) {
+			return null;
+		}
+		params.set(key, value);
+	}
+	return {name: name.toLowerCase(), params};
+});
+
+/**
+ * Parses a window bits parameter.
+ * @param {string | true} value
+ * @returns {number} NaN when the value is not 8 to 15.
+ */
+const parseWindowBits = (value) => {
+	if (typeof value !== "string" || !/^\d{1,2}$/.test(value) || Number(value) < 8 || Number(value) > 15) {
+		return NaN;
+	}
+	return Number(value);
+};
+
+/**
+ * Accepts a permessage-deflate offer if its parameters can be met.
+ * @param {Map<string, string | true>} params
+ * @param {{serverNoContextTakeover: boolean, clientNoContextTakeover: boolean, serverMaxWindowBits: number, clientMaxWindowBits: number}} options
+ * @returns {{response: string, params: PerMessageDeflateParams} | null}
+ */
+const acceptOffer = (params, options) => {
+	const agreed = {
+		serverNoContextTakeover: options.serverNoContextTakeover,
+		clientNoContextTakeover: options.clientNoContextTakeover,
+		serverMaxWindowBits: options.serverMaxWindowBits,
+		clientMaxWindowBits: 15
+	};
+	let serverWindowBitsOffered = false;
+	let clientWindowBitsOffered = false;
+	for (const [name, value] of params) {
+		switch (name) {
+			case "server_no_context_takeover":
+			case "client_no_context_takeover":
+				if (value !== true) {
+					return null;
+				}
+				agreed[name === "server_no_context_takeover" ? "serverNoContextTakeover" : "clientNoContextTakeover"] = true;
+				break;
+			case "server_max_window_bits": {
+				const bits = parseWindowBits(value);
+				// A window of 8 bits cannot be compressed with, see resolvePerMessageDeflateOptions.
+				if (!(bits >= 9)) {
+					return null;
+				}
+				agreed.serverMaxWindowBits = Math.min(bits, options.serverMaxWindowBits);
+				serverWindowBitsOffered = true;
+				break;
+			}
+			case "client_max_window_bits": {
+				const bits = value === true ? 15 : parseWindowBits(value);
+				if (Number.isNaN(bits)) {
+					return null;
+				}
+				agreed.clientMaxWindowBits = Math.min(bits, options.clientMaxWindowBits);
+				clientWindowBitsOffered = true;
+				break;
+			}
+			default:
+				return null;
+		}
+	}
+	const response = [PERMESSAGE_DEFLATE];
+	if (agreed.serverNoContextTakeover) {
+		response.push("server_no_context_takeover");
+	}
+	if (agreed.clientNoContextTakeover) {
+		response.push("client_no_context_takeover");
+	}
+	if (serverWindowBitsOffered) {
+		response.push(`server_max_window_bits=${agreed.serverMaxWindowBits}`);
+	}
+	// The client window can only be limited if the client said it supports it.
+	if (clientWindowBitsOffered && agreed.clientMaxWindowBits < 15) {
+		response.push(`client_max_window_bits=${agreed.clientMaxWindowBits}`);
+	}
+	return {response: response.join("; "), params: agreed};
+};
+
+/**
+ * Picks the first permessage-deflate offer of a sec-websocket-extensions header that the server can accept
+ * (RFC 7692 section 7.1).
+ * @param {string} [header] The sec-websocket-extensions header of the request.
+ * @param {Object | null} options Resolved permessage-deflate options, null when the extension is off.
+ * @returns {{response: string, params: PerMessageDeflateParams} | null} The value of the sec-websocket-extensions
+ * response header and the agreed parameters, or null when the extension is not used.
+ */
+export const negotiatePerMessageDeflate = (header, options) => {
+	if (!header || !options) {
+		return null;
+	}
+	for (const offer of parseExtensionOffers(header)) {
+		if (offer?.name !== PERMESSAGE_DEFLATE) {
+			continue;
+		}
+		const accepted = acceptOffer(offer.params, options);
+		if (accepted) {
+			return accepted;
+		}
+	}
+	return null;
+};
+
+/**
+ * Compresses and decompresses the messages of a websocket that negotiated permessage-deflate. Messages are processed
+ * one at a time in each direction, in the order they were handed in, since they share the compression contexts.
+ */
+export class PerMessageDeflate {
+	/**
+	 * @type {{threshold: number, level: number, maxDecompressedSize: number}}
+	 */
+	#options = null;
+	/**
+	 * @type {PerMessageDeflateParams}
+	 */
+	#params = null;
+	/**
+	 * @type {DeflateRaw | null}
+	 */
+	#deflate = null;
+	/**
+	 * @type {InflateRaw | null}
+	 */
+	#inflate = null;
+	/**
+	 * The end of the chain of compressions.
+	 * @type {Promise<any>}
+	 */
+	#deflateQueue = Promise.resolve();
+	/**
+	 * The end of the chain of decompressions.
+	 * @type {Promise<any>}
+	 */
+	#inflateQueue = Promise.resolve();
+
+	/**
+	 * @param {Object} options Resolved permessage-deflate options.
+	 * @param {PerMessageDeflateParams} params The parameters agreed on with the client.
+	 */
+	constructor(options, params) {
+		this.#options = options;
+		this.#params = params;
+	}
+
+	/**
+	 * The size from which sent messages are compressed.
+	 * @returns {number}
+	 */
+	get threshold() {
+		return this.#options.threshold;
+	}
+
+	/**
+	 * @returns {PerMessageDeflateParams}
+	 */
+	get params() {
+		return {...this.#params};
+	}
+
+	/**
+	 * Compresses the payload of a message.
+	 * @param {Buffer} payload
+	 * @returns {Promise<Buffer>}
+	 */
+	compress(payload) {
+		const compressed = this.#deflateQueue.then(() => this.#compress(payload));
+		this.#deflateQueue = compressed.catch(() => {});
+		return compressed;
+	}
+
+	/**
+	 * Decompresses the payload of a received message.
+	 * @param {Buffer} payload
+	 * @returns {Promise<Buffer>}
+	 * @throws {RangeError} (rejection) When the message exceeds maxDecompressedSize once decompressed.
+	 */
+	decompress(payload) {
+		const decompressed = this.#inflateQueue.then(() => this.#decompress(payload));
+		this.#inflateQueue = decompressed.catch(() => {});
+		return decompressed;
+	}
+
+	/**
+	 * Frees the compression contexts. Messages still being processed fail.
+	 */
+	close() {
+		this.#deflate?.destroy();
+		this.#inflate?.destroy();
+		this.#deflate = null;
+		this.#inflate = null;
+	}
+
+	/**
+	 * @param {Buffer} payload
+	 * @returns {Promise<Buffer>}
+	 */
+	#compress(payload) {
+		this.#deflate ??= zlib.createDeflateRaw({
+			level: this.#options.level,
+			windowBits: this.#params.serverMaxWindowBits
+		});
+		const deflate = this.#deflate;
+		return new Promise((resolve, reject) => {
+			const chunks = [];
+			const dataListener = (chunk) => chunks.push(chunk);
+			const errorListener = (error) => {
+				deflate.off("data", dataListener);
+				this.#deflate = null;
+				reject(error);
+			};
+			deflate.on("data", dataListener);
+			deflate.once("error", errorListener);
+			deflate.write(payload);
+			deflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+				deflate.off("data", dataListener);
+				deflate.off("error", errorListener);
+				if (deflate.destroyed) {
+					reject(new Error("The compression context was closed."));
+					return;
+				}
+				if (this.#params.serverNoContextTakeover) {
+					deflate.reset();
+				}
+				const compressed = Buffer.concat(chunks);
+				resolve(compressed.subarray(0, compressed.length - SYNC_FLUSH_TRAILER.length));
+			});
+		});
+	}
+
+	/**
+	 * @param {Buffer} payload
+	 * @returns {Promise<Buffer>}
+	 */
+	#decompress(payload) {
+		// The largest window inflates whatever window the client compressed with.
+		this.#inflate ??= zlib.createInflateRaw({windowBits: 15});
+		const inflate = this.#inflate;
+		const maxSize = this.#options.maxDecompressedSize;
+		return new Promise((resolve, reject) => {
+			const chunks = [];
+			let size = 0;
+			const fail = (error) => {
+				inflate.off("data", dataListener);
+				inflate.off("error", fail);
+				// The context is unusable once a message was cut off.
+				inflate.destroy();
+				this.#inflate = null;
+				reject(error);
+			};
+			const dataListener = (chunk) => {
+				size += chunk.length;
+				if (size > maxSize) {
+					fail(new RangeError(`The message exceeds ${maxSize} bytes once decompressed.`));
+					return;
+				}
+				chunks.push(chunk);
+			};
+			inflate.on("data", dataListener);
+			inflate.once("error", fail);
+			inflate.write(payload);
+			inflate.write(SYNC_FLUSH_TRAILER);
+			inflate.flush(() => {
+				if (this.#inflate !== inflate || inflate.destroyed) {
+					reject(new Error("The decompression context was closed."));
+					return;
+				}
+				inflate.off("data", dataListener);
+				inflate.off("error", fail);
+				if (this.#params.clientNoContextTakeover) {
+					inflate.reset();
+				}
+				resolve(Buffer.concat(chunks));
+			});
+		});
+	}
+}
@@ -0,0 +1,239 @@
+import net from "node:net";
+
+/**
+ * The signature every PROXY protocol v2 header starts with.
+ * @type {Buffer}
+ */
+const V2_SIGNATURE = Buffer.from([0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a]);
+
+/**
+ * The prefix of a PROXY protocol v1 header.
+ * @type {Buffer}
+ */
+const V1_PREFIX = Buffer.from("PROXY ");
+
+/**
+ * The maximum length of a PROXY protocol v1 header, CRLF included.
+ * @type {number}
+ */
+const V1_MAX_LENGTH = 107;
+
+/**
+ * The information carried by a PROXY protocol header.
+ * @typedef {Object} ProxyHeader
+ * @property {1 | 2} version
+ * @property {boolean} local Whether the connection was opened by the proxy itself (a health check for instance), in
+ * which case there are no addresses.
+ * @property {"IPv4" | "IPv6"} [family]
+ * @property {string} [sourceAddress]
+ * @property {number} [sourcePort]
+ * @property {string} [destinationAddress]
+ * @property {number} [destinationPort]
+ */
+
+/**
+ * Parses a port of a PROXY protocol v1 header.
+ * @param {string} port
+ * @returns {number}
+ */
+const parseV1Port = (port) => {
+	if (!/^\d{1,5}$/.test(port) || Number(port) > 65535) {
+		throw new Error(`Invalid PROXY protocol port: ${port}`);
+	}
+	return Number(port);
+};
+
+/**
+ * Parses the line of a PROXY protocol v1 header, without its CRLF.
+ * @param {string} line
+ * @returns {ProxyHeader}
+ */
+const parseV1 = (line) => {
+	const [, protocol, sourceAddress, destinationAddress, sourcePort, destinationPort, ...rest] = line.split(" ");
+	if (protocol === "UNKNOWN") {
+		return {version: 1, local: true};
+	}
+	const ipVersion = protocol === "TCP4" ? 4 : protocol === "TCP6" ? 6 : 0;
+	if (
+			!ipVersion
+			|| rest.length
+			|| net.isIP(sourceAddress) !== ipVersion
+			|| net.isIP(destinationAddress) !== ipVersion
+	) {
+		throw new Error(`Invalid PROXY protocol v1 header: ${line}`);
+	}
+	return {
+		version: 1,
+		local: false,
+		family: ipVersion === 4 ? "IPv4" : "IPv6",
+		sourceAddress,
+		sourcePort: parseV1Port(sourcePort),
+		destinationAddress,
+		destinationPort: parseV1Port(destinationPort)
+	};
+};
+
+/**
+ * Formats the 16 bytes of an IPv6 address.
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+const formatIPv6 = (bytes) => {
+	const groups = [];
+	for (let i = 0; i < 16; i += 2) {
+		groups.push(bytes.readUInt16BE(i).toString(16));
+	}
+	return groups.join(":");
+};
+
+/**
+ * Parses a complete PROXY protocol v2 header.
+ * @param {Buffer} header The header, signature included.
+ * @returns {ProxyHeader}
+ */
+const parseV2 = (header) => {
+	const version = header[12] >> 4;
+	const command = header[12] & 0x0f;
+	const family = header[13] >> 4;
+	if (version !== 2 || command > 1) {
+		throw new Error(`Invalid PROXY protocol v2 version or command: ${header[12]}`);
+	}
+	// LOCAL connections, and unix or unspecified families, carry no address that can stand in for the peer's.
+	if (command === 0 || (family !== 1 && family !== 2)) {
+		return {version: 2, local: true};
+	}
+	const addressLength = family === 1 ? 4 : 16;
+	const addresses = header.subarray(16);
+	if (addresses.length < addressLength * 2 + 4) {
+		throw new Error("PROXY protocol v2 header is too short for its address family.");
+	}
+	const formatAddress = family === 1 ?
+			(bytes) => [...bytes].join(".") : formatIPv6;
+	return {
+		version: 2,
+		local: false,
+		family: family === 1 ? "IPv4" : "IPv6",
+		sourceAddress: formatAddress(addresses.subarray(0, addressLength)),
+		destinationAddress: formatAddress(addresses.subarray(addressLength, addressLength * 2)),
+		sourcePort: addresses.readUInt16BE(addressLength * 2),
+		destinationPort: addresses.readUInt16BE(addressLength * 2 + 2)
+	};
+};
+
+/**
+ * Parses a PROXY protocol v1 or v2 header at the start of a buffer.
+ * @param {Buffer} buffer
+ * @returns {{header: ProxyHeader, length: number} | null} The header and the number of bytes it took, or null if the
+ * buffer does not contain the whole header yet.
+ * @throws {Error} When the buffer does not start with a valid PROXY protocol header.
+ */
+export const parseProxyHeader = (buffer) => {
+	const signatureLength = Math.min(buffer.length, V2_SIGNATURE.length);
+	if (buffer.subarray(0, signatureLength).equals(V2_SIGNATURE.subarray(0, signatureLength))) {
+		if (buffer.length < 16) {
+			return null;
+		}
+		const length = 16 + buffer.readUInt16BE(14);
+		if (buffer.length < length) {
+			return null;
+		}
+		return {header: parseV2(buffer.subarray(0, length)), length};
+	}
+	const prefixLength = Math.min(buffer.length, V1_PREFIX.length);
+	if (!buffer.subarray(0, prefixLength).equals(V1_PREFIX.subarray(0, prefixLength))) {
+		throw new Error("Connection did not start with a PROXY protocol header.");
+	}
+	const lineEnd = buffer.subarray(0, V1_MAX_LENGTH).indexOf("\r\n");
+	if (lineEnd === -1) {
+		if (buffer.length >= V1_MAX_LENGTH) {
+			throw new Error("PROXY protocol v1 header is too long.");
+		}
+		return null;
+	}
+	return {header: parseV1(buffer.subarray(0, lineEnd).toString("latin1")), length: lineEnd + 2};
+};
+
+/**
+ * Reads the PROXY protocol header from the start of a socket. The bytes after the header are put back into the
+ * socket, which is left paused, so it can be handed to the server that speaks the actual protocol.
+ * @param {Socket} socket
+ * @param {Object} [options]
+ * @param {number} [options.timeout=5000] Milliseconds to wait for the whole header.
+ * @returns {Promise<ProxyHeader>}
+ */
+export const readProxyHeader = (socket, {timeout = 5000} = {}) => new Promise((resolve, reject) => {
+	let buffered = Buffer.alloc(0);
+	const cleanup = () => {
+		clearTimeout(headerTimeout);
+		socket.off("data", dataListener);
+		socket.off("error", fail);
+		socket.off("end", endListener);
+		socket.pause();
+	};
+	const fail = (err) => {
+		cleanup();
+		reject(err);
+	};
+	const dataListener = (chunk) => {
+		buffered = Buffer.concat([buffered, chunk]);
+		let parsed;
+		try {
+			parsed = parseProxyHeader(buffered);
+		} catch (err) {
+			fail(err);
+			return;
+		}
+		if (!parsed) {
+			return;
+		}
+		cleanup();
+		if (buffered.length > parsed.length) {
+			socket.unshift(buffered.subarray(parsed.length));
+		}
+		resolve(parsed.header);
+	};
+	const endListener = () => fail(new Error("Connection ended before the PROXY protocol header was complete."));
+	const headerTimeout = setTimeout(() => fail(new Error("Timed out waiting for the PROXY protocol header.")), timeout);
+	socket.on("data", dataListener);
+	socket.once("error", fail);
+	socket.once("end", endListener);
+});
+
+/**
+ * Builds a list of trusted networks out of CIDR ranges and single addresses.
+ * @param {string[]} ranges For instance ["10.0.0.0/8", "192.168.1.5", "fd00::/8"].
+ * @returns {BlockList}
+ * @throws {TypeError} When a range is not a valid address or CIDR range.
+ */
+export const createTrustedNetworks = (ranges) => {
+	const networks = new net.BlockList();
+	for (const range of ranges) {
+		const [address, prefix] = range.split("/");
+		const family = net.isIP(address);
+		if (!family || (prefix !== undefined && !/^\d{1,3}$/.test(prefix))) {
+			throw new TypeError(`Invalid trusted proxy range: ${range}`);
+		}
+		const type = family === 4 ? "ipv4" : "ipv6";
+		if (prefix === undefined) {
+			networks.addAddress(address, type);
+		} else {
+			networks.addSubnet(address, Number(prefix), type);
+		}
+	}
+	return networks;
+};
+
+/**
+ * Checks whether an address, as reported by a socket, belongs to the trusted networks.
+ * IPv4 addresses mapped into IPv6 (::ffff:10.0.0.1) are matched against the IPv4 ranges.
+ * @param {BlockList} networks
+ * @param {string} address
+ * @returns {boolean}
+ */
+export const isTrusted = (networks, address) => {
+	if (!address) {
+		return false;
+	}
+	const unmapped = address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, "");
+	return networks.check(unmapped, net.isIP(unmapped) === 4 ? "ipv4" : "ipv6");
+};
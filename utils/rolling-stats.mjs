@@ -0,0 +1,100 @@
+/**
+ * Keeps statistics over the last samples of a measurement, such as the round trip times of a session.
+ * Next to the window statistics it keeps an exponentially weighted moving average and the jitter, computed like the
+ * interarrival jitter of RFC 3550 (the smoothed difference between consecutive samples).
+ */
+export class RollingStats {
+	/**
+	 * The samples of the window, oldest first.
+	 * @type {number[]}
+	 */
+	#samples = [];
+	/**
+	 * The number of samples kept.
+	 * @type {number}
+	 */
+	#windowSize = 60;
+	/**
+	 * The weight of a new sample in the moving average.
+	 * @type {number}
+	 */
+	#ewmaAlpha = 0.2;
+	/**
+	 * @type {number | null}
+	 */
+	#ewma = null;
+	/**
+	 * @type {number}
+	 */
+	#jitter = 0;
+	/**
+	 * The number of samples added since the creation, window or not.
+	 * @type {number}
+	 */
+	#count = 0;
+
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.windowSize=60] The number of samples the min, max, average and percentiles are computed over.
+	 * @param {number} [options.ewmaAlpha=0.2] The weight of a new sample in the moving average, between 0 and 1.
+	 */
+	constructor({windowSize = 60, ewmaAlpha = 0.2} = {}) {
+		if (!Number.isInteger(windowSize) || windowSize < 1) {
+			throw new RangeError("windowSize must be a positive integer.");
+		}
+		if (!(ewmaAlpha > 0 && ewmaAlpha <= 1)) {
+			throw new RangeError("ewmaAlpha must be in (0, 1].");
+		}
+		this.#windowSize = windowSize;
+		this.#ewmaAlpha = ewmaAlpha;
+	}
+
+	/**
+	 * Adds a sample.
+	 * @param {number} sample
+	 */
+	add(sample) {
+		const previous = this.#samples[this.#samples.length - 1];
+		if (previous !== undefined) {
+			this.#jitter += (Math.abs(sample - previous) - this.#jitter) / 16;
+		}
+		this.#ewma = this.#ewma === null ? sample : this.#ewma + this.#ewmaAlpha * (sample - this.#ewma);
+		this.#samples.push(sample);
+		if (this.#samples.length > this.#windowSize) {
+			this.#samples.shift();
+		}
+		this.#count++;
+	}
+
+	/**
+	 * The value below which the given percentage of the window samples fall (nearest rank).
+	 * @param {number} percentile Between 0 and 100.
+	 * @returns {number}
+	 */
+	percentile(percentile) {
+		if (!this.#samples.length) {
+			return 0;
+		}
+		const sorted = [...this.#samples].sort((a, b) => a - b);
+		const rank = Math.ceil((percentile / 100) * sorted.length);
+		return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+	}
+
+	/**
+	 * A snapshot of the statistics. All values are 0 before the first sample.
+	 * @returns {{count: number, last: number, min: number, max: number, avg: number, p95: number, ewma: number, jitter: number}}
+	 */
+	get snapshot() {
+		const samples = this.#samples;
+		return {
+			count: this.#count,
+			last: samples[samples.length - 1] ?? 0,
+			min: samples.length ? Math.min(...samples) : 0,
+			max: samples.length ? Math.max(...samples) : 0,
+			avg: samples.length ? samples.reduce((sum, sample) => sum + sample, 0) / samples.length : 0,
+			p95: this.percentile(95),
+			ewma: this.#ewma ?? 0,
+			jitter: this.#jitter
+		};
+	}
+}
@@ -0,0 +1,213 @@
+import {WsProtocolError} from "../errors/ws-protocol-error.mjs";
+
+/**
+ * A WebSocket frame as read off the wire (RFC 6455 section 5.2), with its payload unmasked.
+ * @typedef {Object} WsFrame
+ * @property {boolean} fin Whether this is the final fragment of a message.
+ * @property {boolean} rsv1
+ * @property {boolean} rsv2
+ * @property {boolean} rsv3
+ * @property {number} opcode
+ * @property {boolean} masked Whether the peer masked the payload.
+ * @property {Buffer} payload
+ */
+
+/**
+ * The largest payload length the parser accepts. Longer payloads could not be addressed by a Buffer anyway.
+ * @type {bigint}
+ */
+const MAX_PAYLOAD_LENGTH = BigInt(Number.MAX_SAFE_INTEGER);
+
+/**
+ * Unmasks a payload in place.
+ * @param {Buffer} payload
+ * @param {Buffer} maskingKey The 4 byte masking key.
+ */
+const unmask = (payload, maskingKey) => {
+	const length = payload.length;
+	// Four bytes at a time while possible, the key repeats every four bytes.
+	const wordEnd = length - (length % 4);
+	const key = maskingKey.readUInt32LE(0);
+	let i = 0;
+	for (; i < wordEnd; i += 4) {
+		payload.writeUInt32LE((payload.readUInt32LE(i) ^ key) >>> 0, i);
+	}
+	for (; i < length; i++) {
+		payload[i] ^= maskingKey[i & 3];
+	}
+};
+
+/**
+ * Incrementally parses WebSocket frames out of a byte stream. Chunks can split frames at any offset or contain several
+ * frames; partial headers and payloads are kept until the rest arrives.
+ * The parser only reads the framing. Assembling fragmented messages and enforcing the protocol rules is up to the user.
+ */
+export class WsFrameParser {
+	/**
+	 * The received bytes that are not part of a returned frame yet.
+	 * @type {Buffer[]}
+	 */
+	#chunks = [];
+	/**
+	 * The total length of the chunks.
+	 * @type {number}
+	 */
+	#bufferedLength = 0;
+	/**
+	 * The header of the frame whose payload is awaited, or null while waiting for a header.
+	 * @type {{fin: boolean, rsv1: boolean, rsv2: boolean, rsv3: boolean, opcode: number, maskingKey: Buffer | null, payloadLength: number} | null}
+	 */
+	#header = null;
+	/**
+	 * The largest payload accepted, checked as soon as a header announces it.
+	 * @type {number}
+	 */
+	#maxPayloadLength = Infinity;
+
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.maxPayloadLength=Infinity] The largest frame payload accepted. Larger frames fail before
+	 * their payload is buffered.
+	 */
+	constructor({maxPayloadLength = Infinity} = {}) {
+		this.#maxPayloadLength = maxPayloadLength;
+	}
+
+	/**
+	 * Adds received bytes and returns the frames they complete.
+	 * @param {Uint8Array} chunk
+	 * @returns {WsFrame[]} The complete frames, in order. Empty while a frame is still incomplete.
+	 * @throws {WsProtocolError} When a frame announces a payload length that is invalid (1002) or larger than
+	 * maxPayloadLength (1009).
+	 */
+	push(chunk) {
+		if (chunk.length) {
+			this.#chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+			this.#bufferedLength += chunk.length;
+		}
+		const frames = [];
+		while (true) {
+			if (!this.#header && !(this.#header = this.#readHeader())) {
+				break;
+			}
+			if (this.#bufferedLength < this.#header.payloadLength) {
+				break;
+			}
+			const {maskingKey, payloadLength, ...header} = this.#header;
+			const payload = this.#consume(payloadLength);
+			if (maskingKey) {
+				unmask(payload, maskingKey);
+			}
+			frames.push({...header, masked: !!maskingKey, payload});
+			this.#header = null;
+		}
+		return frames;
+	}
+
+	/**
+	 * The number of received bytes that are not part of a returned frame yet.
+	 * @returns {number}
+	 */
+	get bufferedLength() {
+		return this.#bufferedLength;
+	}
+
+	/**
+	 * Reads the next frame header from the buffered bytes if it is complete.
+	 * @returns {{fin: boolean, rsv1: boolean, rsv2: boolean, rsv3: boolean, opcode: number, maskingKey: Buffer | null, payloadLength: number} | null}
+	 * @throws {WsProtocolError} When the payload length is invalid or too large.
+	 */
+	#readHeader() {
+		if (this.#bufferedLength < 2) {
+			return null;
+		}
+		const start = this.#peek(2);
+		const masked = (start[1] & 0b10000000) !== 0;
+		const shortLength = start[1] & 0b01111111;
+		const lengthBytes = shortLength === 127 ? 8 : shortLength === 126 ? 2 : 0;
+		const headerLength = 2 + lengthBytes + (masked ? 4 : 0);
+		if (this.#bufferedLength < headerLength) {
+			return null;
+		}
+		const header = this.#consume(headerLength);
+		let payloadLength = shortLength;
+		if (lengthBytes === 2) {
+			payloadLength = header.readUInt16BE(2);
+		} else if (lengthBytes === 8) {
+			const longLength = header.readBigUInt64BE(2);
+			// The most significant bit must be 0 (RFC 6455 section 5.2).
+			if (longLength >= 1n << 63n) {
+				throw new WsProtocolError(1002, "Invalid payload length.");
+			}
+			if (longLength > MAX_PAYLOAD_LENGTH) {
+				throw new WsProtocolError(1009, "Frame too big.");
+			}
+			payloadLength = Number(longLength);
+		}
+		if (payloadLength > this.#maxPayloadLength) {
+			throw new WsProtocolError(1009, "Frame too big.");
+		}
+		return {
+			fin: (header[0] & 0b10000000) !== 0,
+			rsv1: (header[0] & 0b01000000) !== 0,
+			rsv2: (header[0] & 0b00100000) !== 0,
+			rsv3: (header[0] & 0b00010000) !== 0,
+			opcode: header[0] & 0b00001111,
+			maskingKey: masked ? header.subarray(headerLength - 4) : null,
+			payloadLength
+		};
+	}
+
+	/**
+	 * Returns the first bytes of the buffer without consuming them.
+	 * @param {number} length At most the buffered length.
+	 * @returns {Buffer}
+	 */
+	#peek(length) {
+		if (this.#chunks[0].length >= length) {
+			return this.#chunks[0];
+		}
+		// Merge the chunks so that the next peek or consume starts with the whole header.
+		this.#chunks = [Buffer.concat(this.#chunks)];
+		return this.#chunks[0];
+	}
+
+	/**
+	 * Removes bytes from the start of the buffer. A payload within a single chunk is copied out of it, so that unmasking
+	 * it in place does not touch the chunk the caller handed in.
+	 * @param {number} length At most the buffered length.
+	 * @returns {Buffer}
+	 */
+	#consume(length) {
+		this.#bufferedLength -= length;
+		const first = this.#chunks[0];
+		if (!length) {
+			return Buffer.alloc(0);
+		}
+		if (first.length > length) {
+			this.#chunks[0] = first.subarray(length);
+			return Buffer.from(first.subarray(0, length));
+		}
+		if (first.length === length) {
+			this.#chunks.shift();
+			return Buffer.from(first);
+		}
+		const consumed = Buffer.allocUnsafe(length);
+		let offset = 0;
+		let index = 0;
+		while (offset < length) {
+			const chunk = this.#chunks[index];
+			const taken = Math.min(chunk.length, length - offset);
+			chunk.copy(consumed, offset, 0, taken);
+			offset += taken;
+			if (taken === chunk.length) {
+				index++;
+			} else {
+				this.#chunks[index] = chunk.subarray(taken);
+			}
+		}
+		// Dropped at once, shifting them one by one is quadratic for payloads that arrived in many small chunks.
+		this.#chunks.splice(0, index);
+		return consumed;
+	}
+}